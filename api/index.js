@@ -7,83 +7,187 @@ const SUPABASE_ANON_KEY = process.env.NEXT_PUBLIC_SUPABASE_ANON_KEY;
 const SUPABASE_SERVICE_ROLE_KEY = process.env.SUPABASE_SERVICE_ROLE_KEY || process.env.SUPABASE_KEY || null;
 // ⚠️ BOT_TOKEN must be set in Vercel environment variables
 const BOT_TOKEN = process.env.BOT_TOKEN;
-
-// Use the service role key if present, otherwise fall back to anon key (less ideal)
+// Telegram bot webhook: secret_token passed to setWebhook (sent back in x-telegram-bot-api-secret-token)
+const BOT_WEBHOOK_SECRET = process.env.BOT_WEBHOOK_SECRET || null;
+const BOT_USERNAME = process.env.BOT_USERNAME || 'Bot_ad_watchbot';
+// Mini App URL for web_app buttons; without it the bot links to t.me/<bot>/<MINI_APP_SHORT_NAME>
+const MINI_APP_URL = process.env.MINI_APP_URL || null;
+const MINI_APP_SHORT_NAME = process.env.MINI_APP_SHORT_NAME || 'earn';
+// Payout providers (automatic sending is enabled per provider once its keys are set)
+const FAUCETPAY_API_KEY = process.env.FAUCETPAY_API_KEY || null;
+const BINANCE_PAY_API_KEY = process.env.BINANCE_PAY_API_KEY || null;
+const BINANCE_PAY_SECRET_KEY = process.env.BINANCE_PAY_SECRET_KEY || null;
+const PAYOUT_CURRENCY = process.env.PAYOUT_CURRENCY || 'SHIB';
+// Local mock provider ("mock" method) for tests; never enable in production
+const PAYOUT_MOCK_ENABLED = process.env.PAYOUT_MOCK_ENABLED === '1';
+// Ad reward callbacks: credits require a verified impression unless AD_VERIFICATION_REQUIRED=0
+const AD_VERIFICATION_REQUIRED = process.env.AD_VERIFICATION_REQUIRED !== '0';
+// Token put in the AdsGram reward URL: <api>?ad_callback=adsgram&userid=[userId]&record_id=[recordId]&token=<ADSGRAM_REWARD_SECRET>
+// (record_id is AdsGram's per-ad id; callbacks without one are rejected, retries are deduplicated on it)
+const ADSGRAM_REWARD_SECRET = process.env.ADSGRAM_REWARD_SECRET || null;
+// Local stub network for testing (HMAC-signed callbacks); leave unset in production
+const AD_STUB_SECRET = process.env.AD_STUB_SECRET || null;
+// Key for signing action tokens (generateActionId); derived from BOT_TOKEN when unset
+const ACTION_TOKEN_SECRET = process.env.ACTION_TOKEN_SECRET || null;
+// Maximum age of Mini App initData (auth_date) in seconds
+const INIT_DATA_MAX_AGE_SECONDS = parseInt(process.env.INIT_DATA_MAX_AGE_SECONDS) || 20 * 60;
+// Server-to-server requests (ROUTES with auth: 'server'): HMAC-SHA256 of "<x-internal-timestamp>.<raw body>"
+// sent hex-encoded in x-internal-signature; without the secret those types are disabled
+const INTERNAL_API_SECRET = process.env.INTERNAL_API_SECRET || null;
+// Admin access: shared secret (x-admin-secret header) and/or comma-separated Telegram IDs
+const ADMIN_SECRET = process.env.ADMIN_SECRET || null;
+const ADMIN_TELEGRAM_IDS = (process.env.ADMIN_TELEGRAM_IDS || '')
+  .split(',')
+  .map(v => parseInt(v.trim()))
+  .filter(v => !isNaN(v));
+
+// Use the service role key if present, otherwise fall back to anon key (less ideal).
+// The migrations grant the RPCs and the ledger/security tables to service_role only,
+// so an anon-key deployment can read legacy tables but every RPC call will be refused.
 const SUPABASE_KEY = SUPABASE_SERVICE_ROLE_KEY || SUPABASE_ANON_KEY;
 
 // ------------------------------------------------------------------
 // Fully secured and defined server-side constants
+// (economy values below are defaults; app_config overrides them, see getConfig)
 // ------------------------------------------------------------------
 const REWARD_PER_AD = 10;
-const REFERRAL_COMMISSION_RATE = 0.40;
+// Referral commission per level: [0] goes to the direct referrer, [1] to their referrer, ...
+const REFERRAL_COMMISSION_LEVELS = [0.40, 0.10];
+const REFERRAL_MAX_LEVELS = 5;
 const DAILY_MAX_ADS = 200; // Max ads limit
 const DAILY_MAX_SPINS = 25; // Max spins limit
 const RESET_INTERVAL_MS = 6 * 60 * 60 * 1000; // ⬅️ 6 hours in milliseconds
-const MIN_TIME_BETWEEN_ACTIONS_MS = 3000; // 3 seconds minimum time between watchAd/spin requests
 const ACTION_ID_EXPIRY_MS = 60000; // 60 seconds for Action ID to be valid
-const SPIN_SECTORS = [15, 25, 35, 30, 20];
+const ACTION_TYPE_PATTERN = /^[A-Za-z0-9_]{1,64}$/;
+const USED_ACTION_NONCES_TABLE = 'used_action_nonces';
+const USED_NONCE_PRUNE_PROBABILITY = 0.02; // share of validations that also delete expired nonces
+const SPIN_COMMIT_EXPIRY_MS = 10 * 60 * 1000; // a preSpin commitment must be revealed within 10 minutes (ads play in between)
+const CLIENT_SEED_PATTERN = /^[A-Za-z0-9_-]{8,64}$/;
+const DEVICE_ID_PATTERN = /^[A-Za-z0-9_-]{16,64}$/; // client-generated id kept in the WebView's localStorage
+// Spin wheel: sectors in drawing order; the prize is picked with probability weight / total weight
+const SPIN_WHEEL = [
+    { value: 15, label: '15', color: '#00bfff', weight: 30 },
+    { value: 25, label: '25', color: '#ff8c00', weight: 25 },
+    { value: 35, label: '35', color: '#28a745', weight: 10 },
+    { value: 30, label: '30', color: '#ff4500', weight: 15 },
+    { value: 20, label: '20', color: '#00f2fe', weight: 20 }
+];
 
 // ===== Task Link Constants =====
 const TASK_LINK_REWARD = 5; // 5 SHIB per task-link click
 const TASK_LINK_DAILY_MAX = 200; // daily max clicks tracked server-side
 
+// ===== Runtime Configuration =====
+const CONFIG_TABLE = 'app_config';
+const CONFIG_CACHE_TTL_MS = 60 * 1000;
+const MIN_WITHDRAW = 2000;
+const CONTEST_TICKETS_PER_AD = 5;
+
 // ------------------------------------------------------------------
 // Task Constants
 // ------------------------------------------------------------------
 const TASK_COMPLETIONS_TABLE = 'user_task_completions'; // اسم افتراضي لجدول حفظ إكمال المهام
+const TASK_TYPES = ['channel', 'bot'];
+const TASK_STATUSES = ['active', 'paused', 'archived'];
+const TASK_MAX_REWARD = 100000; // upper bound accepted from the admin API
+// Reasons returned by getTaskAvailability / raised by complete_task
+const TASK_UNAVAILABLE_MESSAGES = {
+  not_active: 'Task is not available anymore.',
+  not_started: 'Task has not started yet.',
+  expired: 'Task campaign has ended.',
+  full: 'Task has reached its maximum number of participants.'
+};
+const TASK_RPC_REASONS = { TASK_NOT_ACTIVE: 'not_active', TASK_NOT_STARTED: 'not_started', TASK_EXPIRED: 'expired', TASK_FULL: 'full' };
+const TASK_LINK_PATTERN = /^(https?:\/\/)?t\.me\/([a-zA-Z0-9_]{4,})(\?[^\s]*)?$/;
+
+// ===== Notification Constants =====
+const NOTIFICATION_QUEUE_TABLE = 'notification_queue';
+const NOTIFICATION_MAX_ATTEMPTS = 5;
+const NOTIFICATION_RETRY_BASE_MS = 60 * 1000; // retry after 1m, 2m, 4m, 8m
+const COMMISSION_MILESTONES = [100, 1000, 10000, 100000]; // lifetime SHIB earned from referrals
+
+// ===== Internal Request Constants =====
+const INTERNAL_SIGNATURE_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// ===== Referral Dashboard Constants =====
+const REFERRALS_PAGE_SIZE = 20;
+const REFERRAL_ACTIVE_WINDOW_MS = 7 * 24 * 60 * 60 * 1000; // a referee is "active" if seen in the last 7 days
+
+// ===== Ad Verification Constants =====
+const AD_IMPRESSION_MAX_AGE_SECONDS = 10 * 60; // an impression must be used within 10 minutes
+const AD_CALLBACK_WAIT_MS = 4000; // the network's callback may arrive just after the client's request
+const AD_CALLBACK_POLL_MS = 1000;
+const AD_STUB_MAX_SKEW_MS = 5 * 60 * 1000;
+
+// ===== Contest Constants =====
+const CONTEST_MODES = ['top', 'draw'];
+const CONTEST_PUBLIC_FIELDS = 'id,name,start_time,end_time,mode,prizes,tickets_per_ad,max_tickets_per_user,status,seed_hash';
+const CONTEST_MAX_PRIZES = 20;
+
+// ===== Rate Limit Constants =====
+// Token buckets: up to `capacity` requests in a burst, then one every `refillMs`.
+// Action buckets are per user and route (ROUTES rateLimit); the IP bucket covers every Mini App request.
+const RATE_LIMIT_ACTIONS = {
+    watchAd: { capacity: 3, refillMs: 3000 },
+    spinResult: { capacity: 3, refillMs: 3000 },
+    taskLinkClick: { capacity: 5, refillMs: 2000 },
+    completeTask: { capacity: 3, refillMs: 3000 },
+    contestWatchAd: { capacity: 3, refillMs: 3000 },
+    withdraw: { capacity: 2, refillMs: 30000 }
+};
+const RATE_LIMIT_IP = { capacity: 60, refillMs: 500 };
+const RATE_LIMIT_BUCKET_IDLE_SECONDS = 24 * 60 * 60;
+const RATE_LIMIT_PRUNE_PROBABILITY = 0.01;
+
+// ===== Multi-Account Detection Constants =====
+const DEVICE_CLUSTER_MIN_REFEREES = 3; // referees of one referrer on one device before the whole cluster is flagged
+const ACCOUNT_CLUSTER_MIN_ACCOUNTS = 2;
 
 // ===== Security: Global Request Integrity & Anti-Tamper Layer =====
-const SECURITY_LOG_TABLE = 'security'; // جدول السجلات الأمنية
+const SECURITY_COUNTERS_TABLE = 'security_counters'; // عدادات الانتهاكات لكل مستخدم
 const MAX_FAILED_ACTIONS_PER_HOUR = 10;
 const MAX_UNIQUE_VIOLATIONS_PER_DAY = 5;
 const SUSPENSION_DURATION_MS = 24 * 60 * 60 * 1000; // 24 ساعة تعليق
+const SECURITY_FAILED_ACTION_TYPES = ['failed_action']; // expired action tokens (see validateAndUseActionId)
+const SECURITY_VIOLATION_TYPES = ['invalid_action_id', 'invalid_initData', 'rate_overflow', 'duplicate_task', 'user_id_mismatch'];
+const SECURITY_LOG_RETENTION_DAYS = 30;
+
+const hashIp = ip => crypto.createHash('sha256').update((ip || 'unknown') + process.env.IP_SALT).digest('hex');
+const hashUserAgent = ua => crypto.createHash('sha256').update((ua || 'unknown') + process.env.UA_SALT).digest('hex');
+const hashDeviceId = deviceId => crypto.createHash('sha256').update(deviceId + process.env.UA_SALT).digest('hex');
 
 /**
  * مساعد لكتابة سجل أمني إلى جدول security
+ * The same RPC updates the user's counters in security_counters and suspends
+ * them when MAX_FAILED_ACTIONS_PER_HOUR / MAX_UNIQUE_VIOLATIONS_PER_DAY is reached.
  */
 async function logSecurityIncident(userId, incidentType, details = {}) {
   try {
-    await supabaseFetch(SECURITY_LOG_TABLE, 'POST', {
-      user_id: userId,
-      incident_type: incidentType,
-      details: JSON.stringify(details),
-      ip_hash: crypto.createHash('sha256').update((details.ip || 'unknown') + process.env.IP_SALT).digest('hex'),
-      user_agent_hash: crypto.createHash('sha256').update((details.ua || 'unknown') + process.env.UA_SALT).digest('hex'),
-      created_at: new Date().toISOString()
-    }, '?select=id');
+    await supabaseRpc('record_security_incident', {
+      p_user_id: userId,
+      p_incident_type: incidentType,
+      p_details: details,
+      p_ip_hash: hashIp(details.ip),
+      p_ua_hash: hashUserAgent(details.ua),
+      p_failed_types: SECURITY_FAILED_ACTION_TYPES,
+      p_violation_types: SECURITY_VIOLATION_TYPES,
+      p_max_failed_per_hour: MAX_FAILED_ACTIONS_PER_HOUR,
+      p_max_violations_per_day: MAX_UNIQUE_VIOLATIONS_PER_DAY,
+      p_suspension_seconds: Math.round(SUSPENSION_DURATION_MS / 1000)
+    });
   } catch (e) {
     console.error('Security log failed:', e.message);
   }
 }
 
 /**
- * فحص ما إذا كان المستخدم موقوفًا أو تجاوز حدود الانتهاكات
+ * فحص ما إذا كان المستخدم موقوفًا (قراءة واحدة من security_counters)
  */
-async function isUserSuspended(userId, details = {}) {
+async function isUserSuspended(userId) {
   try {
-    const now = new Date().toISOString();
-    const oneHourAgo = new Date(Date.now() - 60 * 60 * 1000).toISOString();
-    const oneDayAgo = new Date(Date.now() - 24 * 60 * 60 * 1000).toISOString();
-
-    // التحقق من التعليق النشط
-    const suspensions = await supabaseFetch(SECURITY_LOG_TABLE, 'GET', null, `?user_id=eq.${userId}&incident_type=eq.suspended&details->>suspend_until=gt.${now}&select=id`);
-    if (Array.isArray(suspensions) && suspensions.length > 0) return true;
-
-    // عد الفشل في الساعة الأخيرة
-    const failHour = await supabaseFetch(SECURITY_LOG_TABLE, 'GET', null, `?user_id=eq.${userId}&incident_type=eq.failed_action&created_at=gt.${oneHourAgo}&select=id`);
-    if (Array.isArray(failHour) && failHour.length >= MAX_FAILED_ACTIONS_PER_HOUR) {
-      await logSecurityIncident(userId, 'suspended', { reason: 'hourly_failed_overflow', suspend_until: new Date(Date.now() + SUSPENSION_DURATION_MS).toISOString(), ...details });
-      return true;
-    }
-
-    // عد الانتهاكات الفريدة في آخر 24 ساعة
-    const uniqueViolations = await supabaseFetch(SECURITY_LOG_TABLE, 'GET', null, `?user_id=eq.${userId}&incident_type=in.(invalid_action_id,invalid_initData,rate_overflow,duplicate_task)&created_at=gt.${oneDayAgo}&select=id`);
-    if (Array.isArray(uniqueViolations) && uniqueViolations.length >= MAX_UNIQUE_VIOLATIONS_PER_DAY) {
-      await logSecurityIncident(userId, 'suspended', { reason: 'daily_violations_overflow', suspend_until: new Date(Date.now() + SUSPENSION_DURATION_MS).toISOString(), ...details });
-      return true;
-    }
-
-    return false;
+    const rows = await supabaseFetch(SECURITY_COUNTERS_TABLE, 'GET', null, `?user_id=eq.${userId}&select=suspended_until`);
+    const suspendedUntil = Array.isArray(rows) && rows.length > 0 ? rows[0].suspended_until : null;
+    return !!suspendedUntil && new Date(suspendedUntil).getTime() > Date.now();
   } catch (e) {
     console.error('Suspension check failed:', e.message);
     return false;
@@ -91,12 +195,22 @@ async function isUserSuspended(userId, details = {}) {
 }
 
 /**
- * Helper function to randomly select a prize from the defined sectors and return its index.
+ * Provably fair spin outcome (commit-reveal, see handlePreSpin / handleSpinResult):
+ * roll = first 52 bits of HMAC-SHA256(serverSeed, `${clientSeed}:${nonce}`) mod total weight,
+ * and the prize is the sector whose cumulative weight range holds the roll.
+ * The client repeats the same computation on the spin verification screen.
  */
-function calculateRandomSpinPrize() {
-    const randomIndex = Math.floor(Math.random() * SPIN_SECTORS.length);
-    const prize = SPIN_SECTORS[randomIndex];
-    return { prize, prizeIndex: randomIndex };
+function calculateSpinPrize(wheel, serverSeed, clientSeed, nonce) {
+    const totalWeight = wheel.reduce((sum, sector) => sum + sector.weight, 0);
+    const digest = crypto.createHmac('sha256', serverSeed).update(`${clientSeed}:${nonce}`).digest('hex');
+    let roll = Number(BigInt('0x' + digest.slice(0, 13)) % BigInt(totalWeight));
+    let prizeIndex = 0;
+    while (roll >= wheel[prizeIndex].weight) {
+        roll -= wheel[prizeIndex].weight;
+        prizeIndex++;
+    }
+    const prize = wheel[prizeIndex].value;
+    return { prize, prizeIndex };
 }
 
 // --- Helper Functions ---
@@ -106,57 +220,240 @@ function sendSuccess(res, data = {}) {
   res.end(JSON.stringify({ ok: true, data }));
 }
 
-function sendError(res, message, statusCode = 400) {
+/**
+ * Error response: { ok: false, error, code, details? }.
+ * - error: human-readable English text (logs, admin tools)
+ * - code: stable machine-readable code the client maps to its own (localized) message,
+ *   e.g. SUSPENDED, BANNED, LIMIT_REACHED, TOKEN_EXPIRED, NOT_MEMBER, INSUFFICIENT_BALANCE
+ * - details: optional structured data for the message (limit, retry_after_ms, ...)
+ * Without an explicit code the HTTP status decides (DEFAULT_ERROR_CODES).
+ */
+const DEFAULT_ERROR_CODES = {
+  400: 'INVALID_PARAMS',
+  401: 'UNAUTHORIZED',
+  403: 'FORBIDDEN',
+  404: 'NOT_FOUND',
+  405: 'METHOD_NOT_ALLOWED',
+  408: 'TOKEN_EXPIRED',
+  409: 'CONFLICT',
+  410: 'GONE',
+  429: 'RATE_LIMITED',
+  500: 'SERVER_ERROR',
+  502: 'UPSTREAM_ERROR'
+};
+
+function sendError(res, message, statusCode = 400, code = null, details = null) {
+  const payload = { ok: false, error: message, code: code || DEFAULT_ERROR_CODES[statusCode] || 'SERVER_ERROR' };
+  if (details) payload.details = details;
   res.writeHead(statusCode, { 'Content-Type': 'application/json' });
-  res.end(JSON.stringify({ ok: false, error: message }));
+  res.end(JSON.stringify(payload));
+}
+
+/**
+ * 429 with a Retry-After header (seconds) and details.retry_after_ms for the client countdown.
+ */
+function sendRateLimited(res, retryAfterMs) {
+  res.setHeader('Retry-After', String(Math.max(Math.ceil(retryAfterMs / 1000), 1)));
+  sendError(res, `Rate limit exceeded. Please wait ${Math.ceil(retryAfterMs / 1000)} seconds before the next action.`, 429, 'RATE_LIMITED', { retry_after_ms: retryAfterMs });
+}
+
+// ------------------------------------------------------------------
+// 🔌 Data Layer
+// ------------------------------------------------------------------
+/**
+ * Every Supabase and Bot API call goes through the data layer:
+ * - request(tableName, method, body, queryParams): PostgREST response body
+ *   (rows, an RPC result, or { code, message } on failure)
+ * - telegram(method, params): Bot API response ({ ok, result } or { ok: false, description })
+ * The default talks HTTP to SUPABASE_URL and api.telegram.org; setDataLayer()
+ * swaps either part (the offline test suite plugs in-memory fakes here).
+ */
+const httpDataLayer = {
+  async request(tableName, method, body, queryParams) {
+    if (!SUPABASE_URL || !SUPABASE_KEY) {
+      throw new Error('Supabase environment variables are not configured (URL or KEY).');
+    }
+
+    // Ensure leading slash not duplicated
+    const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
+
+    const headers = {
+      'apikey': SUPABASE_KEY,
+      'Authorization': `Bearer ${SUPABASE_KEY}`,
+      'Content-Type': 'application/json',
+      'Prefer': 'return=representation'
+    };
+
+    const options = {
+      method,
+      headers,
+      body: body ? JSON.stringify(body) : null,
+    };
+
+    const response = await fetch(url, options);
+
+    // Handle no content
+    if (response.status === 204) {
+        return [];
+    }
+
+    const text = await response.text().catch(() => null);
+    if (!text) {
+        return [];
+    }
+    try {
+        const json = JSON.parse(text);
+        return json;
+    } catch (e) {
+        // If not JSON, return raw text wrapped
+        return text;
+    }
+  },
+
+  async telegram(method, params) {
+    const response = await fetch(`https://api.telegram.org/bot${BOT_TOKEN}/${method}`, {
+      method: 'POST',
+      headers: { 'Content-Type': 'application/json' },
+      body: JSON.stringify(params)
+    });
+    const data = await response.json().catch(() => ({}));
+    return response.ok ? data : { ok: false, description: data.description || response.statusText };
+  }
+};
+
+let dataLayer = httpDataLayer;
+
+/**
+ * Replaces parts of the data layer ({ request, telegram }); no argument restores HTTP.
+ * Cached config is dropped so it is re-read from the new layer.
+ */
+function setDataLayer(layer = null) {
+  dataLayer = { ...httpDataLayer, ...(layer || {}) };
+  invalidateConfigCache();
 }
 
 /**
- * Lightweight Supabase REST helper using fetch.
+ * Lightweight Supabase REST helper (through the data layer).
  * - tableName: REST endpoint table
  * - method: GET | POST | PATCH | DELETE
  * - body: object or null
  * - queryParams: string starting with ? for filters/select/order
  */
 async function supabaseFetch(tableName, method, body = null, queryParams = '?select=*') {
-  if (!SUPABASE_URL || !SUPABASE_KEY) {
-    throw new Error('Supabase environment variables are not configured (URL or KEY).');
+  return dataLayer.request(tableName, method, body, queryParams);
+}
+
+/**
+ * Calls a Postgres function through PostgREST (/rest/v1/rpc/<name>).
+ * PostgREST answers failures with { code, message, ... }, which is thrown here.
+ */
+async function supabaseRpc(functionName, args = {}) {
+  const result = await supabaseFetch(`rpc/${functionName}`, 'POST', args, '');
+  if (result && !Array.isArray(result) && typeof result === 'object' && result.code && result.message) {
+    const error = new Error(result.message);
+    error.code = result.code;
+    throw error;
   }
+  return result;
+}
+
+// ------------------------------------------------------------------
+// ⚙️ Runtime Configuration
+// ------------------------------------------------------------------
+/**
+ * Economy settings an operator can change in app_config without a redeploy.
+ * Each key has a default (the constants above) and a validator; invalid or
+ * missing rows fall back to the default so a bad edit cannot break the API.
+ */
+const isPositiveNumber = v => typeof v === 'number' && Number.isFinite(v) && v > 0;
+const isPositiveInteger = v => Number.isInteger(v) && v > 0;
+const isValidSpinWheel = v => Array.isArray(v) && v.length >= 2 && v.length <= 12 && v.every(sector =>
+    sector && isPositiveNumber(sector.value) && isPositiveInteger(sector.weight) &&
+    typeof sector.label === 'string' && sector.label.length > 0 && sector.label.length <= 12 &&
+    typeof sector.color === 'string' && /^#[0-9a-fA-F]{6}$/.test(sector.color));
+
+const isValidCommissionLevels = v => Array.isArray(v) && v.length >= 1 && v.length <= REFERRAL_MAX_LEVELS &&
+    v.every(rate => typeof rate === 'number' && rate >= 0 && rate <= 1) &&
+    v.reduce((sum, rate) => sum + rate, 0) <= 1;
+
+const CONFIG_SCHEMA = {
+    reward_per_ad: { default: REWARD_PER_AD, valid: isPositiveNumber },
+    referral_commission_levels: { default: REFERRAL_COMMISSION_LEVELS, valid: isValidCommissionLevels },
+    daily_max_ads: { default: DAILY_MAX_ADS, valid: isPositiveInteger },
+    daily_max_spins: { default: DAILY_MAX_SPINS, valid: isPositiveInteger },
+    spin_wheel: { default: SPIN_WHEEL, valid: isValidSpinWheel },
+    task_link_reward: { default: TASK_LINK_REWARD, valid: isPositiveNumber },
+    task_link_daily_max: { default: TASK_LINK_DAILY_MAX, valid: isPositiveInteger },
+    contest_tickets_per_ad: { default: CONTEST_TICKETS_PER_AD, valid: isPositiveInteger },
+    min_withdraw: { default: MIN_WITHDRAW, valid: isPositiveNumber }
+};
+
+let configCache = null; // { values, expiresAt }
 
-  // Ensure leading slash not duplicated
-  const url = `${SUPABASE_URL}/rest/v1/${tableName}${queryParams}`;
+function defaultConfig() {
+    const values = {};
+    for (const [key, entry] of Object.entries(CONFIG_SCHEMA)) values[key] = entry.default;
+    return values;
+}
 
-  const headers = {
-    'apikey': SUPABASE_KEY,
-    'Authorization': `Bearer ${SUPABASE_KEY}`,
-    'Content-Type': 'application/json',
-    'Prefer': 'return=representation'
-  };
+/**
+ * Returns the effective configuration (defaults merged with app_config), cached for CONFIG_CACHE_TTL_MS.
+ */
+async function getConfig() {
+    if (configCache && configCache.expiresAt > Date.now()) {
+        return configCache.values;
+    }
 
-  const options = {
-    method,
-    headers,
-    body: body ? JSON.stringify(body) : null,
-  };
+    const values = defaultConfig();
+    try {
+        const rows = await supabaseFetch(CONFIG_TABLE, 'GET', null, '?select=key,value');
+        if (Array.isArray(rows)) {
+            for (const row of rows) {
+                const entry = CONFIG_SCHEMA[row.key];
+                if (!entry) continue;
+                if (entry.valid(row.value)) {
+                    values[row.key] = row.value;
+                } else {
+                    console.warn(`Ignoring invalid ${CONFIG_TABLE} value for ${row.key}.`);
+                }
+            }
+        }
+    } catch (e) {
+        // Keep serving the last known values (or defaults) when the table cannot be read
+        console.error('Config load failed:', e.message);
+        if (configCache) return configCache.values;
+    }
 
-  const response = await fetch(url, options);
+    configCache = { values, expiresAt: Date.now() + CONFIG_CACHE_TTL_MS };
+    return values;
+}
 
-  // Handle no content
-  if (response.status === 204) {
-      return [];
-  }
+function invalidateConfigCache() {
+    configCache = null;
+}
 
-  const text = await response.text().catch(() => null);
-  if (!text) {
-      return [];
-  }
-  try {
-      const json = JSON.parse(text);
-      return json;
-  } catch (e) {
-      // If not JSON, return raw text wrapped
-      return text;
+// ------------------------------------------------------------------
+// 📒 Balance Ledger
+// ------------------------------------------------------------------
+/**
+ * Books an immutable ledger row and moves users.balance atomically (ledger_apply).
+ * - amount > 0 is a credit, amount < 0 a debit (debits never go below zero)
+ * - source: handler producing the entry (watchAd, spinResult, withdraw, ...)
+ * - referenceId: action id / task id used to make the booking idempotent
+ * Returns { entry_id, balance }.
+ */
+async function applyLedgerEntry(userId, amount, source, referenceId = null) {
+  const rows = await supabaseRpc('ledger_apply', {
+    p_user_id: userId,
+    p_amount: amount,
+    p_source: source,
+    p_reference_id: referenceId !== null && referenceId !== undefined ? String(referenceId) : null
+  });
+  const row = Array.isArray(rows) ? rows[0] : rows;
+  if (!row || row.balance === undefined) {
+    throw new Error('Ledger update returned no balance.');
   }
+  return { entry_id: row.entry_id, balance: Number(row.balance) };
 }
 
 /**
@@ -171,20 +468,10 @@ async function checkChannelMembership(userId, channelUsername) {
     // The chat_id must be in the format @username or -100xxxxxxxxxx
     const chatId = channelUsername.startsWith('@') ? channelUsername : `@${channelUsername}`; 
 
-    const url = `https://api.telegram.org/bot${BOT_TOKEN}/getChatMember?chat_id=${encodeURIComponent(chatId)}&user_id=${encodeURIComponent(userId)}`;
-    
     try {
-        const response = await fetch(url);
-        if (!response.ok) {
-            const errorData = await response.json().catch(() => ({}));
-            console.error('Telegram API error (getChatMember):', errorData.description || response.statusText);
-            return false;
-        }
-
-        const data = await response.json();
-        
-        if (!data.ok) {
-             console.error('Telegram API error (getChatMember - not ok):', data.description);
+        const data = await dataLayer.telegram('getChatMember', { chat_id: chatId, user_id: userId });
+        if (!data || !data.ok) {
+             console.error('Telegram API error (getChatMember):', data && data.description);
              return false;
         }
 
@@ -201,6 +488,29 @@ async function checkChannelMembership(userId, channelUsername) {
     }
 }
 
+/**
+ * Sends a text message through the Bot API. Returns true when Telegram accepted it.
+ * - extra: additional sendMessage fields (reply_markup, parse_mode, ...)
+ */
+async function sendTelegramMessage(chatId, text, extra = {}) {
+    if (!BOT_TOKEN) {
+        console.error('BOT_TOKEN is not configured for sendMessage.');
+        return false;
+    }
+
+    try {
+        const data = await dataLayer.telegram('sendMessage', { chat_id: chatId, text, ...extra });
+        if (!data || !data.ok) {
+            console.error('Telegram API error (sendMessage):', data && data.description);
+            return false;
+        }
+        return true;
+    } catch (error) {
+        console.error('Network or parsing error during Telegram API call (sendMessage):', error.message);
+        return false;
+    }
+}
+
 /**
  * Limit-Based Reset Logic: Resets counters if the limit was reached AND the interval (6 hours) has passed since.
  */
@@ -216,9 +526,10 @@ async function resetDailyLimitsIfExpired(userId) {
 
         const user = users[0];
         const updatePayload = {};
+        const config = await getConfig();
 
         // 2. Check Ads Limit Reset
-        if (user.ads_limit_reached_at && user.ads_watched_today >= DAILY_MAX_ADS) {
+        if (user.ads_limit_reached_at && user.ads_watched_today >= config.daily_max_ads) {
             const adsLimitTime = new Date(user.ads_limit_reached_at).getTime();
             if (now - adsLimitTime > RESET_INTERVAL_MS) {
                 updatePayload.ads_watched_today = 0;
@@ -228,7 +539,7 @@ async function resetDailyLimitsIfExpired(userId) {
         }
 
         // 3. Check Spins Limit Reset
-        if (user.spins_limit_reached_at && user.spins_today >= DAILY_MAX_SPINS) {
+        if (user.spins_limit_reached_at && user.spins_today >= config.daily_max_spins) {
             const spinsLimitTime = new Date(user.spins_limit_reached_at).getTime();
             if (now - spinsLimitTime > RESET_INTERVAL_MS) {
                 updatePayload.spins_today = 0;
@@ -238,7 +549,7 @@ async function resetDailyLimitsIfExpired(userId) {
         }
 
         // 4. Check Task Link Limit Reset
-        if (user.task_link_limit_reached_at && user.task_link_clicks_today >= TASK_LINK_DAILY_MAX) {
+        if (user.task_link_limit_reached_at && user.task_link_clicks_today >= config.task_link_daily_max) {
             const tlLimitTime = new Date(user.task_link_limit_reached_at).getTime();
             if (now - tlLimitTime > RESET_INTERVAL_MS) {
                 updatePayload.task_link_clicks_today = 0;
@@ -259,35 +570,113 @@ async function resetDailyLimitsIfExpired(userId) {
 }
 
 /**
- * Rate Limiting Check for Ad/Spin Actions
+ * Takes one daily slot ('ads' | 'spins' | 'task_links') in a single conditional UPDATE
+ * (increment_daily_counter), also stamping *_limit_reached_at and last_activity.
+ * Returns the new count, or null when the limit was reached concurrently.
  */
-async function checkRateLimit(userId) {
+async function incrementDailyCounter(userId, counter, limit) {
     try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=last_activity`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return { ok: true };
+        return Number(await supabaseRpc('increment_daily_counter', { p_user_id: userId, p_counter: counter, p_limit: limit }));
+    } catch (error) {
+        if (String(error.message).includes('LIMIT_REACHED')) return null;
+        throw error;
+    }
+}
+
+// ------------------------------------------------------------------
+// 🚦 Rate Limiting
+// ------------------------------------------------------------------
+/**
+ * Client IP as seen by the platform (first x-forwarded-for entry).
+ */
+function getClientIp(req) {
+    const forwarded = String(req.headers['x-forwarded-for'] || '').split(',')[0].trim();
+    return forwarded || (req.socket && req.socket.remoteAddress) || 'unknown';
+}
+
+/**
+ * Rate limit buckets of a Mini App request: the caller's IP and, when the
+ * route names a RATE_LIMIT_ACTIONS bucket, the user's bucket for that action.
+ */
+function getRateLimitBuckets(req, userId, bucket) {
+    const ipHash = hashIp(getClientIp(req)).slice(0, 32);
+    const buckets = [{ key: `ip:${ipHash}`, capacity: RATE_LIMIT_IP.capacity, refill_ms: RATE_LIMIT_IP.refillMs }];
+    const action = RATE_LIMIT_ACTIONS[bucket];
+    if (action && userId) {
+        buckets.push({ key: `${bucket}:${userId}`, capacity: action.capacity, refill_ms: action.refillMs });
+    }
+    return buckets;
+}
+
+/**
+ * Takes one token from every bucket (all or nothing).
+ * Returns { ok: true } or { ok: false, retryAfterMs, bucket, shared }; shared is true when the
+ * limited bucket is the IP bucket, which everyone behind one NAT / carrier gateway draws from.
+ *
+ * Fails open on purpose: if the bucket store errors the request is allowed (and logged), since
+ * the action token, daily limits and ledger idempotency still hold and a database hiccup should
+ * not turn into an outage for every user.
+ */
+async function takeRateLimitTokens(buckets) {
+    try {
+        const rows = await supabaseRpc('take_rate_limit_tokens', { p_buckets: buckets });
+        const row = Array.isArray(rows) && rows.length > 0 ? rows[0] : null;
+
+        if (Math.random() < RATE_LIMIT_PRUNE_PROBABILITY) {
+            supabaseRpc('prune_rate_limit_buckets', { p_idle_seconds: RATE_LIMIT_BUCKET_IDLE_SECONDS }).catch(e => {
+                console.error('Pruning rate limit buckets failed:', e.message);
+            });
         }
 
-        const user = users[0];
-        const lastActivity = user.last_activity ? new Date(user.last_activity).getTime() : 0; 
-        const now = Date.now();
-        const timeElapsed = now - lastActivity;
-
-        if (timeElapsed < MIN_TIME_BETWEEN_ACTIONS_MS) {
-            const remainingTime = MIN_TIME_BETWEEN_ACTIONS_MS - timeElapsed;
-            return {
-                ok: false,
-                message: `Rate limit exceeded. Please wait ${Math.ceil(remainingTime / 1000)} seconds before the next action.`,
-                remainingTime: remainingTime
-            };
+        if (!row || row.allowed !== false) {
+            return { ok: true };
         }
-        return { ok: true };
+        const bucket = row.limited_key;
+        return { ok: false, retryAfterMs: Number(row.retry_after_ms) || 1000, bucket, shared: String(bucket).startsWith('ip:') };
     } catch (error) {
-        console.error(`Rate limit check failed for user ${userId}:`, error.message);
+        console.error('Rate limit check failed, allowing the request (fail open):', error.message);
         return { ok: true };
     }
 }
 
+// ------------------------------------------------------------------
+// 🕵️ Multi-Account Detection
+// ------------------------------------------------------------------
+/**
+ * Remembers the (ip_hash, ua_hash, device_hash) a user opened the app from.
+ * The RPC flags referral pairs on a shared device and device clusters of
+ * DEVICE_CLUSTER_MIN_REFEREES+ referees; flagged pairs earn no commission.
+ * A device is the client's device id together with the user agent: IP and
+ * user agent alone are shared by strangers behind CGNAT, so without a device
+ * id the sighting is only stored for the admin view.
+ * Never throws: detection must not break registration.
+ */
+async function recordUserDevice(req, userId, deviceId) {
+    try {
+        const flagged = Number(await supabaseRpc('record_user_device', {
+            p_user_id: userId,
+            p_ip_hash: hashIp(getClientIp(req)),
+            p_ua_hash: hashUserAgent(req.headers['user-agent']),
+            p_device_hash: deviceId ? hashDeviceId(deviceId) : '',
+            p_max_levels: REFERRAL_MAX_LEVELS,
+            p_min_cluster: DEVICE_CLUSTER_MIN_REFEREES
+        }));
+        if (flagged > 0) {
+            console.warn(`Multi-account detection flagged ${flagged} referral pair(s) for user ${userId}.`);
+        }
+    } catch (error) {
+        console.error(`Device recording failed for ${userId}:`, error.message);
+    }
+}
+
+/**
+ * Referrers (any level) whose commissions from this referee are withheld.
+ */
+async function getFlaggedReferrers(refereeId) {
+    const rows = await supabaseFetch('flagged_referrals', 'GET', null, `?referee_id=eq.${refereeId}&cleared_at=is.null&select=referrer_id`);
+    return new Set(Array.isArray(rows) ? rows.map(r => Number(r.referrer_id)) : []);
+}
+
 // ------------------------------------------------------------------
 // **initData Security Validation Function**
 // ------------------------------------------------------------------
@@ -321,7 +710,8 @@ function validateInitData(initData) {
         .update(dataCheckString)
         .digest('hex');
 
-    if (calculatedHash !== hash) {
+    if (!/^[0-9a-f]{64}$/i.test(hash || '') ||
+        !crypto.timingSafeEqual(Buffer.from(calculatedHash, 'hex'), Buffer.from(hash, 'hex'))) {
         console.warn(`Security Check Failed: Hash mismatch.`);
         return false;
     }
@@ -334,7 +724,7 @@ function validateInitData(initData) {
 
     const authDate = parseInt(authDateParam) * 1000;
     const currentTime = Date.now();
-    const expirationTime = 1200 * 1000; // 20 minutes limit
+    const expirationTime = INIT_DATA_MAX_AGE_SECONDS * 1000;
 
     if (currentTime - authDate > expirationTime) {
         console.warn(`Security Check Failed: Data expired.`);
@@ -365,172 +755,868 @@ function parseInitDataToObject(initData) {
     }
 }
 
+/**
+ * Returns the `user` object of initData (only trustworthy after validateInitData), or null.
+ */
+function getInitDataUser(initData) {
+    const parsed = parseInitDataToObject(initData);
+    try {
+        const user = typeof parsed.user === 'string' ? JSON.parse(parsed.user) : parsed.user;
+        return user && typeof user === 'object' ? user : null;
+    } catch (e) {
+        return null;
+    }
+}
+
+/**
+ * Reads the Telegram user id from the signed `user` field of initData.
+ */
+function getInitDataUserId(initData) {
+    const user = getInitDataUser(initData);
+    const id = user ? parseInt(user.id) : NaN;
+    return isNaN(id) ? null : id;
+}
+
 // ------------------------------------------------------------------
 // 🔑 Commission Helper Function
 // ------------------------------------------------------------------
 /**
- * Processes the commission for the referrer and updates their balance.
+ * Pays referral commissions up the ref_by chain, starting at the referee's
+ * direct referrer (level 1), with one rate per level from
+ * config.referral_commission_levels. Every level is a separate ledger entry
+ * and commission_history row.
+ *
+ * Cycle protection: the walk stops as soon as it reaches a user it has
+ * already seen (including the referee), so A→B→A chains pay at most once
+ * per account and never back to the earner. Banned referrers are skipped but
+ * do not break the chain, and so are referrers whose pair with the referee
+ * was flagged by multi-account detection (flagged_referrals).
+ *
+ * Returns { ok, new_referrer_balance (level 1), payouts: [{ level, referrer_id, amount }] }.
+ * Never throws, so earning handlers can await it after booking the reward.
  */
-async function processCommission(referrerId, refereeId, sourceReward) {
-    // 1. Calculate commission
-    const commissionAmount = sourceReward * REFERRAL_COMMISSION_RATE; 
-    
-    if (commissionAmount < 0.000001) { 
-        console.log(`Commission too small (${commissionAmount}). Aborted for referee ${refereeId}.`);
-        return { ok: false, error: 'Commission amount is effectively zero.' };
-    }
+async function processCommission(referrerId, refereeId, sourceReward, sourceReference = null) {
+    const visited = new Set([Number(refereeId)]);
+    const payouts = [];
+    let newReferrerBalance = null;
+    let currentId = Number(referrerId);
 
     try {
-        // 2. Fetch referrer's current balance and status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${referrerId}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0 || users[0].is_banned) {
-             console.log(`Referrer ${referrerId} not found or banned. Commission aborted.`);
-             return { ok: false, error: 'Referrer not found or banned, commission aborted.' };
-        }
-        
-        // 3. Update balance: newBalance will now include the decimal commission
-        const newBalance = (users[0].balance || 0) + commissionAmount;
-        
-        // 4. Update referrer balance
-        await supabaseFetch('users', 'PATCH', { balance: newBalance }, `?id=eq.${referrerId}`); 
+        const rates = (await getConfig()).referral_commission_levels;
+        const flaggedReferrers = await getFlaggedReferrers(refereeId);
+
+        for (let level = 1; level <= rates.length && Number.isInteger(currentId) && currentId > 0; level++) {
+            // 1. Cycle check
+            if (visited.has(currentId)) {
+                console.warn(`Referral cycle detected at ${currentId} (referee ${refereeId}, level ${level}). Chain stopped.`);
+                break;
+            }
+            visited.add(currentId);
 
-        // 5. Add record to commission_history
-        await supabaseFetch('commission_history', 'POST', { referrer_id: referrerId, referee_id: refereeId, amount: commissionAmount, source_reward: sourceReward, created_at: new Date().toISOString() }, '?select=referrer_id');
-        
-        return { ok: true, new_referrer_balance: newBalance };
-    
+            // 2. Fetch the referrer's status and their own referrer (next level)
+            const users = await supabaseFetch('users', 'GET', null, `?id=eq.${currentId}&select=is_banned,ref_by`);
+            if (!Array.isArray(users) || users.length === 0) {
+                console.log(`Referrer ${currentId} not found. Commission chain stopped at level ${level}.`);
+                break;
+            }
+            const referrer = users[0];
+            const commissionAmount = sourceReward * rates[level - 1];
+
+            if (referrer.is_banned) {
+                console.log(`Referrer ${currentId} is banned. Level ${level} commission skipped.`);
+            } else if (flaggedReferrers.has(currentId)) {
+                console.log(`Referral pair ${currentId} -> ${refereeId} is flagged. Level ${level} commission withheld.`);
+            } else if (commissionAmount >= 0.000001) {
+                // 3. Credit through the ledger (reference ties it to the referee's reward and the level)
+                let reference = null;
+                if (sourceReference) {
+                    reference = level === 1 ? `${refereeId}:${sourceReference}` : `${refereeId}:${sourceReference}:L${level}`;
+                }
+                const { balance } = await applyLedgerEntry(currentId, commissionAmount, 'commission', reference);
+                if (level === 1) newReferrerBalance = balance;
+
+                // 4. Add record to commission_history
+                await supabaseFetch('commission_history', 'POST', { referrer_id: currentId, referee_id: refereeId, level, amount: commissionAmount, source_reward: sourceReward, created_at: new Date().toISOString() }, '?select=referrer_id');
+
+                // 5. Lifetime total + milestone notification
+                await trackCommissionMilestone(currentId, commissionAmount);
+
+                payouts.push({ level, referrer_id: currentId, amount: commissionAmount });
+            }
+
+            currentId = referrer.ref_by ? Number(referrer.ref_by) : null;
+        }
     } catch (error) {
         console.error('Commission failed:', error.message);
-        return { ok: false, error: `Commission failed: ${error.message}` };
+        return { ok: false, error: `Commission failed: ${error.message}`, payouts };
+    }
+
+    if (payouts.length === 0) {
+        console.log(`No commission paid for referee ${refereeId}.`);
+        return { ok: false, error: 'No eligible referrer or commission amount is effectively zero.', payouts };
     }
+    return { ok: true, new_referrer_balance: newReferrerBalance, payouts };
 }
 
 
 // ------------------------------------------------------------------
-// 🔒 Action ID Security System
+// 📣 Bot Notifications
 // ------------------------------------------------------------------
 
 /**
- * Generates a strong, random ID for the client to use only once.
+ * Sends a bot message to a user unless they opted out (/notify_off).
+ * Undelivered messages go to notification_queue and are retried later.
+ * Never throws: notifications must not break the calling flow.
  */
-function generateStrongId() {
-    return crypto.randomBytes(32).toString('hex');
+async function notifyUser(userId, kind, message) {
+    try {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${userId}&select=notifications_enabled`);
+        if (!Array.isArray(users) || users.length === 0 || users[0].notifications_enabled === false) {
+            return false;
+        }
+
+        if (await sendTelegramMessage(userId, message)) {
+            return true;
+        }
+
+        await supabaseFetch(NOTIFICATION_QUEUE_TABLE, 'POST', {
+            user_id: userId,
+            kind,
+            message,
+            status: 'pending',
+            attempts: 1,
+            last_error: 'initial delivery failed',
+            next_attempt_at: new Date(Date.now() + NOTIFICATION_RETRY_BASE_MS).toISOString(),
+            created_at: new Date().toISOString()
+        }, '?select=id');
+        return false;
+    } catch (error) {
+        console.error(`Notification ${kind} for user ${userId} failed:`, error.message);
+        return false;
+    }
 }
 
 /**
- * HANDLER: type: "generateActionId"
+ * Retries due messages from notification_queue (exponential backoff,
+ * marked 'failed' after NOTIFICATION_MAX_ATTEMPTS). Returns counters.
  */
-async function handleGenerateActionId(req, res, body) {
-    const { user_id, action_type } = body;
-    const id = parseInt(user_id);
-    
-    if (!action_type) {
-        return sendError(res, 'Missing action_type.', 400);
-    }
-    
-    // Check if the user already has an unexpired ID for this action type
-    try {
-        const existingIds = await supabaseFetch('temp_actions', 'GET', null, `?user_id=eq.${id}&action_type=eq.${action_type}&select=action_id,created_at,id`);
-        
-        if (Array.isArray(existingIds) && existingIds.length > 0) {
-            const lastIdTime = new Date(existingIds[0].created_at).getTime();
-            if (Date.now() - lastIdTime < ACTION_ID_EXPIRY_MS) {
-                 // If the existing ID is still valid, return it to prevent spamming the table
-                return sendSuccess(res, { action_id: existingIds[0].action_id });
-            } else {
-                 // Clean up expired ID before creating a new one
-                 await supabaseFetch('temp_actions', 'DELETE', null, `?user_id=eq.${id}&action_type=eq.${action_type}`);
-            }
+async function processNotificationQueue(limit = 50) {
+    const now = new Date().toISOString();
+    const due = await supabaseFetch(NOTIFICATION_QUEUE_TABLE, 'GET', null, `?status=eq.pending&next_attempt_at=lte.${now}&select=id,user_id,kind,message,attempts&order=next_attempt_at.asc&limit=${limit}`);
+    const summary = { processed: 0, sent: 0, failed: 0, retrying: 0 };
+    if (!Array.isArray(due)) return summary;
+
+    for (const item of due) {
+        summary.processed++;
+
+        // Respect an opt-out that happened after the message was queued
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${item.user_id}&select=notifications_enabled`);
+        const optedOut = !Array.isArray(users) || users.length === 0 || users[0].notifications_enabled === false;
+
+        const delivered = !optedOut && await sendTelegramMessage(item.user_id, item.message);
+        const attempts = (item.attempts || 0) + 1;
+        let update;
+
+        if (delivered) {
+            update = { status: 'sent', attempts, sent_at: new Date().toISOString(), last_error: null };
+            summary.sent++;
+        } else if (optedOut || attempts >= NOTIFICATION_MAX_ATTEMPTS) {
+            update = { status: 'failed', attempts, last_error: optedOut ? 'user opted out' : 'max attempts reached' };
+            summary.failed++;
+        } else {
+            const delay = NOTIFICATION_RETRY_BASE_MS * Math.pow(2, attempts - 1);
+            update = { attempts, last_error: 'delivery failed', next_attempt_at: new Date(Date.now() + delay).toISOString() };
+            summary.retrying++;
         }
-    } catch(e) {
-        console.warn('Error checking existing temp_actions:', e.message);
-    }
-    
-    // Generate and save the new ID
-    const newActionId = generateStrongId();
-    
-    try {
-        await supabaseFetch('temp_actions', 'POST',
-            { user_id: id, action_id: newActionId, action_type: action_type, created_at: new Date().toISOString() },
-            '?select=action_id');
-            
-        sendSuccess(res, { action_id: newActionId });
-    } catch (error) {
-        console.error('Failed to generate and save action ID:', error.message);
-        sendError(res, 'Failed to generate security token.', 500);
+
+        await supabaseFetch(NOTIFICATION_QUEUE_TABLE, 'PATCH', update, `?id=eq.${item.id}`);
     }
+
+    return summary;
 }
 
+/**
+ * Notifies the referrer when a new referee registers.
+ */
+function notifyReferralJoined(referrerId, profile = {}) {
+    const name = profile.first_name || (profile.username ? `@${profile.username}` : 'A new user');
+    return notifyUser(referrerId, 'referral_joined', `🎉 ${name} joined using your invite link! You will earn a share of their rewards.`);
+}
 
 /**
- * Middleware: Checks if the Action ID is valid and then deletes it.
+ * Adds a commission to the referrer's lifetime total and notifies them
+ * when it crosses one of COMMISSION_MILESTONES.
  */
-async function validateAndUseActionId(res, userId, actionId, actionType) {
-    if (!actionId) {
-        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400);
-        return false;
-    }
-    
+async function trackCommissionMilestone(referrerId, commissionAmount) {
     try {
-        const query = `?user_id=eq.${userId}&action_id=eq.${actionId}&action_type=eq.${actionType}&select=id,created_at`;
-        const records = await supabaseFetch('temp_actions', 'GET', null, query);
-        
-        if (!Array.isArray(records) || records.length === 0) {
-            sendError(res, 'Invalid or previously used Server Token (Action ID).', 409); 
-            return false;
-        }
-        
-        const record = records[0];
-        const recordTime = new Date(record.created_at).getTime();
-        
-        // 1. Check Expiration (60 seconds)
-        if (Date.now() - recordTime > ACTION_ID_EXPIRY_MS) {
-            await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
-            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408); 
-            return false;
-        }
-
-        // 2. Use the token: Delete it to prevent reuse
-        await supabaseFetch('temp_actions', 'DELETE', null, `?id=eq.${record.id}`);
-
-        return true;
+        const total = Number(await supabaseRpc('add_commission_total', { p_user_id: referrerId, p_amount: commissionAmount }));
+        if (!Number.isFinite(total)) return;
 
+        const previous = total - commissionAmount;
+        const reached = COMMISSION_MILESTONES.filter(m => previous < m && total >= m).pop();
+        if (reached) {
+            await notifyUser(referrerId, 'commission_milestone', `🏅 Milestone reached: you have earned ${reached.toLocaleString('en-US')} SHIB from your referrals!`);
+        }
     } catch (error) {
-        console.error(`Error validating Action ID ${actionId}:`, error.message);
-        sendError(res, 'Security validation failed.', 500);
-        return false;
+        console.error(`Commission milestone tracking failed for ${referrerId}:`, error.message);
     }
 }
 
-// --- API Handlers ---
-
+// ------------------------------------------------------------------
+// 💸 Payout Providers
+// ------------------------------------------------------------------
 /**
- * HANDLER: type: "getUserData"
+ * Every withdrawal method is a provider with the same interface:
+ * - validateDestination(raw) -> { ok, destination } | { ok: false, error }
+ * - send({ withdrawalId, amount, destination }) -> { ok, status: 'paid' | 'processing', reference } | { ok: false, error }
+ * - getStatus(reference) -> { status: 'paid' | 'processing' | 'failed', error? }
+ * - automatic: whether approved withdrawals can be sent without manual work
+ * Adding a method means adding a provider here; storage is the shared withdrawals table.
  */
-async function handleGetUserData(req, res, body) {
-    const { user_id } = body;
-    if (!user_id) {
-        return sendError(res, 'Missing user_id for data fetch.');
+
+const EMAIL_REGEX = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
+
+const faucetPayProvider = {
+    name: 'FaucetPay',
+    get automatic() { return !!FAUCETPAY_API_KEY; },
+
+    validateDestination(raw) {
+        const email = typeof raw === 'string' ? raw.trim() : '';
+        if (!EMAIL_REGEX.test(email)) {
+            return { ok: false, error: 'Invalid FaucetPay email address.' };
+        }
+        return { ok: true, destination: email };
+    },
+
+    async send({ withdrawalId, amount, destination }) {
+        // FaucetPay amounts are integers in 1e-8 units of the currency
+        const form = new URLSearchParams({
+            api_key: FAUCETPAY_API_KEY,
+            amount: String(Math.round(amount * 1e8)),
+            to: destination,
+            currency: PAYOUT_CURRENCY,
+            referral: 'false'
+        });
+        const response = await fetch('https://faucetpay.io/api/v1/send', { method: 'POST', body: form });
+        const data = await response.json().catch(() => ({}));
+        if (!response.ok || data.status !== 200) {
+            return { ok: false, error: data.message || `FaucetPay error ${response.status}` };
+        }
+        // FaucetPay transfers are instant
+        return { ok: true, status: 'paid', reference: String(data.payout_id || `faucetpay_${withdrawalId}`) };
+    },
+
+    async getStatus(reference) {
+        return { status: reference ? 'paid' : 'failed' };
     }
-    const id = parseInt(user_id);
+};
 
-    // فحص التعليق الأمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+/**
+ * Signs a Binance Pay request (HMAC-SHA512 of "timestamp\nnonce\nbody\n").
+ */
+async function binancePayRequest(path, payload) {
+    const body = JSON.stringify(payload);
+    const timestamp = Date.now().toString();
+    const nonce = crypto.randomBytes(16).toString('hex');
+    const signature = crypto.createHmac('sha512', BINANCE_PAY_SECRET_KEY)
+        .update(`${timestamp}\n${nonce}\n${body}\n`)
+        .digest('hex')
+        .toUpperCase();
+
+    const response = await fetch(`https://bpay.binanceapi.com${path}`, {
+        method: 'POST',
+        headers: {
+            'Content-Type': 'application/json',
+            'BinancePay-Timestamp': timestamp,
+            'BinancePay-Nonce': nonce,
+            'BinancePay-Certificate-SN': BINANCE_PAY_API_KEY,
+            'BinancePay-Signature': signature
+        },
+        body
+    });
+    const data = await response.json().catch(() => ({}));
+    if (!response.ok || data.status !== 'SUCCESS') {
+        throw new Error(data.errorMessage || `Binance Pay error ${response.status}`);
     }
+    return data.data || {};
+}
 
-    try {
-        // 1. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
+const binanceProvider = {
+    name: 'Binance',
+    get automatic() { return !!(BINANCE_PAY_API_KEY && BINANCE_PAY_SECRET_KEY); },
 
-        // 2. Fetch user data (including new task link fields and profile)
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,is_banned,ref_by,ads_limit_reached_at,spins_limit_reached_at,task_completed,task_link_clicks_today,task_link_limit_reached_at,first_name,photo_url`);
+    validateDestination(raw) {
+        const binanceId = typeof raw === 'string' ? raw.trim() : String(raw || '').trim();
+        if (!/^\d{4,20}$/.test(binanceId)) {
+            return { ok: false, error: 'Invalid Binance ID. It must contain digits only.' };
+        }
+        return { ok: true, destination: binanceId };
+    },
 
-        if (!users || (Array.isArray(users) && users.length === 0)) {
-            return sendSuccess(res, {
-                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false, task_completed: false, task_link_clicks_today: 0
+    async send({ withdrawalId, amount, destination }) {
+        const requestId = `withdrawal_${withdrawalId}`;
+        try {
+            await binancePayRequest('/binancepay/openapi/payout/transfer', {
+                requestId,
+                batchName: requestId,
+                currency: PAYOUT_CURRENCY,
+                totalAmount: amount,
+                totalNumber: 1,
+                bizScene: 'DIRECT_TRANSFER',
+                transferDetailList: [{
+                    merchantSendId: requestId,
+                    receiveType: 'BINANCE_ID',
+                    receiver: destination,
+                    transferAmount: amount,
+                    transferMethod: 'SPOT_WALLET',
+                    remark: 'Withdrawal'
+                }]
+            });
+            // Accepted transfers settle asynchronously; getStatus polls the batch
+            return { ok: true, status: 'processing', reference: requestId };
+        } catch (error) {
+            return { ok: false, error: error.message };
+        }
+    },
+
+    async getStatus(reference) {
+        try {
+            const data = await binancePayRequest('/binancepay/openapi/payout/query', { requestId: reference });
+            if (data.status === 'SUCCESS') return { status: 'paid' };
+            if (['FAILED', 'CANCELED', 'EXPIRED'].includes(data.status)) return { status: 'failed', error: data.status };
+            return { status: 'processing' };
+        } catch (error) {
+            return { status: 'processing', error: error.message };
+        }
+    }
+};
+
+// In-memory provider for local testing: pays instantly, remembers references.
+const mockPayouts = new Map();
+const mockProvider = {
+    name: 'Mock',
+    automatic: true,
+
+    validateDestination(raw) {
+        const destination = typeof raw === 'string' ? raw.trim() : '';
+        if (!destination) {
+            return { ok: false, error: 'Missing mock destination.' };
+        }
+        return { ok: true, destination };
+    },
+
+    async send({ withdrawalId, amount, destination }) {
+        const reference = `mock_${withdrawalId}`;
+        mockPayouts.set(reference, { amount, destination, status: 'paid' });
+        return { ok: true, status: 'paid', reference };
+    },
+
+    async getStatus(reference) {
+        const payout = mockPayouts.get(reference);
+        return { status: payout ? payout.status : 'failed' };
+    }
+};
+
+const PAYOUT_PROVIDERS = {
+    faucetpay: faucetPayProvider,
+    binance: binanceProvider,
+    ...(PAYOUT_MOCK_ENABLED ? { mock: mockProvider } : {})
+};
+
+/**
+ * Sends an approved withdrawal through its provider. The payout is claimed first
+ * (payout_status none/failed -> processing) so concurrent calls cannot pay twice.
+ * Returns { ok, payout_status, error? }.
+ */
+async function executePayout(withdrawal) {
+    const provider = PAYOUT_PROVIDERS[withdrawal.method];
+    if (!provider || !provider.automatic) {
+        return { ok: false, payout_status: 'none', error: 'Provider is not configured for automatic payouts.' };
+    }
+
+    const claimed = await supabaseFetch('withdrawals', 'PATCH',
+        { payout_status: 'processing', payout_error: null },
+        `?id=eq.${withdrawal.id}&status=eq.approved&payout_status=in.(none,failed)&select=id`);
+    if (!Array.isArray(claimed) || claimed.length === 0) {
+        return { ok: false, payout_status: 'processing', error: 'Payout already in progress or done.' };
+    }
+
+    let result;
+    try {
+        result = await provider.send({ withdrawalId: withdrawal.id, amount: Number(withdrawal.amount), destination: withdrawal.destination });
+    } catch (error) {
+        result = { ok: false, error: error.message };
+    }
+
+    const update = result.ok
+        ? { payout_status: result.status, payout_reference: result.reference, paid_at: result.status === 'paid' ? new Date().toISOString() : null }
+        : { payout_status: 'failed', payout_error: String(result.error || 'Unknown payout error').slice(0, 500) };
+    await supabaseFetch('withdrawals', 'PATCH', update, `?id=eq.${withdrawal.id}`);
+
+    return { ok: !!result.ok, payout_status: update.payout_status, error: result.ok ? undefined : update.payout_error };
+}
+
+// ------------------------------------------------------------------
+// 📺 Ad Reward Verification
+// ------------------------------------------------------------------
+/**
+ * Ad networks report finished ads server-to-server: GET <api>?ad_callback=<network>&...
+ * Each network verifies its own callback and returns { ok, userId, impressionId }.
+ * Verified callbacks become ad_impressions rows; rewarded requests consume one.
+ */
+
+function stubAdSignature(userId, impressionId, ts) {
+    return crypto.createHmac('sha256', AD_STUB_SECRET).update(`stub:${userId}:${impressionId}:${ts}`).digest('hex');
+}
+
+const AD_NETWORKS = {
+    // AdsGram cannot sign callbacks, so its reward URL carries a secret token instead
+    adsgram: {
+        get enabled() { return !!ADSGRAM_REWARD_SECRET; },
+        verify(params) {
+            const token = params.get('token') || '';
+            const userId = parseInt(params.get('userid') || params.get('user_id'));
+            if (!token || !safeEqual(token, ADSGRAM_REWARD_SECRET) || isNaN(userId)) {
+                return { ok: false, userId: isNaN(userId) ? null : userId };
+            }
+            // The impression id must come out the same when AdsGram retries a callback, so it is
+            // the network's record id (&record_id=...); without it a retry and a second ad
+            // cannot be told apart, so such callbacks are refused.
+            const recordId = params.get('record_id') || '';
+            if (!/^[\w.:-]{1,128}$/.test(recordId)) {
+                return { ok: false, userId };
+            }
+            return { ok: true, userId, impressionId: `${userId}:${recordId}` };
+        }
+    },
+
+    // Test network: ?ad_callback=stub&user_id=&impression_id=&ts=&signature=hex(HMAC(AD_STUB_SECRET, "stub:user_id:impression_id:ts"))
+    stub: {
+        get enabled() { return !!AD_STUB_SECRET; },
+        verify(params) {
+            const userId = parseInt(params.get('user_id'));
+            const impressionId = params.get('impression_id') || '';
+            const ts = parseInt(params.get('ts'));
+            const signature = params.get('signature') || '';
+            if (isNaN(userId) || !impressionId || isNaN(ts) || Math.abs(Date.now() - ts) > AD_STUB_MAX_SKEW_MS) {
+                return { ok: false, userId: isNaN(userId) ? null : userId };
+            }
+            if (!safeEqual(signature, stubAdSignature(userId, impressionId, ts))) {
+                return { ok: false, userId };
+            }
+            return { ok: true, userId, impressionId };
+        }
+    }
+};
+
+/**
+ * GET ?ad_callback=<network> — stores a verified impression (idempotent per network + impression id).
+ */
+async function handleAdRewardCallback(req, res, params) {
+    const networkName = params.get('ad_callback');
+    const network = AD_NETWORKS[networkName];
+    if (!network || !network.enabled) {
+        return sendError(res, 'Unknown ad network.', 404, 'UNKNOWN_AD_NETWORK');
+    }
+
+    const verified = network.verify(params);
+    if (!verified.ok) {
+        const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
+        // Logged under user 0: the user id of a failed callback is unverified
+        await logSecurityIncident(0, 'invalid_ad_callback', { network: networkName, claimed_user_id: verified.userId, ...details });
+        return sendError(res, 'Invalid ad callback signature.', 401, 'INVALID_SIGNATURE');
+    }
+
+    try {
+        const raw = Object.fromEntries([...params.entries()].filter(([key]) => key !== 'token' && key !== 'signature'));
+        const inserted = await supabaseFetch('ad_impressions', 'POST', {
+            network: networkName,
+            impression_id: verified.impressionId,
+            user_id: verified.userId,
+            raw
+        }, '?select=id');
+
+        if (inserted && !Array.isArray(inserted) && inserted.code) {
+            if (inserted.code === '23505') {
+                return sendSuccess(res, { duplicate: true });
+            }
+            if (inserted.code === '23503') {
+                return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+            }
+            throw new Error(inserted.message || 'Impression insert failed.');
+        }
+
+        sendSuccess(res, { impression_id: verified.impressionId });
+    } catch (error) {
+        console.error('AdRewardCallback failed:', error.message);
+        sendError(res, `Failed to store impression: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * Consumes one fresh verified impression of the user for a rewarded request.
+ * Waits up to AD_CALLBACK_WAIT_MS for a callback still in flight.
+ * Returns the consumed impression's id (true when verification is off).
+ * On failure the error response is already sent and false is returned.
+ */
+async function requireAdImpression(res, userId, purpose, details) {
+    if (!AD_VERIFICATION_REQUIRED) return true;
+
+    const deadline = Date.now() + AD_CALLBACK_WAIT_MS;
+    while (true) {
+        try {
+            return await supabaseRpc('consume_ad_impression', {
+                p_user_id: userId,
+                p_purpose: purpose,
+                p_max_age_seconds: AD_IMPRESSION_MAX_AGE_SECONDS
+            });
+        } catch (error) {
+            if (!String(error.message).includes('AD_NOT_VERIFIED')) throw error;
+        }
+        if (Date.now() >= deadline) break;
+        await new Promise(resolve => setTimeout(resolve, AD_CALLBACK_POLL_MS));
+    }
+
+    await logSecurityIncident(userId, 'unverified_ad', { action: purpose, ...details });
+    sendError(res, 'Ad view could not be verified. Please watch the full ad and try again.', 403, 'AD_NOT_VERIFIED');
+    return false;
+}
+
+/**
+ * Hands an impression taken by requireAdImpression back when the request that
+ * consumed it is refused afterwards, so the user's ad view is not lost.
+ */
+async function releaseAdImpression(impressionId) {
+    if (typeof impressionId !== 'number') return;
+    await supabaseFetch('ad_impressions', 'PATCH',
+        { status: 'verified', consumed_by: null, consumed_at: null },
+        `?id=eq.${impressionId}&status=eq.consumed`);
+}
+
+// ------------------------------------------------------------------
+// 🏆 Contest Lifecycle
+// ------------------------------------------------------------------
+/**
+ * Contests are rows of `contests` (several can run at once); tickets live in
+ * contest_tickets keyed by (contest_id, user_id). Once a contest's end time passes
+ * it is closed lazily (by the next request that reads it) or explicitly
+ * (adminCloseContest): winners are drawn here and settle_contest() credits the
+ * prizes, archives the results and, for auto_renew contests, opens the next round.
+ */
+
+function normalizeContestRow(row) {
+    const prizes = Array.isArray(row.prizes) ? row.prizes.map(Number).filter(p => p > 0) : [];
+    return {
+        id: row.id,
+        name: row.name,
+        start_time: row.start_time,
+        end_time: row.end_time,
+        mode: row.mode || 'top',
+        prizes,
+        prize_pool: prizes.reduce((sum, p) => sum + p, 0),
+        tickets_per_ad: row.tickets_per_ad,
+        max_tickets_per_user: row.max_tickets_per_user || null,
+        status: row.status || 'running',
+        seed_hash: row.seed_hash || null
+    };
+}
+
+/**
+ * Reads one contest, or the running contest that ends first when no id is given
+ * (clients that do not know about multiple contests yet).
+ */
+async function getContest(contestId) {
+    const query = contestId
+        ? `?id=eq.${parseInt(contestId)}&select=${CONTEST_PUBLIC_FIELDS}`
+        : `?status=eq.running&start_time=lte.${new Date().toISOString()}&select=${CONTEST_PUBLIC_FIELDS}&order=end_time.asc&limit=1`;
+    const rows = await supabaseFetch('contests', 'GET', null, query);
+    return Array.isArray(rows) && rows.length > 0 ? normalizeContestRow(rows[0]) : null;
+}
+
+function isContestEnded(contest, now = Date.now()) {
+    return !!(contest && contest.status === 'running' && new Date(contest.end_time).getTime() <= now);
+}
+
+function contestSeedHash(seed) {
+    return crypto.createHash('sha256').update(seed, 'utf8').digest('hex');
+}
+
+/**
+ * Ticket-weighted draw without replacement. Deterministic for a given seed, so it
+ * can be replayed from the archived tickets once the seed is revealed:
+ * for pick k, r = first 8 bytes of sha256(`${seed}:${k}`) mod remaining tickets,
+ * and the winner is the entry whose cumulative range (ordered by user_id) holds r.
+ */
+function drawContestWinners(entries, seed, count) {
+    const pool = entries.filter(e => e.tickets > 0).sort((a, b) => a.user_id - b.user_id);
+    const winners = [];
+
+    for (let k = 0; k < count && pool.length > 0; k++) {
+        const total = pool.reduce((sum, e) => sum + e.tickets, 0);
+        const digest = crypto.createHash('sha256').update(`${seed}:${k}`).digest('hex');
+        let r = Number(BigInt('0x' + digest.slice(0, 16)) % BigInt(total));
+
+        let index = 0;
+        while (r >= pool[index].tickets) {
+            r -= pool[index].tickets;
+            index++;
+        }
+        winners.push(pool[index]);
+        pool.splice(index, 1);
+    }
+    return winners;
+}
+
+/**
+ * Ranks every participant of a round. Winners (drawn or top-N) take ranks 1..N
+ * with their prize; everyone else follows by tickets with prize 0.
+ * Banned users keep their archived tickets but cannot win.
+ */
+function rankContestEntries(contest, entries, seed, bannedIds) {
+    const byTickets = [...entries].sort((a, b) =>
+        (b.tickets - a.tickets) || (new Date(a.updated_at || 0) - new Date(b.updated_at || 0)) || (a.user_id - b.user_id));
+    const eligible = entries.filter(e => !bannedIds.has(e.user_id));
+
+    const winners = contest.mode === 'top'
+        ? byTickets.filter(e => !bannedIds.has(e.user_id)).slice(0, contest.prizes.length)
+        : drawContestWinners(eligible, seed, contest.prizes.length);
+    const winnerIds = new Set(winners.map(w => w.user_id));
+
+    return [...winners, ...byTickets.filter(e => !winnerIds.has(e.user_id))].map((e, i) => ({
+        user_id: e.user_id,
+        rank: i + 1,
+        tickets: e.tickets,
+        prize: i < winners.length ? contest.prizes[i] : 0
+    }));
+}
+
+/**
+ * Closes the contest if its end time has passed (or when forced by an admin).
+ * Returns { contest_id, next_contest_id, seed, winners } or null when nothing was closed.
+ */
+async function closeContestIfEnded(contest, force = false) {
+    if (!contest || contest.status !== 'running' || (!force && !isContestEnded(contest))) return null;
+
+    const seedRows = await supabaseFetch('contests', 'GET', null, `?id=eq.${contest.id}&select=seed`);
+    const seed = (Array.isArray(seedRows) && seedRows[0] && seedRows[0].seed) || crypto.randomBytes(32).toString('hex');
+
+    const ticketRows = await supabaseFetch('contest_tickets', 'GET', null, `?contest_id=eq.${contest.id}&tickets=gt.0&select=user_id,tickets,updated_at`);
+    const entries = Array.isArray(ticketRows)
+        ? ticketRows.map(r => ({ user_id: parseInt(r.user_id), tickets: parseInt(r.tickets || 0), updated_at: r.updated_at }))
+        : [];
+    const totalTickets = entries.reduce((sum, e) => sum + e.tickets, 0);
+
+    const bannedIds = new Set();
+    if (entries.length > 0) {
+        const banned = await supabaseFetch('users', 'GET', null, `?id=in.(${entries.map(e => e.user_id).join(',')})&is_banned=eq.true&select=id`);
+        if (Array.isArray(banned)) banned.forEach(u => bannedIds.add(parseInt(u.id)));
+    }
+
+    const results = rankContestEntries(contest, entries, seed, bannedIds);
+
+    let rows;
+    try {
+        rows = await supabaseRpc('settle_contest', {
+            p_contest_id: contest.id,
+            p_seed: seed,
+            p_total_tickets: totalTickets,
+            p_results: results,
+            p_next_seed: crypto.randomBytes(32).toString('hex')
+        });
+    } catch (error) {
+        // Another request closed it first
+        if (String(error.message).includes('CONTEST_ALREADY_CLOSED')) return null;
+        throw error;
+    }
+    const settled = Array.isArray(rows) ? rows[0] : rows;
+
+    const winners = results.filter(r => r.prize > 0);
+    // notifyUser never throws; undelivered messages land in notification_queue
+    await Promise.all(winners.map(winner => notifyUser(winner.user_id, 'contest_prize',
+        `🏆 You placed #${winner.rank} in "${contest.name}" and won ${Number(winner.prize).toLocaleString('en-US')} SHIB! It has been added to your balance.`)));
+
+    return { contest_id: contest.id, next_contest_id: settled ? settled.next_contest_id : null, seed, winners };
+}
+
+/**
+ * Returns the requested contest (or the default running one), closing it first when it
+ * has ended. Without an id, a closed contest is replaced by the next running one.
+ */
+async function getActiveContest(contestId) {
+    const contest = await getContest(contestId);
+    if (!isContestEnded(contest)) return contest;
+    try {
+        await closeContestIfEnded(contest);
+    } catch (error) {
+        // Left for the next request (or adminCloseContest) to retry
+        console.error('Closing contest failed:', error.message);
+        return contest;
+    }
+    return getContest(contestId);
+}
+
+/**
+ * Winners of closed contests keyed by contest id, with display names.
+ */
+async function getContestWinners(contestIds) {
+    const winnersByContest = {};
+    if (contestIds.length === 0) return winnersByContest;
+
+    const rows = await supabaseFetch('contest_results', 'GET', null, `?contest_id=in.(${contestIds.join(',')})&prize=gt.0&select=contest_id,user_id,rank,tickets,prize&order=rank.asc`);
+    const winners = Array.isArray(rows) ? rows : [];
+    const userIds = [...new Set(winners.map(w => w.user_id))];
+    const users = userIds.length > 0
+        ? await supabaseFetch('users', 'GET', null, `?id=in.(${userIds.join(',')})&select=id,first_name,username`)
+        : [];
+    const names = new Map((Array.isArray(users) ? users : []).map(u => [u.id, u]));
+
+    for (const w of winners) {
+        const user = names.get(w.user_id) || {};
+        (winnersByContest[w.contest_id] = winnersByContest[w.contest_id] || []).push({
+            user_id: w.user_id,
+            first_name: user.first_name || `User ${w.user_id}`,
+            username: user.username || '',
+            rank: w.rank,
+            tickets: w.tickets,
+            prize: Number(w.prize)
+        });
+    }
+    return winnersByContest;
+}
+
+// ------------------------------------------------------------------
+// 🎫 Action Tokens
+// ------------------------------------------------------------------
+/**
+ * Action IDs are stateless signed tokens:
+ *   <user id>.<action type>.<expires at ms>.<nonce>.<hmac>
+ * They are checked in-process; the only storage is used_action_nonces,
+ * a one-insert replay guard whose primary key rejects a second use.
+ */
+
+let actionTokenKey = null;
+
+function getActionTokenKey() {
+    if (!actionTokenKey) {
+        actionTokenKey = ACTION_TOKEN_SECRET
+            ? Buffer.from(ACTION_TOKEN_SECRET)
+            : crypto.createHmac('sha256', 'ActionToken').update(String(BOT_TOKEN || '')).digest();
+    }
+    return actionTokenKey;
+}
+
+function signActionToken(payload) {
+    return crypto.createHmac('sha256', getActionTokenKey()).update(payload).digest('hex');
+}
+
+function createActionToken(userId, actionType, now = Date.now()) {
+    const payload = `${userId}.${actionType}.${now + ACTION_ID_EXPIRY_MS}.${crypto.randomBytes(16).toString('hex')}`;
+    return `${payload}.${signActionToken(payload)}`;
+}
+
+/**
+ * Returns { ok: true, nonce, expiresAt } or { ok: false, reason: 'invalid' | 'expired' }.
+ */
+function verifyActionToken(token, userId, actionType, now = Date.now()) {
+    const parts = typeof token === 'string' ? token.split('.') : [];
+    if (parts.length !== 5 || !/^[0-9a-f]{64}$/.test(parts[4])) {
+        return { ok: false, reason: 'invalid' };
+    }
+    const [tokenUserId, tokenActionType, expiresAt, nonce, signature] = parts;
+    const expected = signActionToken(parts.slice(0, 4).join('.'));
+    if (!crypto.timingSafeEqual(Buffer.from(signature, 'hex'), Buffer.from(expected, 'hex'))) {
+        return { ok: false, reason: 'invalid' };
+    }
+    if (tokenUserId !== String(userId) || tokenActionType !== actionType) {
+        return { ok: false, reason: 'invalid' };
+    }
+    if (now > Number(expiresAt)) {
+        return { ok: false, reason: 'expired' };
+    }
+    return { ok: true, nonce, expiresAt: Number(expiresAt) };
+}
+
+/**
+ * HANDLER: type: "generateActionId"
+ */
+async function handleGenerateActionId(req, res, body) {
+    const { user_id, action_type } = body;
+    sendSuccess(res, { action_id: createActionToken(user_id, action_type) });
+}
+
+
+/**
+ * Middleware: Checks the signed Action ID and records its nonce so it cannot be used again.
+ * Returns { ok: true } or, after sending the error, { ok: false, incident } where incident is the
+ * security incident to record: 'invalid_action_id' (missing, forged, foreign or replayed token),
+ * 'failed_action' (expired token) or null when only the nonce store failed.
+ */
+async function validateAndUseActionId(res, userId, actionId, actionType) {
+    if (!actionId) {
+        sendError(res, 'Missing Server Token (Action ID). Request rejected.', 400, 'TOKEN_MISSING');
+        return { ok: false, incident: 'invalid_action_id' };
+    }
+
+    // 1. Signature, owner, action type and expiry (no database access)
+    const check = verifyActionToken(actionId, userId, actionType);
+    if (!check.ok) {
+        if (check.reason === 'expired') {
+            sendError(res, 'Server Token (Action ID) expired. Please try again.', 408, 'TOKEN_EXPIRED');
+            return { ok: false, incident: 'failed_action' };
+        }
+        sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'TOKEN_INVALID');
+        return { ok: false, incident: 'invalid_action_id' };
+    }
+
+    try {
+        // 2. Use the token: the nonce primary key rejects a replay
+        const inserted = await supabaseFetch(USED_ACTION_NONCES_TABLE, 'POST',
+            { nonce: check.nonce, user_id: userId, expires_at: new Date(check.expiresAt).toISOString() },
+            '?select=nonce');
+        if (!Array.isArray(inserted) || inserted.length === 0) {
+            if (inserted && inserted.code === '23505') {
+                sendError(res, 'Invalid or previously used Server Token (Action ID).', 409, 'TOKEN_INVALID');
+                return { ok: false, incident: 'invalid_action_id' };
+            }
+            console.error(`Storing action nonce failed: ${inserted && inserted.message}`);
+            sendError(res, 'Security validation failed.', 500, 'SERVER_ERROR');
+            return { ok: false, incident: null };
+        }
+
+        // 3. Expired nonces can no longer be replayed; prune them now and then
+        if (Math.random() < USED_NONCE_PRUNE_PROBABILITY) {
+            supabaseFetch(USED_ACTION_NONCES_TABLE, 'DELETE', null, `?expires_at=lt.${new Date().toISOString()}`).catch(e => {
+                console.error('Pruning used action nonces failed:', e.message);
+            });
+        }
+
+        return { ok: true };
+
+    } catch (error) {
+        console.error(`Error validating Action ID ${actionId}:`, error.message);
+        sendError(res, 'Security validation failed.', 500, 'SERVER_ERROR');
+        return { ok: false, incident: null };
+    }
+}
+
+// --- API Handlers ---
+
+/**
+ * HANDLER: type: "getUserData"
+ */
+async function handleGetUserData(req, res, body) {
+    const id = body.user_id;
+
+    try {
+        // 1. Check and reset daily limits (if 6 hours passed since limit reached)
+        await resetDailyLimitsIfExpired(id);
+
+        // 2. Fetch user data (including new task link fields and profile)
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,spins_today,is_banned,ref_by,ads_limit_reached_at,spins_limit_reached_at,task_completed,task_link_clicks_today,task_link_limit_reached_at,first_name,photo_url`);
+
+        if (!users || (Array.isArray(users) && users.length === 0)) {
+            return sendSuccess(res, {
+                balance: 0, ads_watched_today: 0, spins_today: 0, referrals_count: 0, withdrawal_history: [], is_banned: false, task_completed: false, task_link_clicks_today: 0
             });
         }
 
@@ -542,36 +1628,23 @@ async function handleGetUserData(req, res, body) {
         }
 
 
-        // 4. Fetch referrals count
-        const referrals = await supabaseFetch('users', 'GET', null, `?ref_by=eq.${id}&select=id`);
-        const referralsCount = Array.isArray(referrals) ? referrals.length : 0;
+        // 4. Fetch referrals count (counted in the database)
+        const { referrals_count: referralsCount } = await getReferralTotals(id);
 
-        // 5. Fetch withdrawal history
-        const binanceRecords = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at,binance_id&order=created_at.desc`);
-        const faucetPayRecords = await supabaseFetch('faucet_pay', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at,faucetpay_email&order=created_at.desc`);
-
-        const normalizedBinance = Array.isArray(binanceRecords) ? binanceRecords.map(r => ({
-            amount: r.amount,
-            status: r.status,
-            created_at: r.created_at,
-            binance_id: r.binance_id || null,
-            faucetpay_email: null,
-            source: 'binance'
-        })) : [];
+        // 5. Fetch withdrawal history (every payout method lives in the withdrawals table)
+        const withdrawalRecords = await supabaseFetch('withdrawals', 'GET', null, `?user_id=eq.${id}&select=amount,status,created_at,method,destination,reject_reason,payout_status&order=created_at.desc`);
 
-        const normalizedFaucet = Array.isArray(faucetPayRecords) ? faucetPayRecords.map(r => ({
+        const withdrawalHistory = Array.isArray(withdrawalRecords) ? withdrawalRecords.map(r => ({
             amount: r.amount,
             status: r.status,
             created_at: r.created_at,
-            binance_id: null,
-            faucetpay_email: r.faucetpay_email || null,
-            source: 'faucetpay'
+            method: r.method,
+            destination: r.destination || null,
+            reject_reason: r.reject_reason || null,
+            payout_status: r.payout_status || 'none'
         })) : [];
 
-        // Merge and sort by created_at descending
-        const withdrawalHistory = [...normalizedBinance, ...normalizedFaucet].sort((a, b) => new Date(b.created_at) - new Date(a.created_at));
-
-        // 6. Update last_activity (only for Rate Limit purposes now)
+        // 6. Update last_activity (referral dashboard activity)
         await supabaseFetch('users', 'PATCH',
             { last_activity: new Date().toISOString() },
             `?id=eq.${id}&select=id`);
@@ -583,839 +1656,2167 @@ async function handleGetUserData(req, res, body) {
         });
 
     } catch (error) {
-        console.error('GetUserData failed:', error.message);
-        sendError(res, `Failed to retrieve user data: ${error.message}`, 500);
+        console.error('GetUserData failed:', error.message);
+        sendError(res, `Failed to retrieve user data: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * Referral counters of a user: referrals_count, active_count (seen within
+ * REFERRAL_ACTIVE_WINDOW_MS), commission_total (all levels) and commission_direct (level 1).
+ */
+async function getReferralTotals(userId) {
+    const activeSince = new Date(Date.now() - REFERRAL_ACTIVE_WINDOW_MS).toISOString();
+    const rows = await supabaseRpc('referral_totals', { p_user_id: userId, p_active_since: activeSince });
+    const row = Array.isArray(rows) && rows.length > 0 ? rows[0] : {};
+    return {
+        referrals_count: Number(row.referrals_count) || 0,
+        active_count: Number(row.active_count) || 0,
+        commission_total: Number(row.commission_total) || 0,
+        commission_direct: Number(row.commission_direct) || 0
+    };
+}
+
+/**
+ * type: "getReferrals"
+ * Direct referees (newest first) with the commission each one earned the user, plus totals.
+ * Optional: limit, offset (paging).
+ */
+async function handleGetReferrals(req, res, body) {
+    const { user_id: id, limit, offset } = body;
+
+    try {
+        const [rows, totals] = await Promise.all([
+            supabaseRpc('get_referrals', { p_user_id: id, p_limit: limit, p_offset: offset }),
+            getReferralTotals(id)
+        ]);
+        const activeSince = Date.now() - REFERRAL_ACTIVE_WINDOW_MS;
+
+        const referrals = Array.isArray(rows) ? rows.map(r => ({
+            name: [r.first_name, r.last_name].filter(Boolean).join(' ') || `User ${String(r.referee_id).slice(-4)}`,
+            photo_url: r.photo_url || null,
+            joined_at: r.joined_at,
+            active: !!r.last_activity && new Date(r.last_activity).getTime() >= activeSince,
+            commission_earned: Number(r.commission_earned) || 0
+        })) : [];
+
+        sendSuccess(res, {
+            referrals,
+            totals,
+            next_offset: offset + referrals.length < totals.referrals_count ? offset + referrals.length : null
+        });
+    } catch (error) {
+        console.error('GetReferrals failed:', error.message);
+        sendError(res, `Failed to retrieve referrals: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * Lifecycle of a task at a given time: status, campaign window (starts_at/ends_at)
+ * and remaining slots (max_participants - completions_count, null = unlimited).
+ * Returns { available, reason, remaining_slots }.
+ */
+function getTaskAvailability(task, now = Date.now()) {
+    const remainingSlots = task.max_participants
+        ? Math.max(task.max_participants - (task.completions_count || 0), 0)
+        : null;
+
+    let reason = null;
+    if (task.status && task.status !== 'active') {
+        reason = 'not_active';
+    } else if (task.starts_at && new Date(task.starts_at).getTime() > now) {
+        reason = 'not_started';
+    } else if (task.ends_at && new Date(task.ends_at).getTime() <= now) {
+        reason = 'expired';
+    } else if (remainingSlots === 0) {
+        reason = 'full';
+    }
+
+    return { available: reason === null, reason, remaining_slots: remainingSlots };
+}
+
+/**
+ * HANDLER: type: "getTasks"
+ */
+async function handleGetTasks(req, res, body) {
+    const id = body.user_id;
+
+    try {
+        // 1. جلب قائمة المهام المتاحة من جدول tasks (بما في ذلك نوع المهمة)
+        const availableTasks = await supabaseFetch('tasks', 'GET', null, `?status=eq.active&select=id,name,link,reward,max_participants,completions_count,starts_at,ends_at,type`);
+
+        // 2. جلب المهام التي أكملها المستخدم
+        const completedTasks = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${id}&select=task_id`);
+        const completedTaskIds = Array.isArray(completedTasks) ? new Set(completedTasks.map(t => t.task_id)) : new Set();
+        
+        // 3. فلترة وتجهيز قائمة المهام (hide tasks that are full, not started or expired
+        //    unless this user already completed them)
+        const now = Date.now();
+        const tasksList = Array.isArray(availableTasks) ? availableTasks.reduce((list, task) => {
+            const isCompleted = completedTaskIds.has(task.id);
+            const availability = getTaskAvailability(task, now);
+            if (!availability.available && !isCompleted) {
+                return list;
+            }
+
+            list.push({
+                task_id: task.id,
+                name: task.name,
+                link: task.link,
+                reward: task.reward,
+                max_participants: task.max_participants,
+                remaining_slots: availability.remaining_slots,
+                ends_at: task.ends_at || null,
+                is_completed: isCompleted,
+                type: task.type || 'channel', // إرجاع النوع، الافتراضي 'channel'
+            });
+            return list;
+        }, []) : [];
+
+        sendSuccess(res, { tasks: tasksList });
+
+    } catch (error) {
+        console.error('GetTasks failed:', error.message);
+        sendError(res, `Failed to retrieve tasks: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * Creates the user row (with its referrer) or refreshes profile fields of an existing user.
+ * Shared by the Mini App "register" request and the bot's /start command.
+ * - profile: { first_name, last_name, photo_url, username } (all optional)
+ * Returns { status: 'created' | 'existing' | 'banned' }.
+ */
+async function registerUser(id, refBy, profile = {}) {
+    // 1. Check if user exists
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned,first_name,photo_url`);
+
+    const providedFirstName = profile.first_name || null;
+    const providedLastName = profile.last_name || null;
+    const providedPhoto = profile.photo_url || null;
+
+    if (!Array.isArray(users) || users.length === 0) {
+      // 2. User does not exist, create new user (a user cannot refer themselves)
+      const referrerId = parseInt(refBy);
+      const newUser = {
+        id,
+        balance: 0,
+        ads_watched_today: 0,
+        spins_today: 0,
+        ref_by: Number.isInteger(referrerId) && referrerId > 0 && referrerId !== Number(id) ? referrerId : null,
+        last_activity: new Date().toISOString(), 
+        is_banned: false,
+        task_completed: false, 
+        // Task-link fields initialization
+        task_link_clicks_today: 0,
+        task_link_limit_reached_at: null,
+        // profile fields
+        first_name: providedFirstName,
+        last_name: providedLastName,
+        photo_url: providedPhoto
+      };
+      if (profile.username) newUser.username = profile.username;
+      await supabaseFetch('users', 'POST', newUser, '?select=id');
+
+      if (newUser.ref_by) {
+        await notifyReferralJoined(newUser.ref_by, profile);
+      }
+      return { status: 'created' };
+    }
+
+    if (users[0].is_banned) {
+        return { status: 'banned' };
+    }
+    // Update profile fields if provided and different
+    const updates = {};
+    if (providedFirstName && providedFirstName !== users[0].first_name) updates.first_name = providedFirstName;
+    if (providedPhoto && providedPhoto !== users[0].photo_url) updates.photo_url = providedPhoto;
+    if (profile.username) updates.username = profile.username;
+    if (Object.keys(updates).length > 0) {
+        await supabaseFetch('users', 'PATCH', updates, `?id=eq.${id}`);
+    }
+    return { status: 'existing' };
+}
+
+/**
+ * 1) type: "register"
+ */
+async function handleRegister(req, res, body) {
+  const { user_id: id, ref_by } = body;
+
+  try {
+    // Profile from the signed initData user, falling back to the client's copy (tgUser)
+    const signedUser = getInitDataUser(body.initData) || {};
+    const clientUser = body.user || {};
+    const result = await registerUser(id, ref_by, {
+      first_name: signedUser.first_name || clientUser.first_name,
+      last_name: signedUser.last_name || clientUser.last_name,
+      photo_url: signedUser.photo_url || clientUser.photo_url || body.photo_url,
+      username: signedUser.username
+    });
+
+    if (result.status === 'banned') {
+      return sendError(res, 'User is banned.', 403, 'BANNED');
+    }
+
+    // Device sighting for multi-account detection (after the user row exists)
+    await recordUserDevice(req, id, body.device_id);
+
+    sendSuccess(res, { message: 'User registered or already exists.' });
+  } catch (error) {
+    console.error('Registration failed:', error.message);
+    sendError(res, `Registration failed: ${error.message}`, 500, 'SERVER_ERROR');
+  }
+}
+
+/**
+ * type: "getConfig"
+ * Returns the effective reward/limit configuration so the client never keeps its own copy.
+ */
+async function handleGetConfig(req, res, body) {
+    try {
+        sendSuccess(res, { config: await getConfig() });
+    } catch (error) {
+        console.error('GetConfig failed:', error.message);
+        sendError(res, `Failed to retrieve config: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 2) type: "watchAd"
+ */
+async function handleWatchAd(req, res, body, ctx) {
+    const { user_id: id, action_id } = body;
+    const config = await getConfig();
+    const reward = config.reward_per_ad;
+
+    // 1. Suspension and action token: checked by the router (ROUTES)
+
+    try {
+        // 2. Check and reset daily limits (if 6 hours passed since limit reached)
+        await resetDailyLimitsIfExpired(id);
+
+        // 3. Fetch current user data 
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=ads_watched_today,is_banned,ref_by`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+        }
+        
+        const user = users[0];
+        const referrerId = user.ref_by; 
+
+        // 4. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+
+        // 5. Rate limit: enforced by the router (RATE_LIMIT_ACTIONS)
+
+        // 6. Check maximum ad limit
+        if (user.ads_watched_today >= config.daily_max_ads) {
+            return sendError(res, `Daily ad limit (${config.daily_max_ads}) reached.`, 403, 'LIMIT_REACHED', { kind: 'ads', limit: config.daily_max_ads });
+        }
+
+        // 6.1 Only credit an ad the network confirmed through its reward callback
+        if (!await requireAdImpression(res, id, 'watchAd', ctx.details)) {
+            return;
+        }
+
+        // 7-9. Count the ad (atomic; also stamps ads_limit_reached_at on the last slot)
+        const newAdsCount = await incrementDailyCounter(id, 'ads', config.daily_max_ads);
+        if (newAdsCount === null) {
+            return sendError(res, `Daily ad limit (${config.daily_max_ads}) reached.`, 403, 'LIMIT_REACHED', { kind: 'ads', limit: config.daily_max_ads });
+        }
+
+        // 10. Credit the reward through the ledger
+        const { balance: newBalance } = await applyLedgerEntry(id, reward, 'watchAd', action_id);
+
+        // 11. Commission (awaited: the platform may freeze the function once the response is sent)
+        if (referrerId) {
+            await processCommission(referrerId, id, reward, `watchAd:${action_id}`);
+        }
+          
+        // 12. Success
+        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+
+    } catch (error) {
+        console.error('WatchAd failed:', error.message);
+        sendError(res, `Failed to process ad watch: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 3) INTERNAL: type: "commission"
+ * Server-to-server only (see verifyInternalRequest); never reachable with initData.
+ * - referee_id, source_reference (idempotency key: replays credit nothing twice)
+ * - source_reward (optional, defaults to reward_per_ad), referrer_id (optional, must match ref_by)
+ */
+async function handleCommission(req, res, body) {
+    const { referrer_id, referee_id: refereeId, source_reward, source_reference } = body;
+
+    try {
+        const sourceReward = source_reward !== undefined ? source_reward : (await getConfig()).reward_per_ad;
+
+        if (!(sourceReward > 0)) {
+            return sendError(res, 'source_reward must be a positive number.', 400, 'INVALID_PARAMS');
+        }
+
+        // The referrer always comes from the referee's row, never from the caller
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${refereeId}&select=ref_by`);
+        const referrerId = Array.isArray(users) && users.length > 0 ? users[0].ref_by : null;
+        if (!referrerId) {
+            return sendError(res, 'Referee not found or has no referrer.', 404, 'REFERRER_NOT_FOUND');
+        }
+        if (referrer_id !== undefined && referrer_id !== Number(referrerId)) {
+            return sendError(res, 'referrer_id does not match the referee\'s referrer.', 400, 'REFERRER_MISMATCH');
+        }
+
+        const result = await processCommission(referrerId, refereeId, sourceReward, `internal:${source_reference}`);
+
+        if (result.ok) {
+            sendSuccess(res, { new_referrer_balance: result.new_referrer_balance, payouts: result.payouts, message: 'Commission successfully processed.' });
+        } else {
+            console.log(`handleCommission failed: ${result.error}`);
+            sendError(res, 'Commission processing failed on the server. ' + result.error, 500, 'COMMISSION_FAILED');
+        }
+    } catch (error) {
+        console.error('Commission failed:', error.message);
+        sendError(res, `Failed to process commission: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 4) type: "preSpin"
+ */
+async function handlePreSpin(req, res, body) {
+    const id = body.user_id;
+
+    try {
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+        }
+        
+        if (users[0].is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+
+        // Commit: a fresh server seed whose hash is shown before the client seed is known.
+        // The wheel is snapshotted so a config change cannot alter a committed spin.
+        const config = await getConfig();
+        const serverSeed = crypto.randomBytes(32).toString('hex');
+        const serverSeedHash = crypto.createHash('sha256').update(serverSeed).digest('hex');
+        // The nonce is allocated in the same statement that stores the commitment (commit_spin)
+        const committed = await supabaseRpc('commit_spin', {
+            p_user_id: id,
+            p_server_seed: serverSeed,
+            p_server_seed_hash: serverSeedHash,
+            p_wheel: config.spin_wheel
+        });
+        const row = Array.isArray(committed) && committed[0] ? committed[0] : null;
+        if (!row) {
+            throw new Error('Could not store the spin commitment.');
+        }
+        const spinId = row.spin_id;
+        const nonce = Number(row.nonce);
+
+        sendSuccess(res, { message: "Pre-spin action secured.", spin_id: spinId, server_seed_hash: serverSeedHash, nonce });
+
+    } catch (error) {
+        console.error('PreSpin failed:', error.message);
+        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 5) type: "spinResult"
+ * Body: { spin_id (from preSpin), client_seed }
+ * Reveals the committed server seed and derives the prize from both seeds (calculateSpinPrize).
+ */
+async function handleSpinResult(req, res, body, ctx) {
+    const { user_id: id, action_id, spin_id: spinId, client_seed } = body;
+
+    // 1. Suspension and action token: checked by the router (ROUTES)
+
+    // 2. Check and reset daily limits (if 6 hours passed since limit reached)
+    await resetDailyLimitsIfExpired(id);
+
+    try {
+        // 3. Fetch current user data
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=spins_today,is_banned`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+        }
+        
+        const user = users[0];
+
+        // 4. Banned Check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+        
+        // 5. Rate limit: enforced by the router (RATE_LIMIT_ACTIONS)
+
+        // 6. Check maximum spin limit
+        const config = await getConfig();
+        if (user.spins_today >= config.daily_max_spins) {
+            return sendError(res, `Daily spin limit (${config.daily_max_spins}) reached.`, 403, 'LIMIT_REACHED', { kind: 'spins', limit: config.daily_max_spins });
+        }
+
+        // 6.1 Reveal: claim the user's unexpired commitment (committed -> revealed happens once).
+        // Claimed before the ad impression so a stale or replayed spin_id cannot use one up.
+        const commitCutoff = new Date(Date.now() - SPIN_COMMIT_EXPIRY_MS).toISOString();
+        const claimed = await supabaseFetch('spin_results', 'PATCH',
+            { status: 'revealed', client_seed, revealed_at: new Date().toISOString() },
+            `?id=eq.${spinId}&user_id=eq.${id}&status=eq.committed&created_at=gt.${commitCutoff}&select=server_seed,server_seed_hash,nonce,wheel`);
+        if (!Array.isArray(claimed) || claimed.length === 0) {
+            return sendError(res, 'Spin commitment not found or expired. Please spin again.', 409, 'SPIN_NOT_FOUND');
+        }
+        const commitment = claimed[0];
+        // A refused spin puts the commitment back to 'committed' so the user can retry it
+        const releaseCommitment = () => supabaseFetch('spin_results', 'PATCH',
+            { status: 'committed', client_seed: null, revealed_at: null },
+            `?id=eq.${spinId}&status=eq.revealed&prize_index=is.null`);
+
+        // 6.2 The spin is unlocked by a verified ad impression
+        const impressionId = await requireAdImpression(res, id, 'spinResult', ctx.details);
+        if (!impressionId) {
+            await releaseCommitment();
+            return;
+        }
+
+        // 7. Count the spin (atomic; also stamps spins_limit_reached_at on the last slot).
+        // A concurrent spin can take the last slot after step 6: the commitment and the
+        // ad impression are then released instead of being used up by a refused spin.
+        const newSpinsCount = await incrementDailyCounter(id, 'spins', config.daily_max_spins);
+        if (newSpinsCount === null) {
+            await releaseCommitment();
+            await releaseAdImpression(impressionId);
+            return sendError(res, `Daily spin limit (${config.daily_max_spins}) reached.`, 403, 'LIMIT_REACHED', { kind: 'spins', limit: config.daily_max_spins });
+        }
+
+        // --- All checks passed: Process Spin Result ---
+
+        const { prize, prizeIndex } = calculateSpinPrize(commitment.wheel, commitment.server_seed, client_seed, commitment.nonce);
+
+        // 8. Credit the prize through the ledger
+        const { balance: newBalance } = await applyLedgerEntry(id, prize, 'spinResult', action_id);
+
+        // 9. Record the outcome on the revealed spin_results row
+        await supabaseFetch('spin_results', 'PATCH',
+          { prize, prize_index: prizeIndex },
+          `?id=eq.${spinId}`);
+
+        // 10. Return the actual, server-calculated prize and index with the revealed seed
+        sendSuccess(res, { 
+            new_balance: newBalance, 
+            actual_prize: prize, 
+            prize_index: prizeIndex,
+            new_spins_count: newSpinsCount,
+            spin_id: spinId,
+            server_seed: commitment.server_seed,
+            server_seed_hash: commitment.server_seed_hash,
+            client_seed,
+            nonce: commitment.nonce
+        });
+
+    } catch (error) {
+        console.error('Spin result failed:', error.message);
+        sendError(res, `Failed to process spin result: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * type: "getSpinHistory"
+ * The user's revealed spins with everything needed to re-check them:
+ * sha256(server_seed) must equal server_seed_hash, and calculateSpinPrize
+ * over (wheel, server_seed, client_seed, nonce) must give prize_index.
+ */
+async function handleGetSpinHistory(req, res, body) {
+    const { user_id: id, limit } = body;
+
+    try {
+        const rows = await supabaseFetch('spin_results', 'GET', null,
+            `?user_id=eq.${id}&status=eq.revealed&server_seed=not.is.null&prize_index=not.is.null&select=id,server_seed,server_seed_hash,client_seed,nonce,wheel,prize_index,prize,created_at&order=created_at.desc&limit=${limit}`);
+        const spins = Array.isArray(rows) ? rows.map(r => ({
+            spin_id: r.id,
+            server_seed: r.server_seed,
+            server_seed_hash: r.server_seed_hash,
+            client_seed: r.client_seed,
+            nonce: Number(r.nonce),
+            wheel: r.wheel,
+            prize_index: r.prize_index,
+            prize: r.prize,
+            created_at: r.created_at
+        })) : [];
+        sendSuccess(res, { spins });
+    } catch (error) {
+        console.error('GetSpinHistory failed:', error.message);
+        sendError(res, `Failed to retrieve spin history: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 6) type: "taskLinkClick"
+ */
+async function handleTaskLinkClick(req, res, body) {
+    const { user_id: id, action_id, url } = body;
+
+    // 1. Suspension and action token ('taskLink'): checked by the router (ROUTES)
+
+    try {
+        // 2. Reset limits if expired
+        await resetDailyLimitsIfExpired(id);
+
+        // 3. Fetch user
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=task_link_clicks_today,is_banned,ref_by`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+        }
+        const user = users[0];
+
+        // 4. Banned check
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+
+        // 5. Rate limit: enforced by the router (RATE_LIMIT_ACTIONS)
+
+        // 6. Check daily task-link limit
+        const config = await getConfig();
+        const currentCount = user.task_link_clicks_today || 0;
+        if (currentCount >= config.task_link_daily_max) {
+            return sendError(res, `Daily task-link limit (${config.task_link_daily_max}) reached.`, 403, 'LIMIT_REACHED', { kind: 'task_links', limit: config.task_link_daily_max });
+        }
+
+        // 7-8. Count the click (atomic; also stamps task_link_limit_reached_at on the last slot)
+        const reward = config.task_link_reward;
+        const newCount = await incrementDailyCounter(id, 'task_links', config.task_link_daily_max);
+        if (newCount === null) {
+            return sendError(res, `Daily task-link limit (${config.task_link_daily_max}) reached.`, 403, 'LIMIT_REACHED', { kind: 'task_links', limit: config.task_link_daily_max });
+        }
+
+        // 9. Credit the reward through the ledger
+        const { balance: newBalance } = await applyLedgerEntry(id, reward, 'taskLinkClick', action_id);
+
+        // 10. Record the click to a table for audit (optional but recommended)
+        try {
+            await supabaseFetch('task_link_clicks', 'POST', { user_id: id, url: url || null, reward, created_at: new Date().toISOString() }, '?select=user_id');
+        } catch (e) {
+            console.warn('Failed to record task_link click audit:', e.message);
+        }
+
+        // 11. Commission for referrer if exists
+        if (user.ref_by) {
+            await processCommission(user.ref_by, id, reward, `taskLinkClick:${action_id}`);
+        }
+
+        // 12. Success
+        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_count: newCount });
+
+    } catch (error) {
+        console.error('TaskLinkClick failed:', error.message);
+        sendError(res, `Failed to process task link click: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+
+/**
+ * 7) type: "completeTask" (For dynamic task types: channel, bot, etc.)
+ */
+async function handleCompleteTask(req, res, body, ctx) {
+    const { user_id: id, task_id: taskId } = body;
+    const { details } = ctx;
+
+    // 1-2. task_id, suspension and action token (`completeTask_<task_id>`): checked by the router (ROUTES)
+
+    try {
+        // 3. Fetch Task Details (Reward, Link, Max Participants, AND TYPE)
+        const tasks = await supabaseFetch('tasks', 'GET', null, `?id=eq.${taskId}&select=link,reward,max_participants,completions_count,starts_at,ends_at,type,status`);
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendError(res, 'Task not found.', 404, 'TASK_NOT_FOUND');
+        }
+        const task = tasks[0];
+
+        // Early lifecycle check (re-checked atomically by complete_task below)
+        const availability = getTaskAvailability(task);
+        if (!availability.available) {
+            return sendError(res, TASK_UNAVAILABLE_MESSAGES[availability.reason], 410, 'TASK_UNAVAILABLE', { reason: availability.reason });
+        }
+        const reward = task.reward;
+        const taskLink = task.link;
+        // افتراض: إذا لم يكن هناك نوع، نعتبره 'channel' للتحقق من الانضمام
+        const taskType = (task.type || 'channel').toLowerCase(); 
+
+        // 4. Check if task is already completed for the user (باستخدام الجدول الوسيط)
+        const completions = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${id}&task_id=eq.${taskId}&select=id`);
+        if (Array.isArray(completions) && completions.length > 0) {
+            await logSecurityIncident(id, 'duplicate_task', { task_id: taskId, ...details });
+            return sendError(res, 'Task already completed by this user.', 403, 'TASK_ALREADY_COMPLETED');
+        }
+
+        // 5. Rate limit: enforced by the router (RATE_LIMIT_ACTIONS)
+
+        // 6. التحقق من الانضمام بناءً على نوع المهمة
+        if (taskType === 'channel') {
+            const channelUsernameMatch = taskLink && taskLink.match(/t\.me\/([a-zA-Z0-9_]+)/);
+            
+            if (channelUsernameMatch) {
+                const channelUsername = `@${channelUsernameMatch[1]}`;
+                // 7. 🚨 CRITICAL: Check Channel Membership using Telegram API
+                const isMember = await checkChannelMembership(id, channelUsername);
+
+                if (!isMember) {
+                     return sendError(res, `User has not joined the required channel: ${channelUsername}`, 400, 'NOT_MEMBER', { channel: channelUsernameMatch[1] });
+                }
+            } else {
+                 // قناة ولكن الرابط غير صحيح
+                 return sendError(res, 'Task verification failed: Invalid Telegram channel link format for a channel task.', 400, 'TASK_MISCONFIGURED');
+            }
+        } 
+        // ⚠️ إذا كان taskType === 'bot' أو غير ذلك، يتم تخطي التحقق من الانضمام
+
+        // 8. Fetch referrer ID 
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=ref_by,is_banned`);
+        const user = users[0];
+        
+        if (user.is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+        
+        const referrerId = user.ref_by;
+        
+        // 9. Update last_activity
+        await supabaseFetch('users', 'PATCH', 
+            { 
+                last_activity: new Date().toISOString() 
+            }, 
+            `?id=eq.${id}`);
+            
+        // 10. Book the completion: complete_task locks the task, enforces the lifecycle,
+        //     max_participants and one completion per user, then credits the ledger.
+        let completion;
+        try {
+            const rows = await supabaseRpc('complete_task', { p_user_id: id, p_task_id: taskId });
+            completion = Array.isArray(rows) ? rows[0] : rows;
+        } catch (rpcError) {
+            const reason = String(rpcError.message);
+            if (reason.includes('TASK_ALREADY_COMPLETED')) {
+                await logSecurityIncident(id, 'duplicate_task', { task_id: taskId, ...details });
+                return sendError(res, 'Task already completed by this user.', 403, 'TASK_ALREADY_COMPLETED');
+            }
+            const code = Object.keys(TASK_RPC_REASONS).find(k => reason.includes(k));
+            if (code) {
+                return sendError(res, TASK_UNAVAILABLE_MESSAGES[TASK_RPC_REASONS[code]], 410, 'TASK_UNAVAILABLE', { reason: TASK_RPC_REASONS[code] });
+            }
+            throw rpcError;
+        }
+        const newBalance = completion ? Number(completion.new_balance) : null;
+
+        // 11. Commission Call
+        if (referrerId) {
+            await processCommission(referrerId, id, reward, `completeTask:${taskId}`);
+        }
+          
+        // 12. Success
+        sendSuccess(res, {
+            new_balance: newBalance,
+            actual_reward: reward,
+            remaining_slots: completion ? completion.remaining_slots : null,
+            message: 'Task completed successfully.'
+        });
+
+    } catch (error) {
+        console.error('CompleteTask failed:', error.message);
+        sendError(res, `Failed to complete task: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * 8) type: "withdraw"
+ * Body: { method, destination } (any key of PAYOUT_PROVIDERS).
+ * The older { faucetpay_email } / { binanceId } fields are still accepted.
+ */
+async function handleWithdraw(req, res, body) {
+    const { user_id: id, binanceId, faucetpay_email, amount: withdrawalAmount, action_id } = body;
+
+    // 1. Suspension and action token: checked by the router (ROUTES)
+    const { min_withdraw: minWithdraw } = await getConfig();
+    if (withdrawalAmount < minWithdraw) {
+        return sendError(res, `Minimum withdrawal amount is ${minWithdraw} SHIB.`, 400, 'AMOUNT_TOO_LOW', { min: minWithdraw });
+    }
+
+    try {
+        // 2. Resolve the payout method and let its provider validate the destination
+        let method = body.method;
+        let rawDestination = body.destination;
+        if (!method) {
+            if (faucetpay_email) {
+                method = 'faucetpay';
+                rawDestination = faucetpay_email;
+            } else if (binanceId) {
+                method = 'binance';
+                rawDestination = binanceId;
+            }
+        }
+
+        const provider = PAYOUT_PROVIDERS[method];
+        if (!provider) {
+            return sendError(res, `Invalid withdrawal method. Use one of: ${Object.keys(PAYOUT_PROVIDERS).join(', ')}.`, 400, 'INVALID_METHOD', { methods: Object.keys(PAYOUT_PROVIDERS) });
+        }
+        const destinationCheck = provider.validateDestination(rawDestination);
+        if (!destinationCheck.ok) {
+            return sendError(res, destinationCheck.error, 400, 'INVALID_DESTINATION');
+        }
+
+        // 3. Reserve the funds and create the request in ONE transaction (request_withdrawal):
+        //    the ledger debit puts the amount on hold, and if the insert fails the whole
+        //    transaction rolls back, releasing the hold automatically.
+        let withdrawal;
+        try {
+            const rows = await supabaseRpc('request_withdrawal', {
+                p_user_id: id,
+                p_amount: withdrawalAmount,
+                p_method: method,
+                p_destination: destinationCheck.destination,
+                p_reference_id: action_id
+            });
+            withdrawal = Array.isArray(rows) ? rows[0] : rows;
+        } catch (rpcError) {
+            const reason = String(rpcError.message);
+            if (reason.includes('INSUFFICIENT_BALANCE')) {
+                return sendError(res, 'Insufficient balance.', 400, 'INSUFFICIENT_BALANCE');
+            }
+            if (reason.includes('USER_BANNED')) {
+                return sendError(res, 'User is banned.', 403, 'BANNED');
+            }
+            if (reason.includes('USER_NOT_FOUND')) {
+                return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+            }
+            if (reason.includes('DUPLICATE_WITHDRAWAL')) {
+                return sendError(res, 'This withdrawal request was already submitted.', 409, 'DUPLICATE_REQUEST');
+            }
+            throw rpcError;
+        }
+
+        if (!withdrawal || withdrawal.new_balance === undefined) {
+            throw new Error('Withdrawal reservation returned no data.');
+        }
+
+        // 4. Update last_activity
+        await supabaseFetch('users', 'PATCH',
+          { 
+              last_activity: new Date().toISOString() 
+          },
+          `?id=eq.${id}`);
+
+        // 5. Success
+        sendSuccess(res, { new_balance: Number(withdrawal.new_balance), withdrawal_id: withdrawal.withdrawal_id, status: 'pending' });
+
+    } catch (error) {
+        console.error('Withdrawal failed:', error.message);
+        sendError(res, `Withdrawal failed: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * NEW: 9) type: "getContestData"
+ * Returns the contest (rules, prizes, seed_hash), the user's tickets and the total tickets.
+ * Optional: contest_id (defaults to the running contest that ends first).
+ * Also returns the last closed contest with its revealed seed so its draw can be replayed.
+ */
+async function handleGetContestData(req, res, body) {
+    const id = body.user_id;
+    try {
+        // Closes the contest first if it has ended
+        const contest = await getActiveContest(body.contest_id);
+        if (body.contest_id && !contest) {
+            return sendError(res, 'Contest not found.', 404, 'CONTEST_NOT_FOUND');
+        }
+
+        let myTickets = 0;
+        let allTickets = 0;
+        if (contest) {
+            const userTicketRows = await supabaseFetch('contest_tickets', 'GET', null, `?contest_id=eq.${contest.id}&user_id=eq.${id}&select=tickets`);
+            myTickets = Array.isArray(userTicketRows) && userTicketRows.length > 0 ? parseInt(userTicketRows[0].tickets || 0) : 0;
+
+            // Sum tickets for all users by selecting tickets column and summing in JS
+            const allTicketRows = await supabaseFetch('contest_tickets', 'GET', null, `?contest_id=eq.${contest.id}&select=tickets`);
+            allTickets = Array.isArray(allTicketRows) ? allTicketRows.reduce((s, r) => s + (parseInt(r.tickets || 0)), 0) : 0;
+        }
+
+        // Last closed contest with its revealed seed, so the draw can be replayed
+        const lastRows = await supabaseFetch('contests', 'GET', null, `?status=eq.closed&seed=not.is.null&select=id,name,mode,seed,seed_hash,total_tickets,closed_at&order=closed_at.desc&limit=1`);
+        let lastRound = null;
+        if (Array.isArray(lastRows) && lastRows.length > 0) {
+            const last = lastRows[0];
+            const winners = await getContestWinners([last.id]);
+            lastRound = {
+                contest_id: last.id,
+                name: last.name,
+                mode: last.mode,
+                seed: last.seed,
+                seed_hash: last.seed_hash,
+                total_tickets: last.total_tickets,
+                closed_at: last.closed_at,
+                winners: winners[last.id] || []
+            };
+        }
+
+        sendSuccess(res, {
+            contest: contest,
+            contest_id: contest ? contest.id : null,
+            my_tickets: myTickets,
+            all_tickets: allTickets,
+            time: contest ? { start_time: contest.start_time, end_time: contest.end_time } : null,
+            prizes: contest ? contest.prizes : [],
+            prize_pool: contest ? contest.prize_pool : 0,
+            last_round: lastRound
+        });
+    } catch (error) {
+        console.error('GetContestData failed:', error.message);
+        sendError(res, `Failed to retrieve contest data: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * NEW: 10) type: "contestWatchAd"
+ * Grants contest tickets for watching a contest ad.
+ * Optional: contest_id (defaults to the running contest). The grant (tickets_per_ad,
+ * capped by max_tickets_per_user) is booked atomically by add_contest_tickets().
+ */
+async function handleContestWatchAd(req, res, body, ctx) {
+    const id = body.user_id;
+
+    try {
+        // Rate limit & banned checks
+        await resetDailyLimitsIfExpired(id);
+        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
+        if (!Array.isArray(users) || users.length === 0) {
+            return sendError(res, 'User not found.', 404, 'USER_NOT_FOUND');
+        }
+        if (users[0].is_banned) {
+            return sendError(res, 'User is banned.', 403, 'BANNED');
+        }
+
+        // Tickets only count while the contest is running
+        const contest = await getActiveContest(body.contest_id);
+        if (!contest || contest.status !== 'running' || isContestEnded(contest)) {
+            return sendError(res, 'No contest is running right now.', 410, 'NO_ACTIVE_CONTEST');
+        }
+
+        if (!await requireAdImpression(res, id, 'contestWatchAd', ctx.details)) {
+            return;
+        }
+
+        let granted;
+        try {
+            const rows = await supabaseRpc('add_contest_tickets', { p_contest_id: contest.id, p_user_id: id });
+            granted = Array.isArray(rows) ? rows[0] : rows;
+        } catch (rpcError) {
+            const reason = String(rpcError.message);
+            if (reason.includes('CONTEST_ENDED')) {
+                return sendError(res, 'This contest has ended.', 410, 'CONTEST_ENDED');
+            }
+            if (reason.includes('CONTEST_NOT_STARTED')) {
+                return sendError(res, 'This contest has not started yet.', 409, 'CONTEST_NOT_STARTED');
+            }
+            if (reason.includes('CONTEST_TICKET_LIMIT')) {
+                return sendError(res, 'You reached the ticket limit for this contest.', 403, 'LIMIT_REACHED', { kind: 'contest_tickets' });
+            }
+            throw rpcError;
+        }
+
+        sendSuccess(res, {
+            contest_id: contest.id,
+            my_tickets: Number(granted.my_tickets),
+            all_tickets: Number(granted.all_tickets),
+            granted: granted.granted
+        });
+    } catch (error) {
+        console.error('ContestWatchAd failed:', error.message);
+        sendError(res, `Failed to grant contest tickets: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
+
+/**
+ * NEW: 11) type: "getContestRank"
+ * Returns top players of a contest ordered by ticket totals (server authoritative).
+ * Optional: contest_id (defaults to the running contest).
+ */
+async function handleGetContestRank(req, res, body) {
+    try {
+        const contest = await getActiveContest(body.contest_id);
+        if (!contest) {
+            return sendSuccess(res, { contest_id: null, players: [] });
+        }
+
+        // Fetch top users of this contest ordered by tickets desc
+        const rows = await supabaseFetch('contest_tickets', 'GET', null, `?contest_id=eq.${contest.id}&tickets=gt.0&select=user_id,tickets&order=tickets.desc,updated_at.asc&limit=100`);
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return sendSuccess(res, { contest_id: contest.id, players: [] });
+        }
+
+        // For each top user, fetch optional user details (first_name/photo_url)
+        const players = [];
+        for (const e of rows) {
+            const uid = e.user_id;
+            const tickets = parseInt(e.tickets || 0);
+            // Try to fetch user profile fields if available
+            const userRows = await supabaseFetch('users', 'GET', null, `?id=eq.${uid}&select=first_name,photo_url,username`);
+            let first_name = `User ${uid}`;
+            let photo_url = null;
+            let username = '';
+            if (Array.isArray(userRows) && userRows.length > 0) {
+                const u = userRows[0];
+                first_name = (u.first_name || first_name).trim();
+                photo_url = u.photo_url || null;
+                username = u.username || '';
+            }
+
+            // Return a single consolidated object (no duplicate userId/user_id)
+            players.push({
+                first_name: first_name,
+                photo_url: photo_url,
+                user_id: uid,
+                tickets: tickets,
+                username: username
+            });
+        }
+
+        sendSuccess(res, { contest_id: contest.id, players });
+    } catch (error) {
+        console.error('GetContestRank failed:', error.message);
+        sendError(res, `Failed to retrieve contest ranking: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * HANDLER: type: "getTasks"
+ * type: "getContests"
+ * Lists running and upcoming contests.
  */
-async function handleGetTasks(req, res, body) {
-    const { user_id } = body;
-    const id = parseInt(user_id);
-    
+async function handleGetContests(req, res, body) {
     try {
-        // 1. جلب قائمة المهام المتاحة من جدول tasks (بما في ذلك نوع المهمة)
-        const availableTasks = await supabaseFetch('tasks', 'GET', null, `?select=id,name,link,reward,max_participants,type`);
+        const rows = await supabaseFetch('contests', 'GET', null, `?status=eq.running&select=${CONTEST_PUBLIC_FIELDS}&order=end_time.asc&limit=50`);
+        const now = Date.now();
+        const contests = [];
+        for (const row of (Array.isArray(rows) ? rows : [])) {
+            const contest = normalizeContestRow(row);
+            if (isContestEnded(contest, now)) {
+                try {
+                    await closeContestIfEnded(contest);
+                } catch (error) {
+                    // Left for the next request (or adminCloseContest) to retry
+                    console.error('Closing contest failed:', error.message);
+                }
+                continue;
+            }
+            contests.push({ ...contest, upcoming: new Date(contest.start_time).getTime() > now });
+        }
+        sendSuccess(res, { contests });
+    } catch (error) {
+        console.error('GetContests failed:', error.message);
+        sendError(res, `Failed to retrieve contests: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // 2. جلب المهام التي أكملها المستخدم
-        const completedTasks = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${id}&select=task_id`);
-        const completedTaskIds = Array.isArray(completedTasks) ? new Set(completedTasks.map(t => t.task_id)) : new Set();
-        
-        // 3. فلترة وتجهيز قائمة المهام
-        const tasksList = Array.isArray(availableTasks) ? availableTasks.map(task => {
-            const isCompleted = completedTaskIds.has(task.id);
-            
-            return {
-                task_id: task.id,
-                name: task.name,
-                link: task.link,
-                reward: task.reward,
-                max_participants: task.max_participants,
-                is_completed: isCompleted,
-                type: task.type || 'channel', // إرجاع النوع، الافتراضي 'channel'
-            };
-        }) : [];
+/**
+ * type: "getPastContests"
+ * Closed contests (newest first) with their winners and revealed seeds.
+ * Optional: limit, before (closed_at cursor from the previous page).
+ */
+async function handleGetPastContests(req, res, body) {
+    const { limit, before } = body;
 
-        sendSuccess(res, { tasks: tasksList });
+    try {
+        const rows = await supabaseFetch('contests', 'GET', null,
+            `?status=eq.closed${before ? `&closed_at=lt.${before}` : ''}&select=id,name,start_time,end_time,mode,prizes,seed,seed_hash,total_tickets,closed_at&order=closed_at.desc&limit=${limit}`);
+        const contests = Array.isArray(rows) ? rows : [];
+        const winners = await getContestWinners(contests.map(c => c.id));
 
+        sendSuccess(res, {
+            contests: contests.map(c => ({
+                ...normalizeContestRow(c),
+                seed: c.seed,
+                total_tickets: c.total_tickets,
+                closed_at: c.closed_at,
+                winners: winners[c.id] || []
+            })),
+            next_before: contests.length === limit ? contests[contests.length - 1].closed_at : null
+        });
     } catch (error) {
-        console.error('GetTasks failed:', error.message);
-        sendError(res, `Failed to retrieve tasks: ${error.message}`, 500);
+        console.error('GetPastContests failed:', error.message);
+        sendError(res, `Failed to retrieve past contests: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
+// ------------------------------------------------------------------
+// 🤖 Telegram Bot Webhook
+// ------------------------------------------------------------------
+
+const BOT_HELP_TEXT = [
+  'Watch ads, spin the wheel and complete tasks to earn SHIB.',
+  '',
+  '/start - open the app',
+  '/balance - show your balance',
+  '/notify_off - stop bot notifications',
+  '/notify_on - resume bot notifications',
+  '/help - show this message',
+  '',
+  'Invite friends with your link from the app and earn a share of their rewards.'
+].join('\n');
+
 /**
- * 1) type: "register"
+ * Inline keyboard with a single button launching the Mini App.
  */
-async function handleRegister(req, res, body) {
-  const { user_id, ref_by } = body;
-  const id = parseInt(user_id);
-
-  // فحص أمني
-  const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-  if (await isUserSuspended(id, details)) {
-    await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-    return sendError(res, 'User is suspended due to security violations.', 403);
-  }
+function miniAppLaunchMarkup() {
+    const button = MINI_APP_URL
+        ? { text: '🚀 Open App', web_app: { url: MINI_APP_URL } }
+        : { text: '🚀 Open App', url: `https://t.me/${BOT_USERNAME}/${MINI_APP_SHORT_NAME}` };
+    return { reply_markup: { inline_keyboard: [[button]] } };
+}
 
-  try {
-    // 1. Check if user exists
-    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=id,is_banned,first_name,photo_url`);
+/**
+ * BOT: /start [ref_<id>] — registers the user (and referrer) exactly like the "register" request.
+ */
+async function handleBotStart(chatId, from, payload) {
+    const id = parseInt(from.id);
+    const refMatch = typeof payload === 'string' ? /^ref_(\d+)$/.exec(payload) : null;
+    const refBy = refMatch ? refMatch[1] : null;
+
+    if (await isUserSuspended(id)) {
+        await logSecurityIncident(id, 'access_denied', { reason: 'suspended', source: 'bot' });
+        return sendTelegramMessage(chatId, 'Your account is temporarily suspended due to security violations.');
+    }
 
-    // Extract optional user object sent from client (tgUser)
-    const clientUser = body.user || null;
-    const providedFirstName = clientUser && clientUser.first_name ? clientUser.first_name : null;
-    const providedLastName = clientUser && clientUser.last_name ? clientUser.last_name : null;
-    const providedPhoto = clientUser && clientUser.photo_url ? clientUser.photo_url : (body.photo_url || null);
+    const result = await registerUser(id, refBy, {
+        first_name: from.first_name,
+        last_name: from.last_name,
+        username: from.username
+    });
 
-    if (!Array.isArray(users) || users.length === 0) {
-      // 2. User does not exist, create new user
-      const newUser = {
-        id,
-        balance: 0,
-        ads_watched_today: 0,
-        spins_today: 0,
-        ref_by: ref_by ? parseInt(ref_by) : null,
-        last_activity: new Date().toISOString(), 
-        is_banned: false,
-        task_completed: false, 
-        // Task-link fields initialization
-        task_link_clicks_today: 0,
-        task_link_limit_reached_at: null,
-        // profile fields
-        first_name: providedFirstName,
-        last_name: providedLastName,
-        photo_url: providedPhoto
-      };
-      await supabaseFetch('users', 'POST', newUser, '?select=id');
-    } else {
-        if (users[0].is_banned) {
-             return sendError(res, 'User is banned.', 403);
-        }
-        // Update profile fields if provided and different
-        const updates = {};
-        if (providedFirstName && providedFirstName !== users[0].first_name) updates.first_name = providedFirstName;
-        if (providedPhoto && providedPhoto !== users[0].photo_url) updates.photo_url = providedPhoto;
-        if (Object.keys(updates).length > 0) {
-            await supabaseFetch('users', 'PATCH', updates, `?id=eq.${id}`);
-        }
+    if (result.status === 'banned') {
+        return sendTelegramMessage(chatId, 'This account has been banned.');
     }
 
-    sendSuccess(res, { message: 'User registered or already exists.' });
-  } catch (error) {
-    console.error('Registration failed:', error.message);
-    sendError(res, `Registration failed: ${error.message}`, 500);
-  }
+    const greeting = result.status === 'created'
+        ? `Welcome, ${from.first_name || 'friend'}! Your account is ready.`
+        : `Welcome back, ${from.first_name || 'friend'}!`;
+    return sendTelegramMessage(chatId, `${greeting}\n\n${BOT_HELP_TEXT}`, miniAppLaunchMarkup());
 }
 
 /**
- * 2) type: "watchAd"
+ * BOT: /balance
  */
-async function handleWatchAd(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    const reward = REWARD_PER_AD;
-
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+async function handleBotBalance(chatId, from) {
+    const id = parseInt(from.id);
+    const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
+    if (!Array.isArray(users) || users.length === 0) {
+        return sendTelegramMessage(chatId, 'You are not registered yet. Send /start to create your account.');
+    }
+    if (users[0].is_banned) {
+        return sendTelegramMessage(chatId, 'This account has been banned.');
     }
+    const balance = Number(users[0].balance || 0).toLocaleString('en-US');
+    return sendTelegramMessage(chatId, `💰 Your balance: ${balance} SHIB`, miniAppLaunchMarkup());
+}
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'watchAd')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'watchAd', ...details });
-      return;
+/**
+ * BOT: /notify_on, /notify_off — per-user notification opt-out.
+ */
+async function handleBotNotifications(chatId, from, enabled) {
+    const id = parseInt(from.id);
+    const updated = await supabaseFetch('users', 'PATCH', { notifications_enabled: enabled }, `?id=eq.${id}&select=id`);
+    if (!Array.isArray(updated) || updated.length === 0) {
+        return sendTelegramMessage(chatId, 'You are not registered yet. Send /start to create your account.');
     }
+    return sendTelegramMessage(chatId, enabled
+        ? '🔔 Notifications are on. You will be told about withdrawals, referrals and commissions.'
+        : '🔕 Notifications are off. Send /notify_on to turn them back on.');
+}
 
-    try {
-        // 2. Check and reset daily limits (if 6 hours passed since limit reached)
-        await resetDailyLimitsIfExpired(id);
+/**
+ * Handles a Telegram update delivered to the bot webhook (setWebhook with secret_token).
+ * Always acknowledges valid deliveries so Telegram does not retry them.
+ */
+async function handleBotUpdate(req, res, update) {
+    const secret = req.headers['x-telegram-bot-api-secret-token'];
+    if (!BOT_WEBHOOK_SECRET || !secret || !safeEqual(secret, BOT_WEBHOOK_SECRET)) {
+        const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
+        await logSecurityIncident(0, 'invalid_webhook_secret', details);
+        return sendError(res, 'Invalid webhook secret.', 401, 'INVALID_SIGNATURE');
+    }
 
-        // 3. Fetch current user data 
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ads_watched_today,is_banned,ref_by`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        const user = users[0];
-        const referrerId = user.ref_by; 
+    // Only private text messages are handled; other updates are acknowledged and ignored
+    const message = update.message;
+    if (!message || !message.from || !message.chat || message.chat.type !== 'private' || typeof message.text !== 'string') {
+        return sendSuccess(res, { handled: false });
+    }
 
-        // 4. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
+    const [rawCommand, payload] = message.text.trim().split(/\s+/);
+    const command = rawCommand.split('@')[0].toLowerCase();
 
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            await logSecurityIncident(id, 'rate_overflow', { action: 'watchAd', ...details });
-            return sendError(res, rateLimitResult.message, 429); 
+    try {
+        switch (command) {
+          case '/start':
+            await handleBotStart(message.chat.id, message.from, payload);
+            break;
+          case '/balance':
+            await handleBotBalance(message.chat.id, message.from);
+            break;
+          case '/notify_on':
+          case '/notify_off':
+            await handleBotNotifications(message.chat.id, message.from, command === '/notify_on');
+            break;
+          default:
+            await sendTelegramMessage(message.chat.id, BOT_HELP_TEXT, miniAppLaunchMarkup());
+            break;
         }
+    } catch (error) {
+        console.error(`Bot command ${command} failed:`, error.message);
+    }
 
-        // 6. Check maximum ad limit
-        if (user.ads_watched_today >= DAILY_MAX_ADS) {
-            return sendError(res, `Daily ad limit (${DAILY_MAX_ADS}) reached.`, 403);
-        }
+    sendSuccess(res, { handled: true });
+}
 
-        // 7. Calculate new values
-        const newBalance = (user.balance || 0) + reward;
-        const newAdsCount = (user.ads_watched_today || 0) + 1;
-        const updatePayload = {
-            balance: newBalance,
-            ads_watched_today: newAdsCount,
-            last_activity: new Date().toISOString() 
-        };
+// ------------------------------------------------------------------
+// 🔐 Internal Requests
+// ------------------------------------------------------------------
+/**
+ * Server-to-server request types (ROUTES with auth: 'server') are signed with
+ * INTERNAL_API_SECRET instead of Telegram initData:
+ *   x-internal-timestamp: <ms since epoch>
+ *   x-internal-signature: hex HMAC-SHA256("<timestamp>.<raw body>")
+ * The timestamp bounds replays; handlers stay idempotent on top of it.
+ */
+function internalRequestSignature(timestamp, rawBody) {
+    return crypto.createHmac('sha256', INTERNAL_API_SECRET).update(`${timestamp}.${rawBody}`).digest('hex');
+}
 
-        // 8. NEW LOGIC: Check if the limit is reached NOW
-        if (newAdsCount >= DAILY_MAX_ADS) {
-            updatePayload.ads_limit_reached_at = new Date().toISOString();
-        }
+/**
+ * Returns { ok: true } or { ok: false, reason }.
+ */
+function verifyInternalRequest(req, rawBody) {
+    if (!INTERNAL_API_SECRET) {
+        return { ok: false, reason: 'internal_requests_disabled' };
+    }
+    const timestamp = String(req.headers['x-internal-timestamp'] || '');
+    const signature = String(req.headers['x-internal-signature'] || '');
+    if (!/^\d+$/.test(timestamp) || !signature) {
+        return { ok: false, reason: 'missing_signature' };
+    }
+    if (Math.abs(Date.now() - Number(timestamp)) > INTERNAL_SIGNATURE_MAX_SKEW_MS) {
+        return { ok: false, reason: 'stale_timestamp' };
+    }
+    if (!safeEqual(signature.toLowerCase(), internalRequestSignature(timestamp, rawBody))) {
+        return { ok: false, reason: 'bad_signature' };
+    }
+    return { ok: true };
+}
 
-        // 9. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
+// ------------------------------------------------------------------
+// 🛡️ Admin API
+// ------------------------------------------------------------------
 
-        // 10. Commission Call
-        if (referrerId) {
-            processCommission(referrerId, id, reward).catch(e => {
-                console.error(`WatchAd Commission failed silently for referrer ${referrerId}:`, e.message);
-            });
-        }
-          
-        // 11. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_ads_count: newAdsCount });
+const WITHDRAWAL_STATUSES = ['pending', 'approved', 'rejected'];
 
-    } catch (error) {
-        console.error('WatchAd failed:', error.message);
-        sendError(res, `Failed to process ad watch: ${error.message}`, 500);
-    }
+/**
+ * Constant-time string comparison (inputs are hashed so lengths may differ).
+ */
+function safeEqual(a, b) {
+    const hashA = crypto.createHash('sha256').update(String(a)).digest();
+    const hashB = crypto.createHash('sha256').update(String(b)).digest();
+    return crypto.timingSafeEqual(hashA, hashB);
 }
 
 /**
- * 3) type: "commission"
+ * Authenticates an admin request: ADMIN_SECRET (header x-admin-secret or body.admin_secret)
+ * or a valid initData whose user is listed in ADMIN_TELEGRAM_IDS.
+ * Returns an identifier of the admin (stored as processed_by) or null.
  */
-async function handleCommission(req, res, body) {
-    const { referrer_id, referee_id, source_reward } = body;
-    const referrerId = parseInt(referrer_id);
-    const refereeId = parseInt(referee_id);
-    const sourceReward = parseFloat(source_reward) || REWARD_PER_AD; 
-
-    const result = await processCommission(referrerId, refereeId, sourceReward);
+function authenticateAdmin(req, body) {
+    const providedSecret = req.headers['x-admin-secret'] || body.admin_secret;
+    if (ADMIN_SECRET && providedSecret && safeEqual(providedSecret, ADMIN_SECRET)) {
+        return 'secret';
+    }
 
-    if (result.ok) {
-        sendSuccess(res, { new_referrer_balance: result.new_referrer_balance, message: 'Commission successfully processed.' });
-    } else {
-        console.log(`handleCommission failed: ${result.error}`);
-        sendError(res, 'Commission processing failed on the server. ' + result.error, 500); 
+    if (ADMIN_TELEGRAM_IDS.length > 0 && body.initData && validateInitData(body.initData)) {
+        const telegramId = getInitDataUserId(body.initData);
+        if (telegramId !== null && ADMIN_TELEGRAM_IDS.includes(telegramId)) {
+            return `tg:${telegramId}`;
+        }
     }
+
+    return null;
 }
 
 /**
- * 4) type: "preSpin"
+ * ADMIN: type: "adminListWithdrawals"
+ * Lists withdrawal requests (oldest first). Optional: status, method, limit.
  */
-async function handlePreSpin(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-    
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
-    }
-
-    if (!await validateAndUseActionId(res, id, action_id, 'preSpin')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'preSpin', ...details });
-      return;
+async function handleAdminListWithdrawals(req, res, body) {
+    const { status, limit } = body;
+    if (body.method && !PAYOUT_PROVIDERS[body.method]) {
+        return sendError(res, `Invalid method. Use one of: ${Object.keys(PAYOUT_PROVIDERS).join(', ')}.`, 400, 'INVALID_METHOD');
     }
+    const methodFilter = body.method ? `&method=eq.${body.method}` : '';
 
     try {
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        if (users[0].is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
+        const rows = await supabaseFetch('withdrawals', 'GET', null, `?status=eq.${status}${methodFilter}&select=id,user_id,amount,method,destination,status,hold_status,reject_reason,payout_status,payout_reference,payout_error,created_at,processed_at,paid_at&order=created_at.asc&limit=${limit}`);
 
-        sendSuccess(res, { message: "Pre-spin action secured." });
+        const requests = Array.isArray(rows) ? rows.map(r => ({
+            withdrawal_id: r.id,
+            user_id: r.user_id,
+            amount: r.amount,
+            method: r.method,
+            destination: r.destination,
+            status: r.status,
+            hold_status: r.hold_status || null,
+            reject_reason: r.reject_reason || null,
+            payout_status: r.payout_status,
+            payout_reference: r.payout_reference || null,
+            payout_error: r.payout_error || null,
+            created_at: r.created_at,
+            processed_at: r.processed_at || null,
+            paid_at: r.paid_at || null
+        })) : [];
 
+        sendSuccess(res, { withdrawals: requests });
     } catch (error) {
-        console.error('PreSpin failed:', error.message);
-        sendError(res, `Failed to secure pre-spin: ${error.message}`, 500);
+        console.error('AdminListWithdrawals failed:', error.message);
+        sendError(res, `Failed to list withdrawals: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * 5) type: "spinResult"
+ * ADMIN: type: "adminApproveWithdrawal" / "adminRejectWithdrawal"
+ * Body: { withdrawal_id, reason (reject only) }
+ * Rejection refunds the held amount through the ledger (resolve_withdrawal).
+ * Approval sends the payout right away when the method's provider is automatic.
  */
-async function handleSpinResult(req, res, body) {
-    const { user_id, action_id } = body; 
-    const id = parseInt(user_id);
-    
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
-    }
-
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'spinResult')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'spinResult', ...details });
-      return;
-    } 
-    
-    // 2. Check and reset daily limits (if 6 hours passed since limit reached)
-    await resetDailyLimitsIfExpired(id);
+async function handleAdminResolveWithdrawal(req, res, body, adminId, approve) {
+    const { withdrawal_id: withdrawalId, reason } = body;
 
     try {
-        // 3. Fetch current user data
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,spins_today,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        
-        const user = users[0];
+        const rows = await supabaseRpc('resolve_withdrawal', {
+            p_table: 'withdrawals',
+            p_withdrawal_id: withdrawalId,
+            p_approve: approve,
+            p_reason: approve ? null : reason,
+            p_admin: adminId
+        });
+        const result = Array.isArray(rows) ? rows[0] : rows;
 
-        // 4. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+        let payout = null;
+        if (approve) {
+            const withdrawalRows = await supabaseFetch('withdrawals', 'GET', null, `?id=eq.${withdrawalId}&select=id,amount,method,destination,status,payout_status`);
+            if (Array.isArray(withdrawalRows) && withdrawalRows.length > 0) {
+                payout = await executePayout(withdrawalRows[0]);
+            }
         }
-        
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            await logSecurityIncident(id, 'rate_overflow', { action: 'spinResult', ...details });
-            return sendError(res, rateLimitResult.message, 429); 
+
+        if (result && result.user_id) {
+            const amountText = Number(result.amount || 0).toLocaleString('en-US');
+            const message = approve
+                ? `✅ Your withdrawal of ${amountText} SHIB has been approved.`
+                : `❌ Your withdrawal of ${amountText} SHIB was rejected: ${reason}\nThe amount has been returned to your balance.`;
+            await notifyUser(result.user_id, approve ? 'withdrawal_approved' : 'withdrawal_rejected', message);
         }
 
-        // 6. Check maximum spin limit
-        if (user.spins_today >= DAILY_MAX_SPINS) {
-            return sendError(res, `Daily spin limit (${DAILY_MAX_SPINS}) reached.`, 403);
+        sendSuccess(res, {
+            withdrawal_id: withdrawalId,
+            user_id: result ? result.user_id : null,
+            status: result ? result.status : (approve ? 'approved' : 'rejected'),
+            refunded: !approve,
+            user_balance: result && result.new_balance !== undefined ? Number(result.new_balance) : null,
+            payout_status: payout ? payout.payout_status : 'none',
+            payout_error: payout && payout.error ? payout.error : null
+        });
+    } catch (error) {
+        const reasonCode = String(error.message);
+        if (reasonCode.includes('WITHDRAWAL_NOT_FOUND')) {
+            return sendError(res, 'Withdrawal request not found.', 404, 'WITHDRAWAL_NOT_FOUND');
         }
-        
-        // --- All checks passed: Process Spin Result ---
+        if (reasonCode.includes('WITHDRAWAL_NOT_PENDING')) {
+            return sendError(res, 'Withdrawal request was already processed.', 409, 'ALREADY_PROCESSED');
+        }
+        console.error('AdminResolveWithdrawal failed:', error.message);
+        sendError(res, `Failed to process withdrawal: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        const { prize, prizeIndex } = calculateRandomSpinPrize();
-        const newSpinsCount = (user.spins_today || 0) + 1;
-        const newBalance = (user.balance || 0) + prize;
-        
-        const updatePayload = {
-            balance: newBalance,
-            spins_today: newSpinsCount,
-            last_activity: new Date().toISOString() 
-        };
+/**
+ * ADMIN: type: "adminRetryPayout"
+ * Body: { withdrawal_id }
+ * Re-sends an approved withdrawal whose automatic payout failed (or was never sent).
+ */
+async function handleAdminRetryPayout(req, res, body) {
+    const withdrawalId = body.withdrawal_id;
 
-        // 7. NEW LOGIC: Check if the limit is reached NOW
-        if (newSpinsCount >= DAILY_MAX_SPINS) {
-            updatePayload.spins_limit_reached_at = new Date().toISOString();
+    try {
+        const rows = await supabaseFetch('withdrawals', 'GET', null, `?id=eq.${withdrawalId}&select=id,amount,method,destination,status,payout_status`);
+        if (!Array.isArray(rows) || rows.length === 0) {
+            return sendError(res, 'Withdrawal request not found.', 404, 'WITHDRAWAL_NOT_FOUND');
+        }
+        const withdrawal = rows[0];
+        if (withdrawal.status !== 'approved') {
+            return sendError(res, 'Only approved withdrawals can be paid out.', 409, 'INVALID_STATE');
         }
 
-        // 8. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
+        const payout = await executePayout(withdrawal);
+        if (!payout.ok) {
+            return sendError(res, `Payout failed: ${payout.error}`, payout.payout_status === 'processing' ? 409 : 502, 'PAYOUT_FAILED', { payout_status: payout.payout_status });
+        }
+        sendSuccess(res, { withdrawal_id: withdrawalId, payout_status: payout.payout_status });
+    } catch (error) {
+        console.error('AdminRetryPayout failed:', error.message);
+        sendError(res, `Failed to retry payout: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // 9. Save to spin_results
-        await supabaseFetch('spin_results', 'POST',
-          { user_id: id, prize, created_at: new Date().toISOString() },
-          '?select=user_id');
+/**
+ * ADMIN: type: "adminSyncPayouts"
+ * Polls providers for payouts still in 'processing' and records the final result.
+ * Optional: limit.
+ */
+async function handleAdminSyncPayouts(req, res, body) {
+    const { limit } = body;
 
-        // 10. Return the actual, server-calculated prize and index
-        sendSuccess(res, { 
-            new_balance: newBalance, 
-            actual_prize: prize, 
-            prize_index: prizeIndex,
-            new_spins_count: newSpinsCount
-        });
+    try {
+        const rows = await supabaseFetch('withdrawals', 'GET', null, `?payout_status=eq.processing&payout_reference=not.is.null&select=id,user_id,method,payout_reference&order=processed_at.asc&limit=${limit}`);
+        const summary = { checked: 0, paid: 0, failed: 0, processing: 0 };
+
+        for (const withdrawal of (Array.isArray(rows) ? rows : [])) {
+            const provider = PAYOUT_PROVIDERS[withdrawal.method];
+            if (!provider) continue;
+            summary.checked++;
+
+            const result = await provider.getStatus(withdrawal.payout_reference);
+            summary[result.status] = (summary[result.status] || 0) + 1;
+            if (result.status === 'paid') {
+                await supabaseFetch('withdrawals', 'PATCH', { payout_status: 'paid', paid_at: new Date().toISOString() }, `?id=eq.${withdrawal.id}`);
+            } else if (result.status === 'failed') {
+                await supabaseFetch('withdrawals', 'PATCH', { payout_status: 'failed', payout_error: String(result.error || 'Payout failed at provider') }, `?id=eq.${withdrawal.id}`);
+            }
+        }
 
+        sendSuccess(res, summary);
     } catch (error) {
-        console.error('Spin result failed:', error.message);
-        sendError(res, `Failed to process spin result: ${error.message}`, 500);
+        console.error('AdminSyncPayouts failed:', error.message);
+        sendError(res, `Failed to sync payouts: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * 6) type: "taskLinkClick"
+ * Validates a new contest sent to the admin API.
+ * tickets_per_ad defaults to the configured contest_tickets_per_ad.
+ * Returns { ok: true, contest } with normalized values or { ok: false, error }.
  */
-async function handleTaskLinkClick(req, res, body) {
-    const { user_id, action_id, url } = body;
-    const id = parseInt(user_id);
+function validateContestInput(input, defaultTicketsPerAd) {
+    const contest = {};
 
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+    const name = typeof input.name === 'string' ? input.name.trim() : '';
+    if (!name || name.length > 100) {
+        return { ok: false, error: 'Contest name is required (max 100 characters).' };
     }
+    contest.name = name;
 
-    // 1. Validate action id (using a general 'taskLink' action type)
-    if (!await validateAndUseActionId(res, id, action_id, 'taskLink')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'taskLink', ...details });
-      return;
+    const start = input.start_time ? new Date(input.start_time) : new Date();
+    const end = new Date(input.end_time);
+    if (isNaN(start.getTime()) || isNaN(end.getTime())) {
+        return { ok: false, error: 'Invalid start_time/end_time. Expected ISO date/times (end_time is required).' };
     }
+    if (end <= start || end.getTime() <= Date.now()) {
+        return { ok: false, error: 'end_time must be in the future and after start_time.' };
+    }
+    contest.start_time = start.toISOString();
+    contest.end_time = end.toISOString();
 
-    try {
-        // 2. Reset limits if expired
-        await resetDailyLimitsIfExpired(id);
-
-        // 3. Fetch user
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,task_link_clicks_today,is_banned,ref_by`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        const user = users[0];
+    const mode = input.mode || 'top';
+    if (!CONTEST_MODES.includes(mode)) {
+        return { ok: false, error: `Invalid mode. Use one of: ${CONTEST_MODES.join(', ')}.` };
+    }
+    contest.mode = mode;
 
-        // 4. Banned check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
+    const prizes = Array.isArray(input.prizes) ? input.prizes.map(Number) : [];
+    if (prizes.length === 0 || prizes.length > CONTEST_MAX_PRIZES || prizes.some(p => !Number.isFinite(p) || p <= 0)) {
+        return { ok: false, error: `prizes must be a list of 1-${CONTEST_MAX_PRIZES} positive amounts (1st place first).` };
+    }
+    contest.prizes = prizes;
 
-        // 5. Rate limit check (using the main last_activity)
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            await logSecurityIncident(id, 'rate_overflow', { action: 'taskLinkClick', ...details });
-            return sendError(res, rateLimitResult.message, 429);
-        }
+    const ticketsPerAd = input.tickets_per_ad === undefined ? defaultTicketsPerAd : Number(input.tickets_per_ad);
+    if (!Number.isInteger(ticketsPerAd) || ticketsPerAd <= 0) {
+        return { ok: false, error: 'Invalid tickets_per_ad. Must be a positive integer.' };
+    }
+    contest.tickets_per_ad = ticketsPerAd;
 
-        // 6. Check daily task-link limit
-        const currentCount = user.task_link_clicks_today || 0;
-        if (currentCount >= TASK_LINK_DAILY_MAX) {
-            return sendError(res, `Daily task-link limit (${TASK_LINK_DAILY_MAX}) reached.`, 403);
+    if (input.max_tickets_per_user === undefined || input.max_tickets_per_user === null || input.max_tickets_per_user === '') {
+        contest.max_tickets_per_user = null; // unlimited
+    } else {
+        const maxTickets = Number(input.max_tickets_per_user);
+        if (!Number.isInteger(maxTickets) || maxTickets <= 0) {
+            return { ok: false, error: 'Invalid max_tickets_per_user. Must be a positive integer or null.' };
         }
+        contest.max_tickets_per_user = maxTickets;
+    }
 
-        // 7. Compute new balance and count
-        const reward = TASK_LINK_REWARD;
-        const newBalance = (user.balance || 0) + reward;
-        const newCount = currentCount + 1;
+    contest.auto_renew = input.auto_renew === true;
+    return { ok: true, contest };
+}
 
-        const updatePayload = {
-            balance: newBalance,
-            task_link_clicks_today: newCount,
-            last_activity: new Date().toISOString()
-        };
+/**
+ * ADMIN: type: "adminCreateContest"
+ * Body: { name, end_time, start_time?, mode?, prizes, tickets_per_ad?, max_tickets_per_user?, auto_renew? }
+ * The draw seed is generated here; only its hash is public until the contest closes.
+ */
+async function handleAdminCreateContest(req, res, body) {
+    const validation = validateContestInput(body, (await getConfig()).contest_tickets_per_ad);
+    if (!validation.ok) {
+        return sendError(res, validation.error, 400, 'INVALID_PARAMS');
+    }
 
-        // 8. If reached limit, set timestamp
-        if (newCount >= TASK_LINK_DAILY_MAX) {
-            updatePayload.task_link_limit_reached_at = new Date().toISOString();
+    try {
+        const seed = crypto.randomBytes(32).toString('hex');
+        const created = await supabaseFetch('contests', 'POST',
+            { ...validation.contest, status: 'running', seed, seed_hash: contestSeedHash(seed) },
+            `?select=${CONTEST_PUBLIC_FIELDS},auto_renew`);
+        const row = Array.isArray(created) ? created[0] : created;
+        if (!row || !row.id) {
+            throw new Error((row && row.message) || 'Insert returned no row.');
         }
+        sendSuccess(res, { contest: { ...normalizeContestRow(row), auto_renew: row.auto_renew } });
+    } catch (error) {
+        console.error('AdminCreateContest failed:', error.message);
+        sendError(res, `Failed to create contest: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // 9. Update user record
-        await supabaseFetch('users', 'PATCH', updatePayload, `?id=eq.${id}`);
+/**
+ * ADMIN: type: "adminCloseContest"
+ * Body: { contest_id }
+ * Closes the contest now (even before its end time) and pays the winners.
+ */
+async function handleAdminCloseContest(req, res, body) {
+    const contestId = body.contest_id;
 
-        // 10. Record the click to a table for audit (optional but recommended)
-        try {
-            await supabaseFetch('task_link_clicks', 'POST', { user_id: id, url: url || null, reward, created_at: new Date().toISOString() }, '?select=user_id');
-        } catch (e) {
-            console.warn('Failed to record task_link click audit:', e.message);
+    try {
+        const contest = await getContest(contestId);
+        if (!contest) {
+            return sendError(res, 'Contest not found.', 404, 'CONTEST_NOT_FOUND');
         }
-
-        // 11. Commission for referrer if exists
-        if (user.ref_by) {
-            processCommission(user.ref_by, id, reward).catch(e => {
-                console.error(`TaskLink Commission failed silently for referrer ${user.ref_by}:`, e.message);
-            });
+        const closed = await closeContestIfEnded(contest, true);
+        if (!closed) {
+            return sendError(res, 'Contest was already closed.', 409, 'ALREADY_PROCESSED');
         }
-
-        // 12. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, new_count: newCount });
-
+        sendSuccess(res, closed);
     } catch (error) {
-        console.error('TaskLinkClick failed:', error.message);
-        sendError(res, `Failed to process task link click: ${error.message}`, 500);
+        if (String(error.message).includes('CONTEST_TICKETS_CHANGED')) {
+            return sendError(res, 'Tickets changed while closing the contest. Please retry.', 409, 'CONFLICT');
+        }
+        console.error('AdminCloseContest failed:', error.message);
+        sendError(res, `Failed to close contest: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
-
 /**
- * 7) type: "completeTask" (For dynamic task types: channel, bot, etc.)
+ * Validates task fields sent to the admin API.
+ * With partial = true only the provided fields are checked (updates).
+ * Returns { ok: true, task } with normalized values or { ok: false, error }.
  */
-async function handleCompleteTask(req, res, body) {
-    // 1. Get task_id from request body
-    const { user_id, action_id, task_id } = body; 
-    const id = parseInt(user_id);
-    const taskId = parseInt(task_id);
-    
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+function validateTaskInput(input, partial = false) {
+    const task = {};
+    const has = field => input[field] !== undefined;
+
+    if (!partial || has('name')) {
+        const name = typeof input.name === 'string' ? input.name.trim() : '';
+        if (!name || name.length > 100) {
+            return { ok: false, error: 'Task name is required (max 100 characters).' };
+        }
+        task.name = name;
     }
-    
-    // Ensure task_id is valid
-    if (isNaN(taskId)) {
-        return sendError(res, 'Missing or invalid task_id.', 400);
+
+    if (!partial || has('type')) {
+        const type = typeof input.type === 'string' ? input.type.trim().toLowerCase() : 'channel';
+        if (!TASK_TYPES.includes(type)) {
+            return { ok: false, error: `Invalid task type. Use one of: ${TASK_TYPES.join(', ')}.` };
+        }
+        task.type = type;
     }
-    
-    // 2. Check and Consume Action ID (Security Check) - use task_id in action_type
-    if (!await validateAndUseActionId(res, id, action_id, `completeTask_${taskId}`)) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: `completeTask_${taskId}`, ...details });
-      return;
+
+    if (!partial || has('link')) {
+        const link = typeof input.link === 'string' ? input.link.trim() : '';
+        // completeTask extracts the channel username from a t.me link, so only t.me links are accepted
+        if (!TASK_LINK_PATTERN.test(link)) {
+            return { ok: false, error: 'Invalid task link. Expected a Telegram link like https://t.me/channel_name.' };
+        }
+        task.link = link.startsWith('http') ? link : `https://${link}`;
     }
 
-    try {
-        // 3. Fetch Task Details (Reward, Link, Max Participants, AND TYPE)
-        const tasks = await supabaseFetch('tasks', 'GET', null, `?id=eq.${taskId}&select=link,reward,max_participants,type`);
-        if (!Array.isArray(tasks) || tasks.length === 0) {
-            return sendError(res, 'Task not found.', 404);
+    if (!partial || has('reward')) {
+        const reward = Number(input.reward);
+        if (!Number.isFinite(reward) || reward <= 0 || reward > TASK_MAX_REWARD) {
+            return { ok: false, error: `Invalid reward. Must be greater than 0 and at most ${TASK_MAX_REWARD}.` };
         }
-        const task = tasks[0];
-        const reward = task.reward;
-        const taskLink = task.link;
-        // افتراض: إذا لم يكن هناك نوع، نعتبره 'channel' للتحقق من الانضمام
-        const taskType = (task.type || 'channel').toLowerCase(); 
+        task.reward = reward;
+    }
 
-        // 4. Check if task is already completed for the user (باستخدام الجدول الوسيط)
-        const completions = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?user_id=eq.${id}&task_id=eq.${taskId}&select=id`);
-        if (Array.isArray(completions) && completions.length > 0) {
-            await logSecurityIncident(id, 'duplicate_task', { task_id: taskId, ...details });
-            return sendError(res, 'Task already completed by this user.', 403);
+    if (!partial || has('max_participants')) {
+        if (input.max_participants === null || input.max_participants === undefined || input.max_participants === '') {
+            task.max_participants = null; // unlimited
+        } else {
+            const maxParticipants = Number(input.max_participants);
+            if (!Number.isInteger(maxParticipants) || maxParticipants <= 0) {
+                return { ok: false, error: 'Invalid max_participants. Must be a positive integer or null.' };
+            }
+            task.max_participants = maxParticipants;
         }
+    }
 
-        // 5. Rate Limit Check 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            await logSecurityIncident(id, 'rate_overflow', { action: 'completeTask', ...details });
-            return sendError(res, rateLimitResult.message, 429); 
+    for (const field of ['starts_at', 'ends_at']) {
+        if (!has(field)) continue;
+        if (input[field] === null || input[field] === '') {
+            task[field] = null;
+            continue;
         }
-        
-        // 6. التحقق من الانضمام بناءً على نوع المهمة
-        if (taskType === 'channel') {
-            const channelUsernameMatch = taskLink && taskLink.match(/t\.me\/([a-zA-Z0-9_]+)/);
-            
-            if (channelUsernameMatch) {
-                const channelUsername = `@${channelUsernameMatch[1]}`;
-                // 7. 🚨 CRITICAL: Check Channel Membership using Telegram API
-                const isMember = await checkChannelMembership(id, channelUsername);
+        const time = new Date(input[field]);
+        if (isNaN(time.getTime())) {
+            return { ok: false, error: `Invalid ${field}. Expected an ISO date/time.` };
+        }
+        task[field] = time.toISOString();
+    }
+    if (task.starts_at && task.ends_at && new Date(task.ends_at) <= new Date(task.starts_at)) {
+        return { ok: false, error: 'ends_at must be after starts_at.' };
+    }
 
-                if (!isMember) {
-                     return sendError(res, `User has not joined the required channel: ${channelUsername}`, 400);
-                }
-            } else {
-                 // قناة ولكن الرابط غير صحيح
-                 return sendError(res, 'Task verification failed: Invalid Telegram channel link format for a channel task.', 400);
-            }
-        } 
-        // ⚠️ إذا كان taskType === 'bot' أو غير ذلك، يتم تخطي التحقق من الانضمام
+    if (partial && Object.keys(task).length === 0) {
+        return { ok: false, error: 'No task fields to update.' };
+    }
 
-        // 8. Fetch balance and referrer ID 
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,ref_by,is_banned`);
-        const user = users[0];
-        
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
+    return { ok: true, task };
+}
+
+/**
+ * ADMIN: type: "adminListTasks"
+ * Lists tasks (optionally filtered by status) with per-task completion counts.
+ */
+async function handleAdminListTasks(req, res, body) {
+    const status = body.status || null;
+
+    try {
+        const statusFilter = status ? `status=eq.${status}&` : '';
+        const tasks = await supabaseFetch('tasks', 'GET', null, `?${statusFilter}select=id,name,link,reward,max_participants,starts_at,ends_at,type,status,created_at,updated_at&order=id.desc`);
+        if (!Array.isArray(tasks) || tasks.length === 0) {
+            return sendSuccess(res, { tasks: [] });
         }
-        
-        const referrerId = user.ref_by;
-        const newBalance = (user.balance || 0) + (reward || 0);
-        
-        // 9. Update balance and last_activity
-        await supabaseFetch('users', 'PATCH', 
-            { 
-                balance: newBalance, 
-                last_activity: new Date().toISOString() 
-            }, 
-            `?id=eq.${id}`);
-            
-        // 10. Mark task as completed (INSERT into the junction table)
-        await supabaseFetch(TASK_COMPLETIONS_TABLE, 'POST', 
-            { user_id: id, task_id: taskId, reward_amount: reward, created_at: new Date().toISOString() }, 
-            '?select=user_id');
 
-        // 11. Commission Call
-        if (referrerId) {
-            processCommission(referrerId, id, reward).catch(e => {
-                console.error(`Task Completion Commission failed silently for referrer ${referrerId}:`, e.message);
-            });
+        // Count completions per task in JS (one query for all listed tasks)
+        const ids = tasks.map(t => t.id).join(',');
+        const completions = await supabaseFetch(TASK_COMPLETIONS_TABLE, 'GET', null, `?task_id=in.(${ids})&select=task_id`);
+        const counts = {};
+        if (Array.isArray(completions)) {
+            completions.forEach(c => { counts[c.task_id] = (counts[c.task_id] || 0) + 1; });
         }
-          
-        // 12. Success
-        sendSuccess(res, { new_balance: newBalance, actual_reward: reward, message: 'Task completed successfully.' });
 
+        sendSuccess(res, {
+            tasks: tasks.map(t => ({
+                ...t,
+                status: t.status || 'active',
+                completions: counts[t.id] || 0,
+                remaining_slots: t.max_participants ? Math.max(t.max_participants - (counts[t.id] || 0), 0) : null
+            }))
+        });
     } catch (error) {
-        console.error('CompleteTask failed:', error.message);
-        sendError(res, `Failed to complete task: ${error.message}`, 500);
+        console.error('AdminListTasks failed:', error.message);
+        sendError(res, `Failed to list tasks: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * 8) type: "withdraw"
+ * ADMIN: type: "adminCreateTask"
+ * Body: { name, link, type, reward, max_participants, starts_at, ends_at }
  */
-async function handleWithdraw(req, res, body) {
-    const { user_id, binanceId, faucetpay_email, amount, action_id } = body;
-    const id = parseInt(user_id);
-    const withdrawalAmount = parseFloat(amount);
-    const MIN_WITHDRAW = 2000; // Match client-side minimum
-
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+async function handleAdminCreateTask(req, res, body) {
+    const validation = validateTaskInput(body);
+    if (!validation.ok) {
+        return sendError(res, validation.error, 400, 'INVALID_PARAMS');
     }
 
-    // 1. Check and Consume Action ID (Security Check)
-    if (!await validateAndUseActionId(res, id, action_id, 'withdraw')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'withdraw', ...details });
-      return;
+    try {
+        const created = await supabaseFetch('tasks', 'POST',
+            { ...validation.task, status: 'active', created_at: new Date().toISOString() },
+            '?select=id,name,link,reward,max_participants,starts_at,ends_at,type,status');
+        sendSuccess(res, { task: Array.isArray(created) ? created[0] : created });
+    } catch (error) {
+        console.error('AdminCreateTask failed:', error.message);
+        sendError(res, `Failed to create task: ${error.message}`, 500, 'SERVER_ERROR');
     }
+}
+
+/**
+ * ADMIN: type: "adminUpdateTask"
+ * Body: { task_id, ...any of name, link, type, reward, max_participants, starts_at, ends_at }
+ */
+async function handleAdminUpdateTask(req, res, body) {
+    const taskId = body.task_id;
 
-    if (isNaN(withdrawalAmount) || withdrawalAmount < MIN_WITHDRAW) {
-        return sendError(res, `Minimum withdrawal amount is ${MIN_WITHDRAW} SHIB.`, 400);
+    const validation = validateTaskInput(body, true);
+    if (!validation.ok) {
+        return sendError(res, validation.error, 400, 'INVALID_PARAMS');
     }
 
     try {
-        // 2. Fetch current user balance and banned status
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=balance,is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
+        const updated = await supabaseFetch('tasks', 'PATCH',
+            { ...validation.task, updated_at: new Date().toISOString() },
+            `?id=eq.${taskId}&status=neq.archived&select=id,name,link,reward,max_participants,starts_at,ends_at,type,status`);
+        if (!Array.isArray(updated) || updated.length === 0) {
+            return sendError(res, 'Task not found or archived.', 404, 'TASK_NOT_FOUND');
         }
+        sendSuccess(res, { task: updated[0] });
+    } catch (error) {
+        console.error('AdminUpdateTask failed:', error.message);
+        sendError(res, `Failed to update task: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        const user = users[0];
+/**
+ * ADMIN: type: "adminPauseTask" / "adminResumeTask" / "adminArchiveTask"
+ * Body: { task_id }. Archived tasks cannot be resumed.
+ */
+async function handleAdminSetTaskStatus(req, res, body, status) {
+    const taskId = body.task_id;
 
-        // 3. Banned Check
-        if (user.is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
-        
-        // 4. Check sufficient balance
-        if ((user.balance || 0) < withdrawalAmount) {
-            return sendError(res, 'Insufficient balance.', 400);
+    try {
+        const updated = await supabaseFetch('tasks', 'PATCH',
+            { status, updated_at: new Date().toISOString() },
+            `?id=eq.${taskId}&status=neq.archived&select=id,status`);
+        if (!Array.isArray(updated) || updated.length === 0) {
+            return sendError(res, 'Task not found or archived.', 404, 'TASK_NOT_FOUND');
         }
+        sendSuccess(res, { task_id: taskId, status: updated[0].status });
+    } catch (error) {
+        console.error('AdminSetTaskStatus failed:', error.message);
+        sendError(res, `Failed to change task status: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // 5. Validate destination: prefer faucetpay_email if provided, otherwise binanceId
-        let destinationBinance = null;
-        let destinationFaucetpay = null;
-
-        if (faucetpay_email && typeof faucetpay_email === 'string' && faucetpay_email.trim() !== '') {
-            const email = faucetpay_email.trim();
-            const emailRegex = /^[^\s@]+@[^\s@]+\.[^\s@]+$/;
-            if (!emailRegex.test(email)) {
-                return sendError(res, 'Invalid FaucetPay email address.', 400);
-            }
-            destinationFaucetpay = email;
-        } else if (binanceId && typeof binanceId === 'string' && binanceId.trim() !== '') {
-            destinationBinance = binanceId.trim();
-        } else {
-            return sendError(res, 'Missing withdrawal destination. Provide binanceId or faucetpay_email.', 400);
+/**
+ * ADMIN: type: "adminSetConfig"
+ * Body: { values: { key: value, ... } } — only keys of CONFIG_SCHEMA, each validated.
+ */
+async function handleAdminSetConfig(req, res, body, adminId) {
+    const { values } = body;
+    if (Object.keys(values).length === 0) {
+        return sendError(res, 'Missing values.', 400, 'INVALID_PARAMS');
+    }
+    for (const [key, value] of Object.entries(values)) {
+        const entry = CONFIG_SCHEMA[key];
+        if (!entry) {
+            return sendError(res, `Unknown config key: ${key}. Use one of: ${Object.keys(CONFIG_SCHEMA).join(', ')}.`, 400, 'INVALID_PARAMS', { key });
         }
-
-        // 6. Calculate new balance
-        const newBalance = (user.balance || 0) - withdrawalAmount;
-
-        // 7. Update user balance
-        await supabaseFetch('users', 'PATCH',
-          { 
-              balance: newBalance,
-              last_activity: new Date().toISOString() 
-          },
-          `?id=eq.${id}`);
-
-        // 8. Record the withdrawal request
-        if (destinationFaucetpay) {
-            // FaucetPay-specific table insertion
-            const faucetPayload = {
-                user_id: id,
-                amount: withdrawalAmount,
-                faucetpay_email: destinationFaucetpay,
-                status: 'pending',
-                created_at: new Date().toISOString()
-            };
-
-            await supabaseFetch('faucet_pay', 'POST', faucetPayload, '?select=user_id');
-        } else {
-            // Binance withdrawals stored in the general withdrawals table
-            const withdrawalPayload = {
-                user_id: id,
-                amount: withdrawalAmount,
-                binance_id: destinationBinance || null,
-                faucetpay_email: null,
-                status: 'pending',
-                created_at: new Date().toISOString()
-            };
-
-            await supabaseFetch('withdrawals', 'POST', withdrawalPayload, '?select=user_id');
+        if (!entry.valid(value)) {
+            return sendError(res, `Invalid value for ${key}.`, 400, 'INVALID_PARAMS', { key });
         }
+    }
 
-        // 9. Success
-        sendSuccess(res, { new_balance: newBalance });
+    try {
+        await supabaseRpc('set_app_config', { p_values: values, p_admin: adminId });
+        invalidateConfigCache();
+        sendSuccess(res, { config: await getConfig() });
+    } catch (error) {
+        console.error('AdminSetConfig failed:', error.message);
+        sendError(res, `Failed to update config: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
+/**
+ * ADMIN: type: "adminProcessNotifications"
+ * Retries due messages from notification_queue (meant for a scheduler). Optional: limit.
+ */
+async function handleAdminProcessNotifications(req, res, body) {
+    try {
+        const summary = await processNotificationQueue(body.limit);
+        sendSuccess(res, summary);
     } catch (error) {
-        console.error('Withdrawal failed:', error.message);
-        sendError(res, `Withdrawal failed: ${error.message}`, 500);
+        console.error('AdminProcessNotifications failed:', error.message);
+        sendError(res, `Failed to process notifications: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * NEW: 9) type: "getContestData"
- * Returns user's tickets and total tickets across users and contest timing info.
- *
- * NOTE: This implementation uses the single 'ticket' table (one row per user).
+ * ADMIN: type: "adminListAccountClusters"
+ * Devices (device id + user agent) shared by several accounts, with their referrers and open flags.
+ * Optional: by_ip (group by IP hash only), min_accounts, limit.
  */
-async function handleGetContestData(req, res, body) {
-    const { user_id } = body;
-    const id = parseInt(user_id);
+async function handleAdminListAccountClusters(req, res, body) {
+    const { min_accounts: minAccounts, by_ip: byIp, limit } = body;
     try {
-        // Read the user's ticket row (single row per user)
-        const userTicketRows = await supabaseFetch('ticket', 'GET', null, `?user_id=eq.${id}&select=tickets`);
-        const myTickets = Array.isArray(userTicketRows) && userTicketRows.length > 0 ? parseInt(userTicketRows[0].tickets || 0) : 0;
+        const rows = await supabaseRpc('list_account_clusters', { p_min_accounts: minAccounts, p_by_ip: byIp, p_limit: limit });
+        const clusters = Array.isArray(rows) ? rows.map(r => ({
+            ip_hash: r.ip_hash || null,
+            ua_hash: r.ua_hash || null,
+            device_hash: r.device_hash || null,
+            accounts: Number(r.accounts),
+            user_ids: r.user_ids || [],
+            referrer_ids: r.referrer_ids || [],
+            flagged_pairs: Number(r.flagged_pairs) || 0,
+            last_seen: r.last_seen
+        })) : [];
+        sendSuccess(res, { clusters });
+    } catch (error) {
+        console.error('AdminListAccountClusters failed:', error.message);
+        sendError(res, `Failed to list account clusters: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // Sum tickets for all users by selecting tickets column and summing in JS
-        const allTicketRows = await supabaseFetch('ticket', 'GET', null, `?select=tickets`);
-        const allTickets = Array.isArray(allTicketRows) ? allTicketRows.reduce((s, r) => s + (parseInt(r.tickets || 0)), 0) : 0;
+/**
+ * ADMIN: type: "adminListFlaggedReferrals"
+ * Open flags (commissions withheld). Optional: referrer_id, limit.
+ */
+async function handleAdminListFlaggedReferrals(req, res, body) {
+    const { referrer_id: referrerId, limit } = body;
+    const referrerFilter = referrerId ? `&referrer_id=eq.${referrerId}` : '';
+    try {
+        const rows = await supabaseFetch('flagged_referrals', 'GET', null,
+            `?cleared_at=is.null${referrerFilter}&select=referrer_id,referee_id,reason,details,flagged_at&order=flagged_at.desc&limit=${limit}`);
+        sendSuccess(res, { flags: Array.isArray(rows) ? rows : [] });
+    } catch (error) {
+        console.error('AdminListFlaggedReferrals failed:', error.message);
+        sendError(res, `Failed to list flagged referrals: ${error.message}`, 500, 'SERVER_ERROR');
+    }
+}
 
-        // Read contest time from contest_time table (if exists). Expect a row with a 'time' JSON or columns start_time/end_time
-        let contestTime = null;
-        try {
-            const ct = await supabaseFetch('contest_time', 'GET', null, `?select=time,start_time,end_time&order=id.desc&limit=1`);
-            if (Array.isArray(ct) && ct.length > 0) {
-                // prefer object 'time' if present
-                const row = ct[0];
-                if (row.time) {
-                    contestTime = row.time;
-                } else {
-                    contestTime = {
-                        start_time: row.start_time || null,
-                        end_time: row.end_time || null
-                    };
-                }
-            }
-        } catch (e) {
-            console.warn('Failed to read contest_time table:', e.message);
+/**
+ * ADMIN: type: "adminClearReferralFlag"
+ * Releases a false positive: { referrer_id, referee_id }. Withheld commissions are not paid retroactively.
+ */
+async function handleAdminClearReferralFlag(req, res, body, adminId) {
+    const { referrer_id: referrerId, referee_id: refereeId } = body;
+    try {
+        const updated = await supabaseFetch('flagged_referrals', 'PATCH',
+            { cleared_at: new Date().toISOString(), cleared_by: String(adminId) },
+            `?referrer_id=eq.${referrerId}&referee_id=eq.${refereeId}&cleared_at=is.null&select=referrer_id`);
+        if (!Array.isArray(updated) || updated.length === 0) {
+            return sendError(res, 'No open flag for this referral pair.', 404, 'NOT_FOUND');
         }
-
-        sendSuccess(res, { my_tickets: myTickets, all_tickets: allTickets, time: contestTime });
+        sendSuccess(res, { referrer_id: referrerId, referee_id: refereeId, cleared: true });
     } catch (error) {
-        console.error('GetContestData failed:', error.message);
-        sendError(res, `Failed to retrieve contest data: ${error.message}`, 500);
+        console.error('AdminClearReferralFlag failed:', error.message);
+        sendError(res, `Failed to clear referral flag: ${error.message}`, 500, 'SERVER_ERROR');
     }
 }
 
 /**
- * NEW: 10) type: "contestWatchAd"
- * Grants contest tickets for watching a contest ad.
- *
- * This uses the single 'ticket' table (one row per user). It performs an upsert:
- * - If the user has a ticket row, increment tickets count.
- * - Otherwise create the row with initial tickets value.
+ * ADMIN: type: "adminScanAccountClusters"
+ * Flags device clusters across all referrers (backfill or scheduler). Optional: min_referees.
  */
-async function handleContestWatchAd(req, res, body) {
-    const { user_id, action_id } = body;
-    const id = parseInt(user_id);
-
-    // فحص أمني
-    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-    if (await isUserSuspended(id, details)) {
-      await logSecurityIncident(id, 'access_denied', { reason: 'suspended', ...details });
-      return sendError(res, 'User is suspended due to security violations.', 403);
+async function handleAdminScanAccountClusters(req, res, body) {
+    try {
+        const flagged = await supabaseRpc('scan_account_clusters', { p_min_cluster: body.min_referees });
+        sendSuccess(res, { flagged: Number(flagged) || 0 });
+    } catch (error) {
+        console.error('AdminScanAccountClusters failed:', error.message);
+        sendError(res, `Failed to scan account clusters: ${error.message}`, 500, 'SERVER_ERROR');
     }
+}
 
-    // Validate action id
-    if (!await validateAndUseActionId(res, id, action_id, 'contestWatchAd')) {
-      await logSecurityIncident(id, 'invalid_action_id', { action_type: 'contestWatchAd', ...details });
-      return;
+/**
+ * ADMIN: type: "adminPruneSecurityLog"
+ * Retention job (meant for a scheduler): deletes security log rows older than
+ * retention_days (default SECURITY_LOG_RETENTION_DAYS) and idle security_counters.
+ */
+async function handleAdminPruneSecurityLog(req, res, body) {
+    const before = new Date(Date.now() - body.retention_days * 24 * 60 * 60 * 1000).toISOString();
+    try {
+        const deleted = await supabaseRpc('prune_security_log', { p_before: before });
+        sendSuccess(res, { deleted: Number(deleted) || 0, before });
+    } catch (error) {
+        console.error('AdminPruneSecurityLog failed:', error.message);
+        sendError(res, `Failed to prune security log: ${error.message}`, 500, 'SERVER_ERROR');
     }
+}
 
-    try {
-        // Rate limit & banned checks
-        await resetDailyLimitsIfExpired(id);
-        const users = await supabaseFetch('users', 'GET', null, `?id=eq.${id}&select=is_banned`);
-        if (!Array.isArray(users) || users.length === 0) {
-            return sendError(res, 'User not found.', 404);
-        }
-        if (users[0].is_banned) {
-            return sendError(res, 'User is banned.', 403);
-        }
+// ------------------------------------------------------------------
+// 🧭 Request Routing
+// ------------------------------------------------------------------
+
+/**
+ * Field types of the route schemas: each returns the normalized value,
+ * or undefined when the input does not have that type.
+ */
+const FIELD_TYPES = {
+    id: value => {
+        const n = typeof value === 'string' && /^\d+$/.test(value) ? Number(value) : value;
+        return Number.isSafeInteger(n) && n > 0 ? n : undefined;
+    },
+    int: value => {
+        const n = typeof value === 'string' && /^-?\d+$/.test(value) ? Number(value) : value;
+        return Number.isSafeInteger(n) ? n : undefined;
+    },
+    number: value => {
+        const n = typeof value === 'string' && value.trim() !== '' ? Number(value) : value;
+        return typeof n === 'number' && Number.isFinite(n) ? n : undefined;
+    },
+    string: value => {
+        if (typeof value === 'number' && Number.isFinite(value)) return String(value);
+        return typeof value === 'string' ? value.trim() : undefined;
+    },
+    boolean: value => (typeof value === 'boolean' ? value : undefined),
+    object: value => (value && typeof value === 'object' && !Array.isArray(value) ? value : undefined),
+    date: value => (typeof value === 'string' && !isNaN(Date.parse(value)) ? new Date(value).toISOString() : undefined)
+};
 
-        const rateLimitResult = await checkRateLimit(id);
-        if (!rateLimitResult.ok) {
-            await logSecurityIncident(id, 'rate_overflow', { action: 'contestWatchAd', ...details });
-            return sendError(res, rateLimitResult.message, 429);
+/**
+ * Validates body against a route schema: { field: { type, required, default, min, max, maxLength, pattern, values } }.
+ * Normalized values (and defaults) are written back to body; a field with dropInvalid
+ * is treated as missing when it does not have its type instead of failing the request.
+ * Returns null when the body is valid, otherwise { field, error }.
+ */
+function validateInput(schema, body) {
+    for (const [field, rule] of Object.entries(schema)) {
+        const raw = body[field];
+        const missing = raw === undefined || raw === null || raw === '';
+        const value = missing ? undefined : FIELD_TYPES[rule.type](raw);
+        if (!missing && value === undefined && !rule.dropInvalid) {
+            return { field, error: `Invalid ${field}: expected ${rule.type}.` };
         }
 
-        // Grant tickets (5 tickets per watch)
-        const ticketsToGrant = 5;
+        if (value === undefined || value === '') {
+            if (rule.required) {
+                return { field, error: `Missing ${field}.` };
+            }
+            body[field] = rule.default;
+            continue;
+        }
 
-        // Try to fetch existing ticket row
-        const existing = await supabaseFetch('ticket', 'GET', null, `?user_id=eq.${id}&select=tickets`);
-        if (Array.isArray(existing) && existing.length > 0) {
-            const current = parseInt(existing[0].tickets || 0);
-            const newTickets = current + ticketsToGrant;
-            // Update existing row
-            await supabaseFetch('ticket', 'PATCH', { tickets: newTickets, updated_at: new Date().toISOString() }, `?user_id=eq.${id}`);
-        } else {
-            // Insert new row for this user
-            await supabaseFetch('ticket', 'POST', { user_id: id, tickets: ticketsToGrant, created_at: new Date().toISOString(), updated_at: new Date().toISOString() }, '?select=user_id');
+        if (rule.min !== undefined && value < rule.min) {
+            return { field, error: `${field} must be at least ${rule.min}.` };
+        }
+        if (rule.max !== undefined && value > rule.max) {
+            return { field, error: `${field} must be at most ${rule.max}.` };
+        }
+        if (rule.maxLength !== undefined && value.length > rule.maxLength) {
+            return { field, error: `${field} is too long (max ${rule.maxLength} characters).` };
+        }
+        if (rule.pattern && !rule.pattern.test(value)) {
+            return { field, error: `Invalid ${field}.` };
         }
+        if (rule.values && !rule.values.includes(value)) {
+            return { field, error: `Invalid ${field}. Use one of: ${rule.values.join(', ')}.` };
+        }
+        body[field] = value;
+    }
+    return null;
+}
 
-        // Recompute totals
-        const userTicketsRows = await supabaseFetch('ticket', 'GET', null, `?user_id=eq.${id}&select=tickets`);
-        const myTickets = Array.isArray(userTicketsRows) && userTicketsRows.length > 0 ? parseInt(userTicketsRows[0].tickets || 0) : ticketsToGrant;
+const limitField = (defaultLimit, max) => ({ type: 'int', min: 1, max, default: defaultLimit });
+const ADMIN_LIMIT_FIELD = limitField(50, 200);
 
-        const allTicketsRows = await supabaseFetch('ticket', 'GET', null, `?select=tickets`);
-        const allTickets = Array.isArray(allTicketsRows) ? allTicketsRows.reduce((s, r) => s + (parseInt(r.tickets || 0)), 0) : myTickets;
+/**
+ * Request types. Each route declares:
+ * - auth: 'initData' (Mini App user; body.user_id is bound to it), 'admin' (authenticateAdmin)
+ *   or 'server' (verifyInternalRequest)
+ * - schema: input fields, validated and normalized before the handler runs
+ * - actionToken: action type the action_id must carry (string, or a function of the validated body)
+ * - rateLimit: RATE_LIMIT_ACTIONS bucket taken on top of the per-IP bucket (initData routes)
+ * - allowSuspended: skip the suspension check (public read-only data)
+ * Handlers are called as handler(req, res, body, ctx) with ctx = { userId, adminId, details }.
+ */
+const ROUTES = {
+    // Mini App
+    register: {
+        auth: 'initData',
+        schema: {
+            ref_by: { type: 'id', dropInvalid: true },
+            user: { type: 'object' },
+            photo_url: { type: 'string', maxLength: 1000 },
+            device_id: { type: 'string', pattern: DEVICE_ID_PATTERN }
+        },
+        handler: handleRegister
+    },
+    getUserData: { auth: 'initData', handler: handleGetUserData },
+    getConfig: { auth: 'initData', allowSuspended: true, handler: handleGetConfig },
+    getTasks: { auth: 'initData', handler: handleGetTasks },
+    getReferrals: {
+        auth: 'initData',
+        schema: { limit: limitField(REFERRALS_PAGE_SIZE, 50), offset: { type: 'int', min: 0, default: 0 } },
+        handler: handleGetReferrals
+    },
+    generateActionId: {
+        auth: 'initData',
+        schema: { action_type: { type: 'string', required: true, pattern: ACTION_TYPE_PATTERN } },
+        handler: handleGenerateActionId
+    },
+    watchAd: { auth: 'initData', actionToken: 'watchAd', rateLimit: 'watchAd', handler: handleWatchAd },
+    preSpin: { auth: 'initData', actionToken: 'preSpin', handler: handlePreSpin },
+    spinResult: {
+        auth: 'initData',
+        schema: { spin_id: { type: 'id', required: true }, client_seed: { type: 'string', required: true, pattern: CLIENT_SEED_PATTERN } },
+        actionToken: 'spinResult',
+        rateLimit: 'spinResult',
+        handler: handleSpinResult
+    },
+    getSpinHistory: { auth: 'initData', schema: { limit: limitField(20, 50) }, handler: handleGetSpinHistory },
+    taskLinkClick: {
+        auth: 'initData',
+        schema: { url: { type: 'string', maxLength: 2048 } },
+        actionToken: 'taskLink',
+        rateLimit: 'taskLinkClick',
+        handler: handleTaskLinkClick
+    },
+    completeTask: {
+        auth: 'initData',
+        schema: { task_id: { type: 'id', required: true } },
+        actionToken: body => `completeTask_${body.task_id}`,
+        rateLimit: 'completeTask',
+        handler: handleCompleteTask
+    },
+    withdraw: {
+        auth: 'initData',
+        schema: {
+            amount: { type: 'number', required: true },
+            method: { type: 'string', maxLength: 32 },
+            destination: { type: 'string', maxLength: 256 },
+            faucetpay_email: { type: 'string', maxLength: 256 },
+            binanceId: { type: 'string', maxLength: 256 }
+        },
+        actionToken: 'withdraw',
+        rateLimit: 'withdraw',
+        handler: handleWithdraw
+    },
+    getContests: { auth: 'initData', allowSuspended: true, handler: handleGetContests },
+    getPastContests: {
+        auth: 'initData',
+        allowSuspended: true,
+        schema: { limit: limitField(10, 50), before: { type: 'date' } },
+        handler: handleGetPastContests
+    },
+    getContestData: { auth: 'initData', schema: { contest_id: { type: 'id' } }, handler: handleGetContestData },
+    getContestRank: { auth: 'initData', allowSuspended: true, schema: { contest_id: { type: 'id' } }, handler: handleGetContestRank },
+    contestWatchAd: {
+        auth: 'initData',
+        schema: { contest_id: { type: 'id' } },
+        actionToken: 'contestWatchAd',
+        rateLimit: 'contestWatchAd',
+        handler: handleContestWatchAd
+    },
+
+    // Server-to-server
+    commission: {
+        auth: 'server',
+        schema: {
+            referee_id: { type: 'id', required: true },
+            source_reference: { type: 'string', required: true, maxLength: 200 },
+            source_reward: { type: 'number' },
+            referrer_id: { type: 'id' }
+        },
+        handler: handleCommission
+    },
+
+    // Admin
+    adminListWithdrawals: {
+        auth: 'admin',
+        schema: { status: { type: 'string', values: WITHDRAWAL_STATUSES, default: 'pending' }, method: { type: 'string' }, limit: ADMIN_LIMIT_FIELD },
+        handler: handleAdminListWithdrawals
+    },
+    adminApproveWithdrawal: {
+        auth: 'admin',
+        schema: { withdrawal_id: { type: 'id', required: true } },
+        handler: (req, res, body, ctx) => handleAdminResolveWithdrawal(req, res, body, ctx.adminId, true)
+    },
+    adminRejectWithdrawal: {
+        auth: 'admin',
+        schema: { withdrawal_id: { type: 'id', required: true }, reason: { type: 'string', required: true, maxLength: 500 } },
+        handler: (req, res, body, ctx) => handleAdminResolveWithdrawal(req, res, body, ctx.adminId, false)
+    },
+    adminRetryPayout: { auth: 'admin', schema: { withdrawal_id: { type: 'id', required: true } }, handler: handleAdminRetryPayout },
+    adminSyncPayouts: { auth: 'admin', schema: { limit: limitField(20, 100) }, handler: handleAdminSyncPayouts },
+    adminListTasks: { auth: 'admin', schema: { status: { type: 'string', values: TASK_STATUSES } }, handler: handleAdminListTasks },
+    adminCreateTask: { auth: 'admin', handler: handleAdminCreateTask },
+    adminUpdateTask: { auth: 'admin', schema: { task_id: { type: 'id', required: true } }, handler: handleAdminUpdateTask },
+    adminPauseTask: {
+        auth: 'admin',
+        schema: { task_id: { type: 'id', required: true } },
+        handler: (req, res, body) => handleAdminSetTaskStatus(req, res, body, 'paused')
+    },
+    adminResumeTask: {
+        auth: 'admin',
+        schema: { task_id: { type: 'id', required: true } },
+        handler: (req, res, body) => handleAdminSetTaskStatus(req, res, body, 'active')
+    },
+    adminArchiveTask: {
+        auth: 'admin',
+        schema: { task_id: { type: 'id', required: true } },
+        handler: (req, res, body) => handleAdminSetTaskStatus(req, res, body, 'archived')
+    },
+    adminCreateContest: { auth: 'admin', handler: handleAdminCreateContest },
+    adminCloseContest: { auth: 'admin', schema: { contest_id: { type: 'id', required: true } }, handler: handleAdminCloseContest },
+    adminSetConfig: {
+        auth: 'admin',
+        schema: { values: { type: 'object', required: true } },
+        handler: (req, res, body, ctx) => handleAdminSetConfig(req, res, body, ctx.adminId)
+    },
+    adminProcessNotifications: { auth: 'admin', schema: { limit: ADMIN_LIMIT_FIELD }, handler: handleAdminProcessNotifications },
+    adminPruneSecurityLog: {
+        auth: 'admin',
+        schema: { retention_days: { type: 'int', min: 1, default: SECURITY_LOG_RETENTION_DAYS } },
+        handler: handleAdminPruneSecurityLog
+    },
+    adminListAccountClusters: {
+        auth: 'admin',
+        schema: {
+            by_ip: { type: 'boolean', default: false },
+            min_accounts: { type: 'int', min: 2, default: ACCOUNT_CLUSTER_MIN_ACCOUNTS },
+            limit: ADMIN_LIMIT_FIELD
+        },
+        handler: handleAdminListAccountClusters
+    },
+    adminListFlaggedReferrals: {
+        auth: 'admin',
+        schema: { referrer_id: { type: 'id' }, limit: ADMIN_LIMIT_FIELD },
+        handler: handleAdminListFlaggedReferrals
+    },
+    adminClearReferralFlag: {
+        auth: 'admin',
+        schema: { referrer_id: { type: 'id', required: true }, referee_id: { type: 'id', required: true } },
+        handler: (req, res, body, ctx) => handleAdminClearReferralFlag(req, res, body, ctx.adminId)
+    },
+    adminScanAccountClusters: {
+        auth: 'admin',
+        schema: { min_referees: { type: 'int', min: 2, default: DEVICE_CLUSTER_MIN_REFEREES } },
+        handler: handleAdminScanAccountClusters
+    }
+};
 
-        sendSuccess(res, { my_tickets: myTickets, all_tickets: allTickets });
-    } catch (error) {
-        console.error('ContestWatchAd failed:', error.message);
-        sendError(res, `Failed to grant contest tickets: ${error.message}`, 500);
+/**
+ * Binds a Mini App request to the Telegram user who signed initData (body.user_id is only cross-checked).
+ * Returns the user id, or null after sending the error response.
+ * Failed checks are logged under user 0: the claimed user_id is unverified, and charging it
+ * would let anyone get another account suspended.
+ */
+async function authenticateInitData(res, body, details) {
+    if (!body.initData || !validateInitData(body.initData)) {
+        // تسجيل انتهاك initData
+        await logSecurityIncident(0, 'invalid_initData', { ...details, claimed_user_id: body.user_id, initData: body.initData });
+        sendError(res, 'Invalid or expired initData. Security check failed.', 401, 'INVALID_INIT_DATA');
+        return null;
+    }
+
+    const userId = getInitDataUserId(body.initData);
+    if (userId === null) {
+        await logSecurityIncident(0, 'invalid_initData', { ...details, claimed_user_id: body.user_id, reason: 'missing_user' });
+        sendError(res, 'initData does not identify a user.', 401, 'INVALID_INIT_DATA');
+        return null;
+    }
+    if (body.user_id !== undefined && body.user_id !== null && parseInt(body.user_id) !== userId) {
+        await logSecurityIncident(userId, 'user_id_mismatch', { ...details, claimed_user_id: body.user_id });
+        sendError(res, 'user_id does not match the signed Telegram user.', 403, 'USER_MISMATCH');
+        return null;
     }
+    return userId;
 }
 
 /**
- * NEW: 11) type: "getContestRank"
- * Returns top players ordered by ticket totals (server authoritative).
- *
- * Now reads from 'ticket' table which stores one row per user (no duplicates).
+ * Runs a typed request through its route: authentication, rate limit (initData routes),
+ * input schema, suspension check and action token, then the handler.
  */
-async function handleGetContestRank(req, res, body) {
-    try {
-        // Fetch top users directly from the ticket table ordered by tickets desc
-        // Use REST param to select user_id and tickets and order by tickets.desc
-        const rows = await supabaseFetch('ticket', 'GET', null, `?select=user_id,tickets&order=tickets.desc&limit=100`);
-        if (!Array.isArray(rows) || rows.length === 0) {
-            return sendSuccess(res, { players: [] });
-        }
+async function dispatchRequest(req, res, body, rawBody) {
+    const route = Object.prototype.hasOwnProperty.call(ROUTES, body.type) ? ROUTES[body.type] : null;
+    if (!route) {
+        return sendError(res, `Unknown request type: ${body.type}`, 400, 'UNKNOWN_TYPE');
+    }
 
-        // For each top user, fetch optional user details (first_name/photo_url)
-        const players = [];
-        for (const e of rows) {
-            const uid = e.user_id;
-            const tickets = parseInt(e.tickets || 0);
-            // Try to fetch user profile fields if available
-            const userRows = await supabaseFetch('users', 'GET', null, `?id=eq.${uid}&select=first_name,photo_url,username`);
-            let first_name = `User ${uid}`;
-            let photo_url = null;
-            let username = '';
-            if (Array.isArray(userRows) && userRows.length > 0) {
-                const u = userRows[0];
-                first_name = (u.first_name || first_name).trim();
-                photo_url = u.photo_url || null;
-                username = u.username || '';
+    const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
+    const ctx = { userId: null, adminId: null, details };
+
+    // 1. Authentication
+    if (route.auth === 'admin') {
+        // Admin secret or admin Telegram ID
+        ctx.adminId = authenticateAdmin(req, body);
+        if (!ctx.adminId) {
+            await logSecurityIncident(parseInt(body.user_id) || 0, 'invalid_admin_auth', { type: body.type, ...details });
+            return sendError(res, 'Admin authentication failed.', 401, 'ADMIN_AUTH_FAILED');
+        }
+    } else if (route.auth === 'server') {
+        // Signed with INTERNAL_API_SECRET, never initData
+        const check = verifyInternalRequest(req, rawBody);
+        if (!check.ok) {
+            await logSecurityIncident(parseInt(body.referee_id) || 0, 'invalid_internal_signature', { ...details, type: body.type, reason: check.reason });
+            return sendError(res, 'Internal request authentication failed.', 401, 'INTERNAL_AUTH_FAILED');
+        }
+    } else {
+        ctx.userId = await authenticateInitData(res, body, details);
+        if (ctx.userId === null) {
+            return;
+        }
+        body.user_id = ctx.userId;
+
+        // 2. Token-bucket rate limits (per IP, plus the route's per-user bucket)
+        const rateLimit = await takeRateLimitTokens(getRateLimitBuckets(req, ctx.userId, route.rateLimit));
+        if (!rateLimit.ok) {
+            // Only the user's own action bucket counts towards suspension; the IP bucket is shared
+            if (!rateLimit.shared) {
+                await logSecurityIncident(ctx.userId, 'rate_overflow', { action: body.type, bucket: rateLimit.bucket, ...details });
             }
+            return sendRateLimited(res, rateLimit.retryAfterMs);
+        }
+    }
 
-            // Return a single consolidated object (no duplicate userId/user_id)
-            players.push({
-                first_name: first_name,
-                photo_url: photo_url,
-                user_id: uid,
-                tickets: tickets,
-                username: username
-            });
+    // 3. Input schema
+    const invalid = validateInput(route.schema || {}, body);
+    if (invalid) {
+        return sendError(res, invalid.error, 400, 'INVALID_PARAMS', { field: invalid.field });
+    }
+
+    if (ctx.userId !== null) {
+        // 4. فحص التعليق الأمني
+        if (!route.allowSuspended && await isUserSuspended(ctx.userId)) {
+            await logSecurityIncident(ctx.userId, 'access_denied', { reason: 'suspended', ...details });
+            return sendError(res, 'User is suspended due to security violations.', 403, 'SUSPENDED');
         }
 
-        sendSuccess(res, { players });
-    } catch (error) {
-        console.error('GetContestRank failed:', error.message);
-        sendError(res, `Failed to retrieve contest ranking: ${error.message}`, 500);
+        // 5. Check and consume the action token
+        if (route.actionToken) {
+            const actionType = typeof route.actionToken === 'function' ? route.actionToken(body) : route.actionToken;
+            const token = await validateAndUseActionId(res, ctx.userId, body.action_id, actionType);
+            if (!token.ok) {
+                if (token.incident) {
+                    await logSecurityIncident(ctx.userId, token.incident, { action_type: actionType, ...details });
+                }
+                return;
+            }
+        }
     }
-}
 
-/**
- * 7) type "completeTask" already implemented earlier...
- * (no change)
- */
+    return route.handler(req, res, body, ctx);
+}
 
 // --- Main Handler for Vercel/Serverless ---
 module.exports = async (req, res) => {
   // CORS configuration
   res.setHeader('Access-Control-Allow-Origin', '*');
   res.setHeader('Access-Control-Allow-Methods', 'POST, OPTIONS');
-  res.setHeader('Access-Control-Allow-Headers', 'Content-Type');
+  // x-admin-secret lets a browser admin panel authenticate; the x-internal-* and
+  // Telegram webhook headers are only ever sent server-to-server, so they stay out
+  res.setHeader('Access-Control-Allow-Headers', 'Content-Type, x-admin-secret');
 
   if (req.method === 'OPTIONS') {
     return sendSuccess(res);
   }
 
+  // Ad network reward callbacks are plain GET requests (?ad_callback=<network>)
+  if (req.method === 'GET') {
+    const params = new URL(req.url, 'http://localhost').searchParams;
+    if (params.get('ad_callback')) {
+      return handleAdRewardCallback(req, res, params);
+    }
+  }
+
   if (req.method !== 'POST') {
-    return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405);
+    return sendError(res, `Method ${req.method} not allowed. Only POST is supported.`, 405, 'METHOD_NOT_ALLOWED');
   }
 
   let body;
+  let rawBody = '';
   try {
     body = await new Promise((resolve, reject) => {
       let data = '';
@@ -1423,6 +3824,7 @@ module.exports = async (req, res) => {
         data += chunk.toString();
       });
       req.on('end', () => {
+        rawBody = data;
         try {
           resolve(JSON.parse(data));
         } catch (e) {
@@ -1433,72 +3835,21 @@ module.exports = async (req, res) => {
     });
 
   } catch (error) {
-    return sendError(res, error.message, 400);
-  }
-
-  if (!body || !body.type) {
-    return sendError(res, 'Missing "type" field in the request body.', 400);
+    return sendError(res, error.message, 400, 'INVALID_JSON');
   }
 
-  // initData Security Check (exclude commission and server-to-server types if needed)
-  if (body.type !== 'commission' && (!body.initData || !validateInitData(body.initData))) {
-      // تسجيل انتهاك initData
-      const details = { ip: req.headers['x-forwarded-for'] || req.socket.remoteAddress, ua: req.headers['user-agent'] };
-      await logSecurityIncident(body.user_id || 0, 'invalid_initData', { ...details, initData: body.initData });
-      return sendError(res, 'Invalid or expired initData. Security check failed.', 401);
+  // Telegram bot webhook updates (identified by update_id) share this endpoint
+  if (body && !body.type && body.update_id !== undefined) {
+    return handleBotUpdate(req, res, body);
   }
 
-  if (!body.user_id && body.type !== 'commission') {
-      return sendError(res, 'Missing user_id in the request body.', 400);
+  if (!body || !body.type) {
+    return sendError(res, 'Missing "type" field in the request body.', 400, 'INVALID_PARAMS');
   }
 
-  // Route the request based on the 'type' field
-  switch (body.type) {
-    case 'getUserData':
-      await handleGetUserData(req, res, body);
-      break;
-    case 'getTasks':
-      await handleGetTasks(req, res, body);
-      break;
-    case 'register':
-      await handleRegister(req, res, body);
-      break;
-    case 'watchAd':
-      await handleWatchAd(req, res, body);
-      break;
-    case 'commission':
-      await handleCommission(req, res, body);
-      break;
-    case 'preSpin': 
-      await handlePreSpin(req, res, body);
-      break;
-    case 'spinResult': 
-      await handleSpinResult(req, res, body);
-      break;
-    case 'withdraw':
-      await handleWithdraw(req, res, body);
-      break;
-    case 'completeTask':
-      await handleCompleteTask(req, res, body);
-      break;
-    case 'generateActionId': 
-      await handleGenerateActionId(req, res, body);
-      break;
-    case 'taskLinkClick': 
-      await handleTaskLinkClick(req, res, body);
-      break;
-    // New contest-related handlers (use single 'ticket' table)
-    case 'getContestData':
-      await handleGetContestData(req, res, body);
-      break;
-    case 'contestWatchAd':
-      await handleContestWatchAd(req, res, body);
-      break;
-    case 'getContestRank':
-      await handleGetContestRank(req, res, body);
-      break;
-    default:
-      sendError(res, `Unknown request type: ${body.type}`, 400);
-      break;
-  }
+  // Authentication, input validation and security checks are declared per type in ROUTES
+  return dispatchRequest(req, res, body, rawBody);
 };
+
+// Test seam: swap the Supabase / Bot API transport (see setDataLayer)
+module.exports.setDataLayer = setDataLayer;
@@ -45,6 +45,7 @@
         document.addEventListener('DOMContentLoaded',()=>{
             // Simulating a brief loading time for the spinner to be visible
             setTimeout(async ()=>{ 
+                await loadAppConfig();
                 await initDailyProgress(); 
                 loadingScreen.classList.add('hidden');
                 playBGAudio(); 
@@ -195,6 +196,7 @@
 
             // Return control object for optional manual dismissal
             return {
+                element: toast,
                 dismiss: () => {
                     clearTimeout(timeoutId);
                     if (toast && toast.parentNode) {
@@ -223,6 +225,26 @@
             showToast(t, title || capitalizeType(t), msg, { durationMs: duration });
         }
 
+        // Rate limit toast that counts down the server's retry_after_ms
+        let rateLimitTimer = null;
+        function showRateLimitCountdown(retryAfterMs) {
+            const until = Date.now() + Math.max(Number(retryAfterMs) || 1000, 1000);
+            const text = () => localizeError('RATE_LIMITED', { seconds: Math.max(Math.ceil((until - Date.now()) / 1000), 0) }).message;
+            const control = showToast('warning', localizeError('RATE_LIMITED', {}).title, text(), { durationMs: until - Date.now() });
+            if (!control) return;
+
+            clearInterval(rateLimitTimer);
+            const messageEl = control.element.querySelector('.toast-message');
+            rateLimitTimer = setInterval(() => {
+                if (Date.now() >= until || !control.element.parentNode) {
+                    clearInterval(rateLimitTimer);
+                    control.dismiss();
+                    return;
+                }
+                messageEl.textContent = text();
+            }, 250);
+        }
+
         // small helper: escape HTML to avoid injection in innerHTML usage
         function escapeHtml(str) {
             return String(str)
@@ -286,6 +308,103 @@
         // ------------------------------------------------------------------
         // **fetchApi Function**
         // ------------------------------------------------------------------
+        /* ===== Error codes -> localized alerts ===== */
+        // The server returns { code, details }; messages live here so they can be translated.
+        // Each entry: [title, message or (details) => message, toast type].
+        const ERROR_MESSAGES = {
+            en: {
+                fallbackTitle: 'Operation Failed!',
+                connectionTitle: 'Connection Error!',
+                connectionMessage: 'Could not connect to the server. Please check your internet connection.',
+                SUSPENDED: ['Account Suspended', 'Your account is temporarily suspended due to security violations.', 'error'],
+                BANNED: ['Access Denied!', 'This account has been banned.', 'error'],
+                USER_NOT_FOUND: ['Account Not Found', 'Please restart the app to finish registration.', 'error'],
+                LIMIT_REACHED: ['Limit Reached!', d => d.kind === 'contest_tickets'
+                    ? 'You reached the ticket limit for this contest.'
+                    : `You have reached today's maximum${d.limit ? ` (${d.limit})` : ''}. Come back later.`, 'warning'],
+                RATE_LIMITED: ['Rate Limit Exceeded!', d => `Too many requests. You can try again in ${d.seconds || 1}s.`, 'warning'],
+                TOKEN_MISSING: ['Security Error!', 'A security-related error occurred. Please try again.', 'error'],
+                TOKEN_INVALID: ['Security Error!', 'A security-related error occurred. Please try again.', 'error'],
+                TOKEN_EXPIRED: ['Session Expired', 'The request took too long. Please try again.', 'warning'],
+                INVALID_INIT_DATA: ['Session Expired', 'Please close and reopen the app.', 'error'],
+                USER_MISMATCH: ['Security Error!', 'Please close and reopen the app.', 'error'],
+                NOT_MEMBER: ['Task Failed!', d => `Membership not verified${d.channel ? ` for @${d.channel}` : ''}. Please join the channel and try again.`, 'error'],
+                TASK_ALREADY_COMPLETED: ['Task Completed!', 'Reward already claimed. Task is complete.', 'warning'],
+                TASK_UNAVAILABLE: ['Task Unavailable', d => ({
+                    not_started: 'This task has not started yet.',
+                    expired: 'This task campaign has ended.',
+                    full: 'This task has reached its maximum number of participants.'
+                })[d.reason] || 'This task is not available anymore.', 'warning'],
+                TASK_NOT_FOUND: ['Task Unavailable', 'This task is not available anymore.', 'warning'],
+                AD_NOT_VERIFIED: ['Ad Not Verified', 'Please watch the full ad and try again.', 'warning'],
+                SPIN_NOT_FOUND: ['Spin Expired', 'Please spin again.', 'warning'],
+                INSUFFICIENT_BALANCE: ['Insufficient Balance', 'Your balance is too low for this withdrawal.', 'error'],
+                AMOUNT_TOO_LOW: ['Amount Too Low', d => `Minimum withdrawal amount is ${Number(d.min || MIN_WITHDRAW_UI).toLocaleString('en-US')} SHIB.`, 'warning'],
+                INVALID_METHOD: ['Withdrawal Failed', 'This withdrawal method is not available.', 'error'],
+                INVALID_DESTINATION: ['Withdrawal Failed', 'Please check your payout address or email.', 'error'],
+                DUPLICATE_REQUEST: ['Already Submitted', 'This request was already submitted.', 'warning'],
+                NO_ACTIVE_CONTEST: ['No Contest', 'No contest is running right now.', 'info'],
+                CONTEST_NOT_FOUND: ['No Contest', 'This contest does not exist.', 'info'],
+                CONTEST_ENDED: ['Contest Ended', 'This contest has ended.', 'info'],
+                CONTEST_NOT_STARTED: ['Contest Not Started', 'This contest has not started yet.', 'info'],
+                SERVER_ERROR: ['Server Error', 'Something went wrong on our side. Please try again later.', 'error']
+            },
+            ar: {
+                fallbackTitle: 'فشلت العملية!',
+                connectionTitle: 'خطأ في الاتصال!',
+                connectionMessage: 'تعذر الاتصال بالخادم. يرجى التحقق من اتصالك بالإنترنت.',
+                SUSPENDED: ['الحساب موقوف', 'تم إيقاف حسابك مؤقتًا بسبب مخالفات أمنية.', 'error'],
+                BANNED: ['تم رفض الوصول!', 'تم حظر هذا الحساب.', 'error'],
+                USER_NOT_FOUND: ['الحساب غير موجود', 'يرجى إعادة تشغيل التطبيق لإكمال التسجيل.', 'error'],
+                LIMIT_REACHED: ['تم بلوغ الحد!', d => d.kind === 'contest_tickets'
+                    ? 'لقد بلغت الحد الأقصى للتذاكر في هذه المسابقة.'
+                    : `لقد بلغت الحد الأقصى لليوم${d.limit ? ` (${d.limit})` : ''}. عد لاحقًا.`, 'warning'],
+                RATE_LIMITED: ['طلبات كثيرة!', d => `طلبات كثيرة جدًا. يمكنك المحاولة مجددًا بعد ${d.seconds || 1} ث.`, 'warning'],
+                TOKEN_MISSING: ['خطأ أمني!', 'حدث خطأ أمني. يرجى المحاولة مرة أخرى.', 'error'],
+                TOKEN_INVALID: ['خطأ أمني!', 'حدث خطأ أمني. يرجى المحاولة مرة أخرى.', 'error'],
+                TOKEN_EXPIRED: ['انتهت المهلة', 'استغرق الطلب وقتًا طويلًا. يرجى المحاولة مرة أخرى.', 'warning'],
+                INVALID_INIT_DATA: ['انتهت الجلسة', 'يرجى إغلاق التطبيق وفتحه من جديد.', 'error'],
+                USER_MISMATCH: ['خطأ أمني!', 'يرجى إغلاق التطبيق وفتحه من جديد.', 'error'],
+                NOT_MEMBER: ['فشلت المهمة!', d => `لم يتم التحقق من الاشتراك${d.channel ? ` في @${d.channel}` : ''}. يرجى الانضمام إلى القناة والمحاولة مجددًا.`, 'error'],
+                TASK_ALREADY_COMPLETED: ['المهمة مكتملة!', 'تم استلام المكافأة مسبقًا.', 'warning'],
+                TASK_UNAVAILABLE: ['المهمة غير متاحة', d => ({
+                    not_started: 'لم تبدأ هذه المهمة بعد.',
+                    expired: 'انتهت حملة هذه المهمة.',
+                    full: 'وصلت هذه المهمة إلى الحد الأقصى من المشاركين.'
+                })[d.reason] || 'هذه المهمة لم تعد متاحة.', 'warning'],
+                TASK_NOT_FOUND: ['المهمة غير متاحة', 'هذه المهمة لم تعد متاحة.', 'warning'],
+                AD_NOT_VERIFIED: ['لم يتم التحقق من الإعلان', 'يرجى مشاهدة الإعلان كاملًا والمحاولة مجددًا.', 'warning'],
+                SPIN_NOT_FOUND: ['انتهت صلاحية الدورة', 'يرجى تدوير العجلة مرة أخرى.', 'warning'],
+                INSUFFICIENT_BALANCE: ['الرصيد غير كافٍ', 'رصيدك لا يكفي لهذا السحب.', 'error'],
+                AMOUNT_TOO_LOW: ['المبلغ أقل من الحد', d => `الحد الأدنى للسحب هو ${Number(d.min || MIN_WITHDRAW_UI).toLocaleString('en-US')} SHIB.`, 'warning'],
+                INVALID_METHOD: ['فشل السحب', 'طريقة السحب هذه غير متاحة.', 'error'],
+                INVALID_DESTINATION: ['فشل السحب', 'يرجى التحقق من عنوان الدفع أو البريد الإلكتروني.', 'error'],
+                DUPLICATE_REQUEST: ['تم الإرسال مسبقًا', 'تم إرسال هذا الطلب من قبل.', 'warning'],
+                NO_ACTIVE_CONTEST: ['لا توجد مسابقة', 'لا توجد مسابقة جارية حاليًا.', 'info'],
+                CONTEST_NOT_FOUND: ['لا توجد مسابقة', 'هذه المسابقة غير موجودة.', 'info'],
+                CONTEST_ENDED: ['انتهت المسابقة', 'انتهت هذه المسابقة.', 'info'],
+                CONTEST_NOT_STARTED: ['لم تبدأ المسابقة', 'لم تبدأ هذه المسابقة بعد.', 'info'],
+                SERVER_ERROR: ['خطأ في الخادم', 'حدث خطأ من جهتنا. يرجى المحاولة لاحقًا.', 'error']
+            }
+        };
+
+        function errorLanguage() {
+            const code = String((tgUser && tgUser.language_code) || '').slice(0, 2).toLowerCase();
+            return ERROR_MESSAGES[code] ? code : 'en';
+        }
+
+        function errorText(key) {
+            return ERROR_MESSAGES[errorLanguage()][key] || ERROR_MESSAGES.en[key];
+        }
+
+        // Returns { title, message, type } for a known error code, or null
+        function localizeError(code, details = {}) {
+            const entry = code && (ERROR_MESSAGES[errorLanguage()][code] || ERROR_MESSAGES.en[code]);
+            if (!Array.isArray(entry)) return null;
+            const [title, message, type] = entry;
+            return { title, message: typeof message === 'function' ? message(details || {}) : message, type };
+        }
+
         async function fetchApi(payload) {
             if (!tgUser) {
                 showCustomAlert('Critical Error!', 'User data not initialized. Please restart the app. [CODE: U_NIL]', 'error');
@@ -323,43 +442,23 @@
 
                 if (!response.ok || !data.ok) {
                     const errorMessage = data.error || `Server Error: ${response.status} ${response.statusText}`;
-                    console.error(`API Call failed for type ${payload.type}:`, errorMessage);
-                    let alertTitle = 'Operation Failed!';
-                    let alertType = 'error';
-                    let cleanMessage = errorMessage;
-
-                    if (response.status === 429) {
-                        alertTitle = 'Rate Limit Exceeded!';
-                        alertType = 'warning';
-                        cleanMessage = 'You have exceeded the allowed request limit. Please try again after 5 second.';
-                    } else if (errorMessage.includes('banned')) {
-                        alertTitle = 'Access Denied!';
-                        alertType = 'error';
-                        cleanMessage = 'This account has been banned.';
-                    } else if (errorMessage.includes('limit reached')) {
-                        alertTitle = 'Daily Limit Reached!';
-                        alertType = 'warning';
-                        cleanMessage = 'You have reached the maximum number of allowed actions for today.';
-                    } else if (errorMessage.includes('Server Token') || response.status === 409 || response.status === 408) {
-                        alertTitle = 'Security Error!';
-                        alertType = 'error';
-                        cleanMessage = 'A security-related error occurred. Please try again.';
-                    } else if (payload.type === 'completeTask' && errorMessage.includes('already completed')) {
-                        alertTitle = 'Task Completed!';
-                        alertType = 'warning';
-                        cleanMessage = 'Reward already claimed. Task is complete.';
-                    } else if (payload.type === 'completeTask' && errorMessage.includes('not joined')) {
-                        alertTitle = 'Task Failed!';
-                        alertType = 'error';
-                        cleanMessage = 'Membership not verified. Please ensure you joined the channel and try again.';
+                    const errorCode = data.code || null;
+                    const details = data.details || {};
+                    console.error(`API Call failed for type ${payload.type} (${errorCode}):`, errorMessage);
+
+                    if (errorCode === 'RATE_LIMITED' || response.status === 429) {
+                        const retryAfterMs = Number(details.retry_after_ms) || (Number(response.headers.get('Retry-After')) || 1) * 1000;
+                        showRateLimitCountdown(retryAfterMs);
+                        return { ok: false, error: errorMessage, code: 'RATE_LIMITED', details: { ...details, retry_after_ms: retryAfterMs } };
+                    }
+
+                    const localized = localizeError(errorCode, details);
+                    if (localized) {
+                        showCustomAlert(localized.title, localized.message, localized.type);
                     } else {
-                        alertTitle = 'Operation Failed!';
-                        alertType = 'error';
-                        cleanMessage = errorMessage;
+                        showCustomAlert(errorText('fallbackTitle'), errorMessage, 'error');
                     }
-                    
-                    showCustomAlert(alertTitle, cleanMessage, alertType);
-                    return { ok: false, error: errorMessage };
+                    return { ok: false, error: errorMessage, code: errorCode, details };
                 }
 
                 return data;
@@ -368,8 +467,8 @@
                     Telegram.WebApp.hideProgress();
                 }
                 console.error(`General Fetch Error for type ${payload.type}:`, error.message);
-                showCustomAlert('Connection Error!', 'Could not connect to the server. Please check your internet connection.', 'error');
-                return { ok: false, error: error.message };
+                showCustomAlert(errorText('connectionTitle'), errorText('connectionMessage'), 'error');
+                return { ok: false, error: error.message, code: 'NETWORK_ERROR' };
             }
         }
 
@@ -390,8 +489,13 @@
 
 
         /* ===== Rewards, Limits, and Anti-Cheat (Limits here are for display only) ===== */
-        const DAILY_MAX = 200;
-        const DAILY_MAX_SPINS = 25;
+        // Values come from the server (getConfig); these are only used until it answers.
+        let DAILY_MAX = 200;
+        let DAILY_MAX_SPINS = 25;
+        let MIN_WITHDRAW_UI = 2000;
+        let CONTEST_TICKETS_PER_AD = 5;
+        let REFERRAL_COMMISSION_LEVELS = [0.40, 0.10];
+        let referralsNextOffset = 0;
         
         let shibBalance = 0; 
         let adsWatchedToday = 0;
@@ -404,12 +508,20 @@
         let isProcessingTask = false; 
         let countdownInterval = null;
         
-        const sectors = [5, 10, 15, 20, 5]; 
+        // Wheel definition from getConfig (spin_wheel); the server's prize_index points into this list
+        let sectors = [
+            { value: 15, label: '15', color: '#00bfff' },
+            { value: 25, label: '25', color: '#ff8c00' },
+            { value: 35, label: '35', color: '#28a745' },
+            { value: 30, label: '30', color: '#ff4500' },
+            { value: 20, label: '20', color: '#00f2fe' }
+        ];
 
         let currentTask = null;
 
         // ===== Contest Variables =====
         let contestEndTime = new Date().getTime() + (10 * 24 * 60 * 60 * 1000); // 10 days from now
+        let currentContestId = null; // set by getContestData; tickets and ranking are per contest
         let myTickets = 0;
         let allTickets = 0;
         let contestCountdownInterval = null;
@@ -417,8 +529,8 @@
 
         // ===== Task Link Constants and state (local-storage based) =====
         const TASK_LINK_KEY = 'taskLinkProgress_v1';
-        const TASK_LINK_DAILY_MAX = 200; // daily limit (count)
-        const TASK_LINK_REWARD = 5; // 5 SHIB per click
+        let TASK_LINK_DAILY_MAX = 200; // daily limit (count), from getConfig
+        let TASK_LINK_REWARD = 5; // SHIB per click, from getConfig
         const TASK_LINK_URL = 'https://otieu.com/4/10259911';
 
         let taskLinkState = { date: null, count: 0 }; // {date:'YYYY-MM-DD', count: number}
@@ -577,8 +689,9 @@
                         amount: item.amount,
                         status: item.status,
                         date: new Date(item.created_at).toLocaleDateString('en-GB'),
-                        binance_id: item.binance_id || null,
-                        faucetpay_email: item.faucetpay_email || null
+                        method: item.method || null,
+                        destination: item.destination || null,
+                        reject_reason: item.reject_reason || null
                     }))
                 });
 
@@ -598,6 +711,54 @@
             }
         }
         
+        // Reward/limit settings are owned by the server; the UI only mirrors them.
+        async function loadAppConfig() {
+            const result = await fetchApi({ type: 'getConfig' });
+            if (!result.ok || !result.data || !result.data.config) return;
+            const config = result.data.config;
+
+            DAILY_MAX = config.daily_max_ads;
+            DAILY_MAX_SPINS = config.daily_max_spins;
+            MIN_WITHDRAW_UI = config.min_withdraw;
+            TASK_LINK_DAILY_MAX = config.task_link_daily_max;
+            TASK_LINK_REWARD = config.task_link_reward;
+            CONTEST_TICKETS_PER_AD = config.contest_tickets_per_ad;
+            if (Array.isArray(config.referral_commission_levels)) {
+                REFERRAL_COMMISSION_LEVELS = config.referral_commission_levels;
+            }
+            if (Array.isArray(config.spin_wheel) && config.spin_wheel.length > 0) {
+                sectors = config.spin_wheel;
+                drawWheel();
+            }
+
+            const amountEl = document.getElementById('withdrawAmount');
+            if (amountEl) amountEl.min = MIN_WITHDRAW_UI;
+            document.getElementById('adsMaxDisplay').textContent = Number(DAILY_MAX).toLocaleString('en-US');
+            document.getElementById('spinsMaxDisplay').textContent = Number(DAILY_MAX_SPINS).toLocaleString('en-US');
+            document.getElementById('withdrawMinDisplay').textContent = `Minimum: ${Number(MIN_WITHDRAW_UI).toLocaleString('en-US')} SHIB`;
+            updateInviteRates();
+            updateUI();
+            updateTaskLinkUI();
+        }
+
+        // Random id kept in this WebView's storage; accounts opened on the same
+        // device share it, which IP and user agent alone cannot tell (CGNAT, WebView UAs)
+        const DEVICE_ID_KEY = 'deviceId_v1';
+
+        function getDeviceId() {
+            try {
+                let deviceId = localStorage.getItem(DEVICE_ID_KEY);
+                if (!deviceId) {
+                    deviceId = generateClientSeed();
+                    localStorage.setItem(DEVICE_ID_KEY, deviceId);
+                }
+                return deviceId;
+            } catch (e) {
+                console.warn('Failed to read the device id from localStorage:', e);
+                return null;
+            }
+        }
+
         async function initDailyProgress(){
             if (!tgUser) return;
 
@@ -605,6 +766,7 @@
             const userPayload = {
                 type: 'register',
                 ref_by: referrerId ? referrerId : null,
+                device_id: getDeviceId(),
                 user: {
                     id: tgUser.id,
                     first_name: tgUser.first_name || null,
@@ -627,7 +789,6 @@
             if (!btn || !amountEl) return;
             const bal = Number(shibBalance || 0);
             const amount = Number(amountEl.value || 0);
-            const MIN_WITHDRAW_UI = 4000;
             btn.disabled = !(bal >= MIN_WITHDRAW_UI && amount >= MIN_WITHDRAW_UI && amount <= bal);
         }
 
@@ -751,17 +912,6 @@ function updateUI(){
                         ads_watched_today: adResult.data.new_ads_count
                     });
                     
-                    if (referrerId) {
-                        fetchApi({
-                            type: 'commission',
-                            referrer_id: referrerId,
-                            referee_id: tgUser.id
-                        }).then(r => {
-                            if (r.ok) { console.log('Commission sent successfully.'); }
-                            else { console.warn('Commission failed to send:', r.error); }
-                        });
-                    }
-                    
                     let alertTitle = 'Reward Granted!';
                     let alertType = 'success';
                     let alertMessage = `You received ${Number(actualReward || 0).toLocaleString('en-US')} SHIB for watching the ad.`;
@@ -869,6 +1019,9 @@ function updateUI(){
 
             const html = availableTasks.map(t => {
                 const rewardText = `Reward: ${Number(t.reward || 0).toLocaleString('en-US')} SHIB`;
+                const slotsText = t.remaining_slots !== null && t.remaining_slots !== undefined
+                    ? ` · ${Number(t.remaining_slots).toLocaleString('en-US')} slots left`
+                    : '';
                 const safeLink = (t.link || '').replace(/"/g, '&quot;');
                 const name = escapeHtml(t.name || 'Task');
                 return `
@@ -877,7 +1030,7 @@ function updateUI(){
                             <span class="task-dot" aria-hidden="true"></span>
                             <div class="task-text-info">
                                 <div class="task-name">${name}</div>
-                                <div class="task-meta"><span class="task-reward">${escapeHtml(rewardText)}</span></div>
+                                <div class="task-meta"><span class="task-reward">${escapeHtml(rewardText)}</span>${escapeHtml(slotsText)}</div>
                             </div>
                         </div>
                         <button class="task-action-btn-new" data-task-link="${safeLink}" data-task-id="${t.task_id}" onclick="onTaskButtonClick(event)">Open</button>
@@ -1196,6 +1349,7 @@ function updateUI(){
             document.getElementById('inviteScreen').classList.add('visible');
             generateReferralLink();
             loadUserData();
+            loadReferrals(false);
         }
 
         function hideInvite(){
@@ -1203,6 +1357,63 @@ function updateUI(){
             mainScreen.classList.add('visible');
         }
         
+        const formatRate = rate => `${Math.round(rate * 1000) / 10}%`;
+
+        // Level 1 rate in the invite texts, deeper levels as a short suffix
+        function updateInviteRates() {
+            const [direct = 0, ...deeper] = REFERRAL_COMMISSION_LEVELS;
+            document.getElementById('inviteRateDisplay').textContent = formatRate(direct);
+            document.getElementById('inviteNoteRateDisplay').textContent = formatRate(direct);
+            const extra = deeper
+                .map((rate, i) => rate > 0 ? `${formatRate(rate)} from level ${i + 2}` : null)
+                .filter(Boolean);
+            document.getElementById('inviteLevelsDisplay').textContent = extra.length ? `, plus ${extra.join(', ')}` : '';
+        }
+
+        // Referral list with totals; append = true loads the next page
+        async function loadReferrals(append) {
+            const list = document.getElementById('referralsList');
+            const moreBtn = document.getElementById('referralsLoadMoreBtn');
+            if (!append) {
+                referralsNextOffset = 0;
+                list.innerHTML = '<div class="history-empty">Loading...</div>';
+            }
+            moreBtn.disabled = true;
+
+            const result = await fetchApi({ type: 'getReferrals', offset: referralsNextOffset });
+            moreBtn.disabled = false;
+            if (!result.ok || !result.data) {
+                if (!append) list.innerHTML = '<div class="history-empty">Could not load referrals.</div>';
+                return;
+            }
+
+            const { referrals = [], totals = {}, next_offset } = result.data;
+            document.getElementById('referralsCountDisplay').textContent = Number(totals.referrals_count || 0).toLocaleString('en-US');
+            document.getElementById('referralsActiveDisplay').textContent = Number(totals.active_count || 0).toLocaleString('en-US');
+            document.getElementById('referralsEarnedDisplay').textContent = Number(totals.commission_total || 0).toLocaleString('en-US', { maximumFractionDigits: 2 });
+
+            const items = referrals.map(ref => `
+                <div class="history-item referral-item">
+                    <div class="left">
+                        <div class="history-row"><strong>${escapeHtml(ref.name)}</strong></div>
+                        <div class="history-row"><strong>Joined:</strong> <span>${escapeHtml(ref.joined_at ? new Date(ref.joined_at).toLocaleDateString('en-GB') : '-')}</span></div>
+                    </div>
+                    <div class="right">
+                        <div class="amount">${Number(ref.commission_earned || 0).toLocaleString('en-US', { maximumFractionDigits: 2 })} SHIB</div>
+                        <div class="${ref.active ? 'status-completed' : 'status-pending'}">${ref.active ? 'Active' : 'Inactive'}</div>
+                    </div>
+                </div>
+            `).join('');
+
+            if (append) {
+                list.insertAdjacentHTML('beforeend', items);
+            } else {
+                list.innerHTML = items || '<div class="history-empty">No referrals yet.</div>';
+            }
+            referralsNextOffset = next_offset === null || next_offset === undefined ? referralsNextOffset : next_offset;
+            moreBtn.style.display = next_offset === null || next_offset === undefined ? 'none' : 'block';
+        }
+
         function generateReferralLink() {
             const referralLinkInput = document.getElementById('referralLinkInput');
             
@@ -1273,8 +1484,6 @@ function updateUI(){
 
 
         /* ===== Spin Wheel (Wheel Code) ===== */
-        const colors = ['#00bfff', '#ff8c00', '#28a745', '#ff4500', '#00f2fe'];
-        const prizeValues = sectors; 
         const canvas = document.getElementById('wheelCanvas');
         const wheelBox = document.getElementById('wheelBox');
         const ctx = canvas.getContext('2d');
@@ -1310,7 +1519,7 @@ function updateUI(){
             ctx.lineCap = 'round';
 
             // ---- Sectors (keep SAME colors, add subtle depth) ----
-            sectors.forEach((val, i) => {
+            sectors.forEach((sector, i) => {
                 const start = i * arc - Math.PI / 2;
                 const end = start + arc;
 
@@ -1321,7 +1530,7 @@ function updateUI(){
                 ctx.arc(centerX, centerY, radius, start, end);
                 ctx.closePath();
 
-                ctx.fillStyle = colors[i % colors.length];
+                ctx.fillStyle = sector.color;
                 ctx.fill();
 
                 // Subtle 3D shading overlay (white/black alpha only)
@@ -1344,8 +1553,21 @@ function updateUI(){
                 ctx.strokeStyle = 'rgba(255,255,255,0.10)';
                 ctx.stroke();
 
-                // Shiba icon (same as before, no labels)
+                // Prize label near the rim, reading outwards
                 const angle = start + arc / 2;
+                ctx.save();
+                ctx.translate(centerX + radius * 0.84 * Math.cos(angle), centerY + radius * 0.84 * Math.sin(angle));
+                ctx.rotate(angle + Math.PI / 2);
+                ctx.font = 'bold 14px sans-serif';
+                ctx.textAlign = 'center';
+                ctx.textBaseline = 'middle';
+                ctx.fillStyle = '#fff';
+                ctx.shadowColor = 'rgba(0,0,0,0.35)';
+                ctx.shadowBlur = 3;
+                ctx.fillText(sector.label, 0, 0);
+                ctx.restore();
+
+                // Shiba icon
                 const imgX = centerX + radius * 0.56 * Math.cos(angle);
                 const imgY = centerY + radius * 0.56 * Math.sin(angle);
                 const iconSize = 34;
@@ -1560,6 +1782,10 @@ function updateUI(){
                 await loadUserData(); 
                 return; 
             }
+
+            // Commit-reveal: the server has committed to server_seed_hash; our seed is chosen now
+            const spinId = preSpinReqResult.data.spin_id;
+            const clientSeed = generateClientSeed();
             
             const spinResultActionId = await requestActionId('spinResult');
             if (!spinResultActionId) {
@@ -1592,6 +1818,8 @@ canvas.classList.add('spinning');
 
                 const spinResultRes = await fetchApi({ 
                     type: 'spinResult',
+                    spin_id: spinId,
+                    client_seed: clientSeed,
                     action_id: spinResultActionId
                 });
                 
@@ -1720,6 +1948,76 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             document.getElementById('spinScreen').classList.remove('visible');
             mainScreen.classList.add('visible');
         }
+
+        /* ===== Provably Fair Spin Verification ===== */
+        function generateClientSeed() {
+            const bytes = new Uint8Array(16);
+            crypto.getRandomValues(bytes);
+            return Array.from(bytes, b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        function bufferToHex(buffer) {
+            return Array.from(new Uint8Array(buffer), b => b.toString(16).padStart(2, '0')).join('');
+        }
+
+        // Same derivation as the server: HMAC-SHA256(server_seed, "client_seed:nonce"),
+        // first 52 bits mod total weight, then walk the sector weights.
+        async function verifySpinRecord(rec) {
+            const encoder = new TextEncoder();
+            const hash = bufferToHex(await crypto.subtle.digest('SHA-256', encoder.encode(rec.server_seed)));
+            const key = await crypto.subtle.importKey('raw', encoder.encode(rec.server_seed), { name: 'HMAC', hash: 'SHA-256' }, false, ['sign']);
+            const digest = bufferToHex(await crypto.subtle.sign('HMAC', key, encoder.encode(`${rec.client_seed}:${rec.nonce}`)));
+
+            const wheel = Array.isArray(rec.wheel) ? rec.wheel : [];
+            const totalWeight = wheel.reduce((sum, sector) => sum + sector.weight, 0);
+            let roll = totalWeight > 0 ? Number(BigInt('0x' + digest.slice(0, 13)) % BigInt(totalWeight)) : -1;
+            let index = 0;
+            while (index < wheel.length && roll >= wheel[index].weight) {
+                roll -= wheel[index].weight;
+                index++;
+            }
+            return { hashOk: hash === rec.server_seed_hash, indexOk: index === rec.prize_index, index };
+        }
+
+        async function showSpinVerify() {
+            document.getElementById('spinScreen').classList.remove('visible');
+            document.getElementById('spinVerifyScreen').classList.add('visible');
+            const list = document.getElementById('spinVerifyList');
+            list.innerHTML = '<div class="history-empty">Loading...</div>';
+
+            const result = await fetchApi({ type: 'getSpinHistory' });
+            const spins = result.ok && result.data && Array.isArray(result.data.spins) ? result.data.spins : [];
+            if (spins.length === 0) {
+                list.innerHTML = '<div class="history-empty">No verifiable spins yet.</div>';
+                return;
+            }
+
+            const items = await Promise.all(spins.map(async rec => {
+                const check = await verifySpinRecord(rec);
+                const ok = check.hashOk && check.indexOk;
+                return `
+                    <div class="history-item spin-verify-item">
+                        <div class="left">
+                            <div class="history-row"><strong>Date:</strong> <span>${escapeHtml(new Date(rec.created_at).toLocaleString('en-GB'))}</span></div>
+                            <div class="history-row"><strong>Seed hash:</strong> <span class="spin-verify-code">${escapeHtml(rec.server_seed_hash)}</span></div>
+                            <div class="history-row"><strong>Server seed:</strong> <span class="spin-verify-code">${escapeHtml(rec.server_seed)}</span></div>
+                            <div class="history-row"><strong>Client seed:</strong> <span class="spin-verify-code">${escapeHtml(rec.client_seed)}</span></div>
+                            <div class="history-row"><strong>Nonce:</strong> <span>${escapeHtml(String(rec.nonce))}</span></div>
+                        </div>
+                        <div class="right">
+                            <div class="amount">${Number(rec.prize || 0).toLocaleString('en-US')} SHIB</div>
+                            <div class="${ok ? 'status-completed' : 'status-rejected'}">${ok ? '✓ Verified' : '✗ Mismatch'}</div>
+                        </div>
+                    </div>
+                `;
+            }));
+            list.innerHTML = items.join('');
+        }
+
+        function hideSpinVerify() {
+            document.getElementById('spinVerifyScreen').classList.remove('visible');
+            document.getElementById('spinScreen').classList.add('visible');
+        }
         
         function showWithdraw(){
             if (isBanned) {
@@ -1737,6 +2035,13 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             mainScreen.classList.add('visible');
         }
         
+        // Maps a withdrawal status from the server to its label and CSS class
+        function withdrawalStatusView(status) {
+            if (status === 'pending') return { text: 'Pending', cls: 'status-pending' };
+            if (status === 'rejected') return { text: 'Rejected', cls: 'status-rejected' };
+            return { text: 'Completed', cls: 'status-completed' };
+        }
+
         function displayWithdrawals() {
             const container = document.getElementById('withdrawalHistoryContainer');
             if (!container) {
@@ -1752,9 +2057,7 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             tableHTML += '<tbody>';
 
             withdrawalHistory.slice(0,5).forEach(record => {
-                const statusText = record.status === 'pending' ? 'Pending' : 'Completed';
-                const statusClass = record.status === 'pending' ? 'status-pending' : 'status-completed';
-                const dest = record.binance_id ? record.binance_id : (record.faucetpay_email ? record.faucetpay_email : '-');
+                const { text: statusText, cls: statusClass } = withdrawalStatusView(record.status);
                 tableHTML += `
                     <tr>
                         <td>${record.date}</td>
@@ -1768,6 +2071,8 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             container.innerHTML = tableHTML;
         }
 
+        const WITHDRAW_METHOD_LABELS = { binance: 'Binance', faucetpay: 'FaucetPay' };
+
         function displayWithdrawalsFull() {
             mainScreen.classList.remove('visible');
             document.getElementById('withdrawScreen').classList.remove('visible');
@@ -1781,17 +2086,19 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             }
 
             const html = withdrawalHistory.map(rec => {
-                const isBinance = !!rec.binance_id;
-                const method = isBinance ? 'Binance' : (rec.faucetpay_email ? 'FaucetPay' : '—');
-                const dest = isBinance ? rec.binance_id : (rec.faucetpay_email ? rec.faucetpay_email : '-');
-                const statusText = rec.status === 'pending' ? 'Pending' : 'Completed';
-                const statusClass = rec.status === 'pending' ? 'status-pending' : 'status-completed';
+                const method = WITHDRAW_METHOD_LABELS[rec.method] || rec.method || '—';
+                const dest = rec.destination || '-';
+                const { text: statusText, cls: statusClass } = withdrawalStatusView(rec.status);
+                const reasonRow = rec.status === 'rejected' && rec.reject_reason
+                    ? `<div class="history-row"><strong>Reason:</strong> <span>${escapeHtml(rec.reject_reason)}</span></div>`
+                    : '';
                 return `
                     <div class="history-item">
                         <div class="left">
                             <div class="history-row"><strong>Date:</strong> <span>${escapeHtml(rec.date || '-') }</span></div>
                             <div class="history-row"><strong>Method:</strong> <span>${escapeHtml(method)}</span></div>
                             <div class="history-row history-dest"><strong>Dest:</strong> <span>${escapeHtml(dest)}</span></div>
+                            ${reasonRow}
                         </div>
                         <div class="right">
                             <div class="amount">${Number(rec.amount).toLocaleString('en-US')} SHIB</div>
@@ -1842,8 +2149,8 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
                 }
             }
 
-            if(isNaN(amount) || amount < 4000){ 
-                showCustomAlert('Invalid Amount!', 'The minimum withdrawal amount is 4000 SHIB.', 'warning'); 
+            if(isNaN(amount) || amount < MIN_WITHDRAW_UI){ 
+                showCustomAlert('Invalid Amount!', `The minimum withdrawal amount is ${Number(MIN_WITHDRAW_UI).toLocaleString('en-US')} SHIB.`, 'warning'); 
                 return; 
             }
             if(amount > shibBalance){ 
@@ -1857,13 +2164,10 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             const payload = {
                 type: 'withdraw',
                 amount: amount,
+                method: selectedMethod,
+                destination: selectedMethod === 'faucetpay' ? faucetpayEmail : binanceId,
                 action_id: actionId
             };
-            if (selectedMethod === 'faucetpay') {
-                payload.faucetpay_email = faucetpayEmail;
-            } else {
-                payload.binanceId = binanceId;
-            }
 
             const result = await fetchApi(payload);
 
@@ -1925,6 +2229,7 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
             let v = chip.getAttribute('data-withdraw-chip');
             let next = 0;
             if (v === 'max') next = bal;
+            else if (v === 'min') next = MIN_WITHDRAW_UI;
             else next = Number(v);
             if (!Number.isFinite(next) || next <= 0) return;
             amountEl.value = Math.floor(next);
@@ -1958,6 +2263,12 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
                 if (distance < 0) {
                     clearInterval(contestCountdownInterval);
                     document.getElementById('contestCountdown').textContent = "Contest Ended";
+                    // The server closes the round and opens the next one on the next request
+                    setTimeout(() => {
+                        if (document.getElementById('contestScreen').classList.contains('visible')) {
+                            loadContestData().then(startContestCountdown);
+                        }
+                    }, 3000);
                     return;
                 }
 
@@ -1975,6 +2286,7 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
         async function loadContestData() {
             const res = await fetchApi({ type: 'getContestData' });
             if (res.ok && res.data) {
+                currentContestId = res.data.contest_id || null;
                 myTickets = res.data.my_tickets || 0;
                 allTickets = res.data.all_tickets || 0;
                 // if server returns contest time, update local countdown
@@ -1984,6 +2296,15 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
                         contestEndTime = end;
                     }
                 }
+                if (res.data.prize_pool) {
+                    const badge = document.getElementById('contestPrizePool');
+                    if (badge) badge.textContent = `PRIZE POOL • ${Number(res.data.prize_pool).toLocaleString('en-US')} SHIB`;
+                }
+                if (Array.isArray(res.data.prizes)) {
+                    document.querySelectorAll('#prizeBox .prize-value').forEach((el, i) => {
+                        if (res.data.prizes[i] !== undefined) el.textContent = Number(res.data.prizes[i]).toLocaleString('en-US');
+                    });
+                }
             } else {
                 myTickets = 0;
                 allTickets = 0;
@@ -2043,6 +2364,7 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
 
                 const result = await fetchApi({
                     type: 'contestWatchAd',
+                    contest_id: currentContestId,
                     action_id: actionId
                 });
 
@@ -2052,10 +2374,11 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
                         myTickets = result.data.my_tickets !== undefined ? result.data.my_tickets : myTickets;
                         allTickets = result.data.all_tickets !== undefined ? result.data.all_tickets : allTickets;
                     } else {
-                        myTickets += 5; // fallback minimal update if server doesn't return structured data
+                        myTickets += CONTEST_TICKETS_PER_AD; // fallback minimal update if server doesn't return structured data
                     }
+                    const granted = result.data && result.data.granted ? result.data.granted : CONTEST_TICKETS_PER_AD;
                     updateContestUI();
-                    showCustomAlert('Contest Reward!', `You earned 5 tickets! You now have ${Number(myTickets).toLocaleString('en-US')} tickets.`, 'success');
+                    showCustomAlert('Contest Reward!', `You earned ${granted} tickets! You now have ${Number(myTickets).toLocaleString('en-US')} tickets.`, 'success');
                 } else {
                     showCustomAlert('Contest Error', 'Server did not confirm ticket reward. Please try again.', 'error');
                 }
@@ -2095,7 +2418,7 @@ showCustomAlert('Error!', 'Error receiving prize from the server. Please try aga
 
         // Load ranking from server. Server must return { players: [ { first_name, photo_url, user_id, tickets, username } ] } ordered by rank.
         async function loadContestRank() {
-            const res = await fetchApi({ type: 'getContestRank' });
+            const res = await fetchApi({ type: 'getContestRank', contest_id: currentContestId });
             let players = [];
             if (res.ok && Array.isArray(res.data.players)) {
                 players = res.data.players;
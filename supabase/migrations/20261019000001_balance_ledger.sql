@@ -0,0 +1,102 @@
+-- ------------------------------------------------------------------
+-- Append-only balance ledger
+-- Every credit/debit on users.balance is written here by ledger_apply(),
+-- which inserts the ledger row and moves the balance in one transaction.
+-- ------------------------------------------------------------------
+
+create table if not exists public.balance_ledger (
+  id            bigserial primary key,
+  user_id       bigint      not null references public.users (id),
+  entry_type    text        not null check (entry_type in ('credit', 'debit')),
+  amount        numeric     not null check (amount <> 0),
+  source        text        not null,  -- handler that produced the entry (watchAd, spinResult, ...)
+  reference_id  text,                  -- action id / task id / withdrawal id, used for idempotency
+  balance_after numeric     not null,
+  created_at    timestamptz not null default now()
+);
+
+create index if not exists balance_ledger_user_idx
+  on public.balance_ledger (user_id, created_at desc);
+
+-- The same (user, source, reference) can only be booked once.
+create unique index if not exists balance_ledger_reference_uidx
+  on public.balance_ledger (user_id, source, reference_id)
+  where reference_id is not null;
+
+-- Ledger rows are immutable: corrections are new rows, never edits.
+create or replace function public.balance_ledger_reject_changes()
+returns trigger
+language plpgsql
+as $$
+begin
+  raise exception 'balance_ledger is append-only';
+end;
+$$;
+
+drop trigger if exists balance_ledger_append_only on public.balance_ledger;
+create trigger balance_ledger_append_only
+  before update or delete on public.balance_ledger
+  for each row execute function public.balance_ledger_reject_changes();
+
+-- Applies a signed amount (> 0 credit, < 0 debit) to a user's balance.
+-- Debits never take the balance below zero (raises INSUFFICIENT_BALANCE).
+-- Re-applying an already booked (user, source, reference) is a no-op that
+-- returns the existing entry.
+create or replace function public.ledger_apply(
+  p_user_id      bigint,
+  p_amount       numeric,
+  p_source       text,
+  p_reference_id text default null
+)
+returns table (entry_id bigint, balance numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_entry_id bigint;
+  v_balance  numeric;
+begin
+  if p_amount is null or p_amount = 0 then
+    raise exception 'LEDGER_ZERO_AMOUNT';
+  end if;
+
+  if p_reference_id is not null then
+    select l.id into v_entry_id
+      from balance_ledger l
+     where l.user_id = p_user_id and l.source = p_source and l.reference_id = p_reference_id;
+    if found then
+      return query select v_entry_id, u.balance from users u where u.id = p_user_id;
+      return;
+    end if;
+  end if;
+
+  update users u
+     set balance = coalesce(u.balance, 0) + p_amount
+   where u.id = p_user_id
+     and (p_amount > 0 or coalesce(u.balance, 0) + p_amount >= 0)
+  returning u.balance into v_balance;
+
+  if not found then
+    if exists (select 1 from users u where u.id = p_user_id) then
+      raise exception 'INSUFFICIENT_BALANCE';
+    end if;
+    raise exception 'USER_NOT_FOUND';
+  end if;
+
+  insert into balance_ledger (user_id, entry_type, amount, source, reference_id, balance_after)
+  values (p_user_id, case when p_amount > 0 then 'credit' else 'debit' end,
+          p_amount, p_source, p_reference_id, v_balance)
+  returning id into v_entry_id;
+
+  return query select v_entry_id, v_balance;
+end;
+$$;
+
+-- Only the API (service_role key) may move balances. The anon key ships in
+-- the Mini App, so it gets neither the function nor the table: RLS is on
+-- with no policies, and service_role bypasses RLS.
+revoke execute on function public.ledger_apply(bigint, numeric, text, text) from public, anon, authenticated;
+grant execute on function public.ledger_apply(bigint, numeric, text, text) to service_role;
+
+alter table public.balance_ledger enable row level security;
@@ -0,0 +1,89 @@
+-- ------------------------------------------------------------------
+-- Atomic withdrawals
+-- request_withdrawal() reserves the funds (ledger debit, hold_status = 'held')
+-- and inserts the request in a single transaction. Any failure after the
+-- debit, including the insert, rolls the whole call back, so the hold is
+-- released automatically and parallel requests can never overdraw.
+-- ------------------------------------------------------------------
+
+alter table public.withdrawals
+  add column if not exists hold_status text not null default 'held'
+    check (hold_status in ('held', 'settled', 'released')),
+  add column if not exists ledger_entry_id bigint references public.balance_ledger (id);
+
+alter table public.faucet_pay
+  add column if not exists hold_status text not null default 'held'
+    check (hold_status in ('held', 'settled', 'released')),
+  add column if not exists ledger_entry_id bigint references public.balance_ledger (id);
+
+-- Requests created before this migration were debited already; anything no
+-- longer pending has left the hold.
+update public.withdrawals set hold_status = 'settled' where status <> 'pending';
+update public.faucet_pay  set hold_status = 'settled' where status <> 'pending';
+
+create or replace function public.request_withdrawal(
+  p_user_id      bigint,
+  p_amount       numeric,
+  p_method       text,     -- 'faucetpay' | 'binance'
+  p_destination  text,
+  p_reference_id text
+)
+returns table (withdrawal_id bigint, withdrawal_table text, new_balance numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_banned   boolean;
+  v_entry_id bigint;
+  v_balance  numeric;
+  v_id       bigint;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+  if p_method not in ('faucetpay', 'binance') then
+    raise exception 'INVALID_METHOD';
+  end if;
+
+  -- Serialize withdrawals of the same user.
+  select u.is_banned into v_banned from users u where u.id = p_user_id for update;
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+  if coalesce(v_banned, false) then
+    raise exception 'USER_BANNED';
+  end if;
+
+  if p_reference_id is not null and exists (
+    select 1 from balance_ledger l
+     where l.user_id = p_user_id and l.source = 'withdraw' and l.reference_id = p_reference_id
+  ) then
+    raise exception 'DUPLICATE_WITHDRAWAL';
+  end if;
+
+  -- Hold: raises INSUFFICIENT_BALANCE when the balance does not cover it.
+  select l.entry_id, l.balance into v_entry_id, v_balance
+    from ledger_apply(p_user_id, -p_amount, 'withdraw', p_reference_id) l;
+
+  if p_method = 'faucetpay' then
+    insert into faucet_pay (user_id, amount, faucetpay_email, status, hold_status, ledger_entry_id, created_at)
+    values (p_user_id, p_amount, p_destination, 'pending', 'held', v_entry_id, now())
+    returning id into v_id;
+    return query select v_id, 'faucet_pay'::text, v_balance;
+  else
+    insert into withdrawals (user_id, amount, binance_id, faucetpay_email, status, hold_status, ledger_entry_id, created_at)
+    values (p_user_id, p_amount, p_destination, null, 'pending', 'held', v_entry_id, now())
+    returning id into v_id;
+    return query select v_id, 'withdrawals'::text, v_balance;
+  end if;
+end;
+$$;
+
+-- Withdrawals are requested through the API only; the request rows hold
+-- payout destinations, so clients cannot read them either.
+revoke execute on function public.request_withdrawal(bigint, numeric, text, text, text) from public, anon, authenticated;
+grant execute on function public.request_withdrawal(bigint, numeric, text, text, text) to service_role;
+
+alter table public.withdrawals enable row level security;
+alter table public.faucet_pay enable row level security;
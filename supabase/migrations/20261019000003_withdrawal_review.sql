@@ -0,0 +1,74 @@
+-- ------------------------------------------------------------------
+-- Admin review of withdrawal requests
+-- resolve_withdrawal() moves a pending request to approved/rejected.
+-- Approval settles the hold; rejection releases it by booking a refund
+-- on the ledger, all in one transaction.
+-- ------------------------------------------------------------------
+
+alter table public.withdrawals
+  add column if not exists reject_reason text,
+  add column if not exists processed_at  timestamptz,
+  add column if not exists processed_by  text;
+
+alter table public.faucet_pay
+  add column if not exists reject_reason text,
+  add column if not exists processed_at  timestamptz,
+  add column if not exists processed_by  text;
+
+create index if not exists withdrawals_status_idx on public.withdrawals (status, created_at);
+create index if not exists faucet_pay_status_idx  on public.faucet_pay  (status, created_at);
+
+create or replace function public.resolve_withdrawal(
+  p_table         text,     -- 'withdrawals' | 'faucet_pay'
+  p_withdrawal_id bigint,
+  p_approve       boolean,
+  p_reason        text default null,
+  p_admin         text default null
+)
+returns table (user_id bigint, amount numeric, status text, new_balance numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_user_id bigint;
+  v_amount  numeric;
+  v_status  text;
+  v_balance numeric;
+begin
+  if p_table not in ('withdrawals', 'faucet_pay') then
+    raise exception 'INVALID_WITHDRAWAL_SOURCE';
+  end if;
+
+  execute format('select w.user_id, w.amount, w.status from %I w where w.id = $1 for update', p_table)
+     into v_user_id, v_amount, v_status
+    using p_withdrawal_id;
+
+  if v_user_id is null then
+    raise exception 'WITHDRAWAL_NOT_FOUND';
+  end if;
+  if v_status <> 'pending' then
+    raise exception 'WITHDRAWAL_NOT_PENDING';
+  end if;
+
+  if p_approve then
+    execute format(
+      'update %I set status = ''approved'', hold_status = ''settled'', processed_at = now(), processed_by = $2 where id = $1',
+      p_table) using p_withdrawal_id, p_admin;
+    select u.balance into v_balance from users u where u.id = v_user_id;
+  else
+    select l.balance into v_balance
+      from ledger_apply(v_user_id, v_amount, 'withdraw_refund', p_table || ':' || p_withdrawal_id) l;
+    execute format(
+      'update %I set status = ''rejected'', hold_status = ''released'', reject_reason = $3, processed_at = now(), processed_by = $2 where id = $1',
+      p_table) using p_withdrawal_id, p_admin, p_reason;
+  end if;
+
+  return query select v_user_id, v_amount,
+    case when p_approve then 'approved' else 'rejected' end, v_balance;
+end;
+$$;
+
+-- Admin-only through the API (adminApproveWithdrawal / adminRejectWithdrawal).
+revoke execute on function public.resolve_withdrawal(text, bigint, boolean, text, text) from public, anon, authenticated;
+grant execute on function public.resolve_withdrawal(text, bigint, boolean, text, text) to service_role;
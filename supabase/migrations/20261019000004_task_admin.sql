@@ -0,0 +1,14 @@
+-- ------------------------------------------------------------------
+-- Task management from the admin API
+-- Tasks are never hard-deleted: 'archived' hides them for good while
+-- keeping user_task_completions consistent.
+-- ------------------------------------------------------------------
+
+alter table public.tasks
+  add column if not exists status text not null default 'active'
+    check (status in ('active', 'paused', 'archived')),
+  add column if not exists created_at timestamptz not null default now(),
+  add column if not exists updated_at timestamptz;
+
+create index if not exists tasks_status_idx on public.tasks (status);
+create index if not exists user_task_completions_task_idx on public.user_task_completions (task_id);
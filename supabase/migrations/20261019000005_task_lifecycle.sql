@@ -0,0 +1,76 @@
+-- ------------------------------------------------------------------
+-- Task capacity and campaign windows
+-- complete_task() is the single place a completion is booked: it locks the
+-- task row, enforces status / starts_at / ends_at / max_participants and the
+-- one-completion-per-user rule, records the completion and credits the
+-- reward on the ledger in one transaction.
+-- ------------------------------------------------------------------
+
+alter table public.tasks
+  add column if not exists starts_at         timestamptz,
+  add column if not exists ends_at           timestamptz,
+  add column if not exists completions_count integer not null default 0;
+
+update public.tasks t
+   set completions_count = (select count(*) from public.user_task_completions c where c.task_id = t.id);
+
+create unique index if not exists user_task_completions_user_task_uidx
+  on public.user_task_completions (user_id, task_id);
+
+create or replace function public.complete_task(
+  p_user_id bigint,
+  p_task_id bigint
+)
+returns table (reward numeric, new_balance numeric, remaining_slots integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_task    tasks%rowtype;
+  v_balance numeric;
+begin
+  select * into v_task from tasks t where t.id = p_task_id for update;
+  if not found then
+    raise exception 'TASK_NOT_FOUND';
+  end if;
+  if v_task.status <> 'active' then
+    raise exception 'TASK_NOT_ACTIVE';
+  end if;
+  if v_task.starts_at is not null and v_task.starts_at > now() then
+    raise exception 'TASK_NOT_STARTED';
+  end if;
+  if v_task.ends_at is not null and v_task.ends_at <= now() then
+    raise exception 'TASK_EXPIRED';
+  end if;
+  if exists (select 1 from user_task_completions c where c.user_id = p_user_id and c.task_id = p_task_id) then
+    raise exception 'TASK_ALREADY_COMPLETED';
+  end if;
+  if v_task.max_participants is not null and v_task.completions_count >= v_task.max_participants then
+    raise exception 'TASK_FULL';
+  end if;
+
+  insert into user_task_completions (user_id, task_id, reward_amount, created_at)
+  values (p_user_id, p_task_id, v_task.reward, now());
+
+  update tasks t set completions_count = t.completions_count + 1 where t.id = p_task_id;
+
+  -- All of this commits or rolls back together. A retried call cannot pay twice
+  -- either way: the completion row is unique per (user, task) and ledger_apply is
+  -- idempotent on its reference, the task id.
+  if coalesce(v_task.reward, 0) > 0 then
+    select l.balance into v_balance
+      from ledger_apply(p_user_id, v_task.reward, 'completeTask', p_task_id::text) l;
+  else
+    select u.balance into v_balance from users u where u.id = p_user_id;
+  end if;
+
+  return query select v_task.reward, v_balance,
+    case when v_task.max_participants is null then null
+         else v_task.max_participants - v_task.completions_count - 1 end;
+end;
+$$;
+
+-- API-only, like ledger_apply.
+revoke execute on function public.complete_task(bigint, bigint) from public, anon, authenticated;
+grant execute on function public.complete_task(bigint, bigint) to service_role;
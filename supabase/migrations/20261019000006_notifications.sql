@@ -0,0 +1,47 @@
+-- ------------------------------------------------------------------
+-- Outbound bot notifications
+-- notification_queue keeps messages that could not be delivered right away;
+-- they are retried with backoff by the adminProcessNotifications request.
+-- ------------------------------------------------------------------
+
+alter table public.users
+  add column if not exists notifications_enabled boolean not null default true,
+  add column if not exists commission_total      numeric not null default 0;
+
+update public.users u
+   set commission_total = coalesce((select sum(h.amount) from public.commission_history h where h.referrer_id = u.id), 0);
+
+create table if not exists public.notification_queue (
+  id              bigserial primary key,
+  user_id         bigint      not null references public.users (id),
+  kind            text        not null,  -- withdrawal_approved, withdrawal_rejected, referral_joined, commission_milestone
+  message         text        not null,
+  status          text        not null default 'pending' check (status in ('pending', 'sent', 'failed')),
+  attempts        integer     not null default 0,
+  last_error      text,
+  next_attempt_at timestamptz not null default now(),
+  created_at      timestamptz not null default now(),
+  sent_at         timestamptz
+);
+
+create index if not exists notification_queue_due_idx
+  on public.notification_queue (status, next_attempt_at);
+
+-- Adds a commission to the referrer's running total and returns the new total
+-- (used to detect milestones without summing commission_history).
+create or replace function public.add_commission_total(p_user_id bigint, p_amount numeric)
+returns numeric
+language sql
+security definer
+set search_path = public
+as $$
+  update users set commission_total = commission_total + p_amount
+   where id = p_user_id
+  returning commission_total;
+$$;
+
+-- API-only; the queue is drained by the API, never read by clients.
+revoke execute on function public.add_commission_total(bigint, numeric) from public, anon, authenticated;
+grant execute on function public.add_commission_total(bigint, numeric) to service_role;
+
+alter table public.notification_queue enable row level security;
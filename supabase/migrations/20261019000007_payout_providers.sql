@@ -0,0 +1,97 @@
+-- ------------------------------------------------------------------
+-- Payout providers
+-- All withdrawal requests live in public.withdrawals with a generic
+-- (method, destination) pair; the payout provider registry in the API
+-- decides which methods exist. faucet_pay is kept read-only for history.
+-- ------------------------------------------------------------------
+
+alter table public.withdrawals
+  add column if not exists method               text,
+  add column if not exists destination          text,
+  add column if not exists payout_status        text not null default 'none'
+    check (payout_status in ('none', 'processing', 'paid', 'failed')),
+  add column if not exists payout_reference     text,
+  add column if not exists payout_error         text,
+  add column if not exists paid_at              timestamptz,
+  add column if not exists legacy_faucet_pay_id bigint unique;
+
+update public.withdrawals
+   set method = 'binance', destination = binance_id
+ where method is null;
+
+-- Move FaucetPay requests into the shared table (idempotent through legacy_faucet_pay_id).
+insert into public.withdrawals (
+  user_id, amount, binance_id, faucetpay_email, method, destination, status, hold_status,
+  ledger_entry_id, reject_reason, processed_at, processed_by, created_at, legacy_faucet_pay_id
+)
+select f.user_id, f.amount, null, f.faucetpay_email, 'faucetpay', f.faucetpay_email, f.status, f.hold_status,
+       f.ledger_entry_id, f.reject_reason, f.processed_at, f.processed_by, f.created_at, f.id
+  from public.faucet_pay f
+on conflict (legacy_faucet_pay_id) do nothing;
+
+alter table public.withdrawals
+  alter column method set not null,
+  alter column destination set not null;
+
+-- Same contract as before, but every method is stored in withdrawals.
+-- The method itself is validated by the API's payout provider registry.
+create or replace function public.request_withdrawal(
+  p_user_id      bigint,
+  p_amount       numeric,
+  p_method       text,
+  p_destination  text,
+  p_reference_id text
+)
+returns table (withdrawal_id bigint, withdrawal_table text, new_balance numeric)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_banned   boolean;
+  v_entry_id bigint;
+  v_balance  numeric;
+  v_id       bigint;
+begin
+  if p_amount is null or p_amount <= 0 then
+    raise exception 'INVALID_AMOUNT';
+  end if;
+  if coalesce(p_method, '') = '' or coalesce(p_destination, '') = '' then
+    raise exception 'INVALID_METHOD';
+  end if;
+
+  -- Serialize withdrawals of the same user.
+  select u.is_banned into v_banned from users u where u.id = p_user_id for update;
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+  if coalesce(v_banned, false) then
+    raise exception 'USER_BANNED';
+  end if;
+
+  if p_reference_id is not null and exists (
+    select 1 from balance_ledger l
+     where l.user_id = p_user_id and l.source = 'withdraw' and l.reference_id = p_reference_id
+  ) then
+    raise exception 'DUPLICATE_WITHDRAWAL';
+  end if;
+
+  -- Hold: raises INSUFFICIENT_BALANCE when the balance does not cover it.
+  select l.entry_id, l.balance into v_entry_id, v_balance
+    from ledger_apply(p_user_id, -p_amount, 'withdraw', p_reference_id) l;
+
+  insert into withdrawals (user_id, amount, method, destination, binance_id, faucetpay_email,
+                           status, hold_status, ledger_entry_id, created_at)
+  values (p_user_id, p_amount, p_method, p_destination,
+          case when p_method = 'binance' then p_destination end,
+          case when p_method = 'faucetpay' then p_destination end,
+          'pending', 'held', v_entry_id, now())
+  returning id into v_id;
+
+  return query select v_id, 'withdrawals'::text, v_balance;
+end;
+$$;
+
+-- create or replace keeps the grants from 000002; restated so this file stands alone.
+revoke execute on function public.request_withdrawal(bigint, numeric, text, text, text) from public, anon, authenticated;
+grant execute on function public.request_withdrawal(bigint, numeric, text, text, text) to service_role;
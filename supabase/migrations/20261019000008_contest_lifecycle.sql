@@ -0,0 +1,121 @@
+-- ------------------------------------------------------------------
+-- Contest lifecycle
+-- A contest_time row is one round. When its end time passes the API draws
+-- the winners and settle_contest() credits prizes on the ledger, archives
+-- every participant in contest_results, empties `ticket` and opens the next
+-- round, all in one transaction.
+--
+-- Verifiable draw: each round commits to sha256(seed) (seed_hash, public
+-- while the round runs); the seed is revealed when the round closes, so
+-- anyone can replay the draw from the archived tickets.
+-- ------------------------------------------------------------------
+
+alter table public.contest_time
+  add column if not exists mode          text        not null default 'top'   -- 'top': top-N by tickets, 'draw': ticket-weighted draw
+    check (mode in ('draw', 'top')),
+  add column if not exists prizes        jsonb       not null default '[50000, 25000, 10000, 10000, 5000]'::jsonb,
+  add column if not exists status        text        not null default 'running'
+    check (status in ('running', 'closed')),
+  add column if not exists seed          text,
+  add column if not exists seed_hash     text,
+  add column if not exists total_tickets bigint,
+  add column if not exists closed_at     timestamptz;
+
+-- Only the latest round is still running.
+update public.contest_time
+   set status = 'closed', closed_at = coalesce(closed_at, now())
+ where id <> (select max(id) from public.contest_time);
+
+update public.contest_time
+   set seed = replace(gen_random_uuid()::text || gen_random_uuid()::text, '-', '')
+ where status = 'running' and seed is null;
+
+update public.contest_time
+   set seed_hash = encode(sha256(convert_to(seed, 'UTF8')), 'hex')
+ where seed is not null and seed_hash is null;
+
+create table if not exists public.contest_results (
+  id              bigserial primary key,
+  contest_id      bigint      not null references public.contest_time (id),
+  user_id         bigint      not null references public.users (id),
+  rank            integer     not null,
+  tickets         bigint      not null,
+  prize           numeric     not null default 0,
+  ledger_entry_id bigint      references public.balance_ledger (id),
+  created_at      timestamptz not null default now(),
+  unique (contest_id, user_id),
+  unique (contest_id, rank)
+);
+
+create or replace function public.settle_contest(
+  p_contest_id    bigint,
+  p_seed          text,
+  p_total_tickets bigint,
+  p_results       jsonb,        -- [{ user_id, rank, tickets, prize }]
+  p_next_start    timestamptz,
+  p_next_end      timestamptz,
+  p_next_seed     text
+)
+returns table (next_contest_id bigint)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contest contest_time%rowtype;
+  v_total   bigint;
+  v_result  record;
+  v_entry   bigint;
+  v_next_id bigint;
+begin
+  select * into v_contest from contest_time c where c.id = p_contest_id for update;
+  if not found then
+    raise exception 'CONTEST_NOT_FOUND';
+  end if;
+  if v_contest.status <> 'running' then
+    raise exception 'CONTEST_ALREADY_CLOSED';
+  end if;
+  if v_contest.seed_hash is not null
+     and v_contest.seed_hash <> encode(sha256(convert_to(p_seed, 'UTF8')), 'hex') then
+    raise exception 'CONTEST_SEED_MISMATCH';
+  end if;
+
+  -- The draw was computed from a snapshot; refuse to settle if tickets moved since.
+  lock table ticket in exclusive mode;
+  select coalesce(sum(t.tickets), 0) into v_total from ticket t;
+  if v_total <> p_total_tickets then
+    raise exception 'CONTEST_TICKETS_CHANGED';
+  end if;
+
+  for v_result in
+    select * from jsonb_to_recordset(p_results) as r(user_id bigint, rank integer, tickets bigint, prize numeric)
+  loop
+    v_entry := null;
+    if coalesce(v_result.prize, 0) > 0 then
+      select l.entry_id into v_entry
+        from ledger_apply(v_result.user_id, v_result.prize, 'contest_prize', p_contest_id || ':' || v_result.rank) l;
+    end if;
+    insert into contest_results (contest_id, user_id, rank, tickets, prize, ledger_entry_id)
+    values (p_contest_id, v_result.user_id, v_result.rank, v_result.tickets, coalesce(v_result.prize, 0), v_entry);
+  end loop;
+
+  delete from ticket;
+
+  update contest_time
+     set status = 'closed', seed = p_seed, total_tickets = v_total, closed_at = now()
+   where id = p_contest_id;
+
+  insert into contest_time (start_time, end_time, mode, prizes, status, seed, seed_hash)
+  values (p_next_start, p_next_end, v_contest.mode, v_contest.prizes, 'running',
+          p_next_seed, encode(sha256(convert_to(p_next_seed, 'UTF8')), 'hex'))
+  returning id into v_next_id;
+
+  return query select v_next_id;
+end;
+$$;
+
+-- API-only (adminCloseContest / closeContestIfEnded).
+revoke execute on function public.settle_contest(bigint, text, bigint, jsonb, timestamptz, timestamptz, text) from public, anon, authenticated;
+grant execute on function public.settle_contest(bigint, text, bigint, jsonb, timestamptz, timestamptz, text) to service_role;
+
+alter table public.contest_results enable row level security;
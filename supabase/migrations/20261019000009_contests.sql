@@ -0,0 +1,195 @@
+-- ------------------------------------------------------------------
+-- Contests as first-class records
+-- contests replaces contest_time (one row per contest, several may run at
+-- once) and contest_tickets replaces the single-row-per-user `ticket`
+-- table, so tickets and history are kept per contest instead of being
+-- wiped on every reset. The old tables stay untouched for reference.
+-- ------------------------------------------------------------------
+
+create table if not exists public.contests (
+  id                   bigserial primary key,
+  name                 text        not null,
+  start_time           timestamptz not null default now(),
+  end_time             timestamptz not null,
+  mode                 text        not null default 'top' check (mode in ('draw', 'top')),
+  prizes               jsonb       not null default '[50000, 25000, 10000, 10000, 5000]'::jsonb,
+  tickets_per_ad       integer     not null default 5 check (tickets_per_ad > 0),
+  max_tickets_per_user integer     check (max_tickets_per_user is null or max_tickets_per_user > 0),
+  auto_renew           boolean     not null default false,  -- open a copy of the contest when it closes
+  status               text        not null default 'running' check (status in ('running', 'closed')),
+  seed                 text,
+  seed_hash            text,
+  total_tickets        bigint,
+  closed_at            timestamptz,
+  created_at           timestamptz not null default now(),
+  check (end_time > start_time)
+);
+
+create index if not exists contests_status_idx on public.contests (status, end_time);
+
+create table if not exists public.contest_tickets (
+  contest_id bigint      not null references public.contests (id),
+  user_id    bigint      not null references public.users (id),
+  tickets    bigint      not null default 0,
+  created_at timestamptz not null default now(),
+  updated_at timestamptz not null default now(),
+  primary key (contest_id, user_id)
+);
+
+create index if not exists contest_tickets_rank_idx on public.contest_tickets (contest_id, tickets desc);
+
+-- Carry over existing rounds (same ids, so contest_results keeps pointing at them).
+insert into public.contests (id, name, start_time, end_time, mode, prizes, auto_renew, status,
+                             seed, seed_hash, total_tickets, closed_at)
+select c.id,
+       'Prize Contest #' || c.id,
+       coalesce(c.start_time, c.end_time - interval '10 days', now()),
+       coalesce(c.end_time, now() + interval '10 days'),
+       c.mode, c.prizes, true, c.status, c.seed, c.seed_hash, c.total_tickets, c.closed_at
+  from public.contest_time c
+on conflict (id) do nothing;
+
+select setval(pg_get_serial_sequence('public.contests', 'id'),
+              greatest((select coalesce(max(id), 0) from public.contests), 1));
+
+-- Current tickets belong to the running contest.
+insert into public.contest_tickets (contest_id, user_id, tickets, created_at, updated_at)
+select (select max(id) from public.contests where status = 'running'),
+       t.user_id, t.tickets, coalesce(t.created_at, now()), coalesce(t.updated_at, now())
+  from public.ticket t
+ where t.tickets > 0
+   and exists (select 1 from public.contests where status = 'running')
+on conflict do nothing;
+
+alter table public.contest_results drop constraint if exists contest_results_contest_id_fkey;
+alter table public.contest_results
+  add constraint contest_results_contest_id_fkey foreign key (contest_id) references public.contests (id);
+
+drop function if exists public.settle_contest(bigint, text, bigint, jsonb, timestamptz, timestamptz, text);
+
+-- Grants tickets inside the contest window, capped by max_tickets_per_user.
+-- The shared lock on the contest row orders it against settle_contest().
+create or replace function public.add_contest_tickets(
+  p_contest_id bigint,
+  p_user_id    bigint
+)
+returns table (my_tickets bigint, all_tickets bigint, granted integer)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contest contests%rowtype;
+  v_current bigint;
+  v_grant   integer;
+begin
+  select * into v_contest from contests c where c.id = p_contest_id for share;
+  if not found then
+    raise exception 'CONTEST_NOT_FOUND';
+  end if;
+  if v_contest.status <> 'running' or v_contest.end_time <= now() then
+    raise exception 'CONTEST_ENDED';
+  end if;
+  if v_contest.start_time > now() then
+    raise exception 'CONTEST_NOT_STARTED';
+  end if;
+
+  select coalesce(t.tickets, 0) into v_current
+    from contest_tickets t where t.contest_id = p_contest_id and t.user_id = p_user_id;
+  v_current := coalesce(v_current, 0);
+
+  v_grant := v_contest.tickets_per_ad;
+  if v_contest.max_tickets_per_user is not null then
+    v_grant := least(v_grant, v_contest.max_tickets_per_user - v_current);
+  end if;
+  if v_grant <= 0 then
+    raise exception 'CONTEST_TICKET_LIMIT';
+  end if;
+
+  insert into contest_tickets (contest_id, user_id, tickets)
+  values (p_contest_id, p_user_id, v_grant)
+  on conflict (contest_id, user_id)
+  do update set tickets = contest_tickets.tickets + excluded.tickets, updated_at = now();
+
+  return query
+  select v_current + v_grant,
+         (select coalesce(sum(t.tickets), 0)::bigint from contest_tickets t where t.contest_id = p_contest_id),
+         v_grant;
+end;
+$$;
+
+-- Same settlement as before, scoped to one contest; tickets are kept as history
+-- and the next round is only opened for auto_renew contests.
+create or replace function public.settle_contest(
+  p_contest_id    bigint,
+  p_seed          text,
+  p_total_tickets bigint,
+  p_results       jsonb,        -- [{ user_id, rank, tickets, prize }]
+  p_next_seed     text
+)
+returns table (next_contest_id bigint)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_contest contests%rowtype;
+  v_total   bigint;
+  v_result  record;
+  v_entry   bigint;
+  v_next_id bigint;
+begin
+  select * into v_contest from contests c where c.id = p_contest_id for update;
+  if not found then
+    raise exception 'CONTEST_NOT_FOUND';
+  end if;
+  if v_contest.status <> 'running' then
+    raise exception 'CONTEST_ALREADY_CLOSED';
+  end if;
+  if v_contest.seed_hash is not null
+     and v_contest.seed_hash <> encode(sha256(convert_to(p_seed, 'UTF8')), 'hex') then
+    raise exception 'CONTEST_SEED_MISMATCH';
+  end if;
+
+  select coalesce(sum(t.tickets), 0) into v_total from contest_tickets t where t.contest_id = p_contest_id;
+  if v_total <> p_total_tickets then
+    raise exception 'CONTEST_TICKETS_CHANGED';
+  end if;
+
+  for v_result in
+    select * from jsonb_to_recordset(p_results) as r(user_id bigint, rank integer, tickets bigint, prize numeric)
+  loop
+    v_entry := null;
+    if coalesce(v_result.prize, 0) > 0 then
+      select l.entry_id into v_entry
+        from ledger_apply(v_result.user_id, v_result.prize, 'contest_prize', p_contest_id || ':' || v_result.rank) l;
+    end if;
+    insert into contest_results (contest_id, user_id, rank, tickets, prize, ledger_entry_id)
+    values (p_contest_id, v_result.user_id, v_result.rank, v_result.tickets, coalesce(v_result.prize, 0), v_entry);
+  end loop;
+
+  update contests
+     set status = 'closed', seed = p_seed, total_tickets = v_total, closed_at = now()
+   where id = p_contest_id;
+
+  if v_contest.auto_renew then
+    insert into contests (name, start_time, end_time, mode, prizes, tickets_per_ad, max_tickets_per_user,
+                          auto_renew, status, seed, seed_hash)
+    values (v_contest.name, now(), now() + (v_contest.end_time - v_contest.start_time),
+            v_contest.mode, v_contest.prizes, v_contest.tickets_per_ad, v_contest.max_tickets_per_user,
+            true, 'running', p_next_seed, encode(sha256(convert_to(p_next_seed, 'UTF8')), 'hex'))
+    returning id into v_next_id;
+  end if;
+
+  return query select v_next_id;
+end;
+$$;
+
+-- API-only. settle_contest was dropped and recreated above, so it needs its grants again.
+revoke execute on function public.add_contest_tickets(bigint, bigint) from public, anon, authenticated;
+grant execute on function public.add_contest_tickets(bigint, bigint) to service_role;
+revoke execute on function public.settle_contest(bigint, text, bigint, jsonb, text) from public, anon, authenticated;
+grant execute on function public.settle_contest(bigint, text, bigint, jsonb, text) to service_role;
+
+alter table public.contests enable row level security;
+alter table public.contest_tickets enable row level security;
@@ -0,0 +1,44 @@
+-- ------------------------------------------------------------------
+-- Reward / limit configuration
+-- One row per setting. The API reads the table through a short in-memory
+-- cache and falls back to its built-in defaults for missing keys, so rows
+-- only need to exist for values an operator has changed.
+-- ------------------------------------------------------------------
+
+create table if not exists public.app_config (
+  key        text        primary key,
+  value      jsonb       not null,
+  updated_at timestamptz not null default now(),
+  updated_by text
+);
+
+insert into public.app_config (key, value) values
+  ('reward_per_ad',            '10'),
+  ('referral_commission_rate', '0.4'),
+  ('daily_max_ads',            '200'),
+  ('daily_max_spins',          '25'),
+  ('spin_sectors',             '[15, 25, 35, 30, 20]'),
+  ('task_link_reward',         '5'),
+  ('task_link_daily_max',      '200'),
+  ('contest_tickets_per_ad',   '5'),
+  ('min_withdraw',             '2000')
+on conflict (key) do nothing;
+
+-- Upserts several settings at once (values are validated by the API).
+create or replace function public.set_app_config(p_values jsonb, p_admin text default null)
+returns void
+language sql
+security definer
+set search_path = public
+as $$
+  insert into app_config (key, value, updated_at, updated_by)
+  select v.key, v.value, now(), p_admin from jsonb_each(p_values) v
+  on conflict (key) do update
+    set value = excluded.value, updated_at = excluded.updated_at, updated_by = excluded.updated_by;
+$$;
+
+-- Clients get the values through getConfig; writes go through adminSetConfig.
+revoke execute on function public.set_app_config(jsonb, text) from public, anon, authenticated;
+grant execute on function public.set_app_config(jsonb, text) to service_role;
+
+alter table public.app_config enable row level security;
@@ -0,0 +1,31 @@
+-- ------------------------------------------------------------------
+-- Spin wheel definition
+-- spin_sectors (plain prize values, uniform pick) becomes spin_wheel:
+-- one object per sector with value, label, color and an integer weight.
+-- spin_sectors still holding the default seeded by 000010 becomes the
+-- weighted default wheel (same as SPIN_WHEEL in api/index.js); values an
+-- operator changed are kept, with equal weights as before.
+-- The client renders exactly this list, so the wheel lands on the prize
+-- the server awarded.
+-- ------------------------------------------------------------------
+
+insert into public.app_config (key, value)
+select 'spin_wheel',
+       coalesce(
+         (select jsonb_agg(jsonb_build_object(
+                   'value',  s.value,
+                   'label',  s.value::text,
+                   'color',  (array['#00bfff', '#ff8c00', '#28a745', '#ff4500', '#00f2fe'])[((s.idx - 1) % 5) + 1],
+                   'weight', 1) order by s.idx)
+            from public.app_config c,
+                 jsonb_array_elements(c.value) with ordinality as s(value, idx)
+           where c.key = 'spin_sectors'
+             and c.value <> '[15, 25, 35, 30, 20]'::jsonb),
+         '[{"value": 15, "label": "15", "color": "#00bfff", "weight": 30},
+           {"value": 25, "label": "25", "color": "#ff8c00", "weight": 25},
+           {"value": 35, "label": "35", "color": "#28a745", "weight": 10},
+           {"value": 30, "label": "30", "color": "#ff4500", "weight": 15},
+           {"value": 20, "label": "20", "color": "#00f2fe", "weight": 20}]'::jsonb)
+on conflict (key) do nothing;
+
+delete from public.app_config where key = 'spin_sectors';
@@ -0,0 +1,64 @@
+-- ------------------------------------------------------------------
+-- Provably fair spins (commit-reveal)
+-- preSpin stores a fresh server seed and returns only its sha256 hash;
+-- spinResult reveals it and the prize index is derived from
+-- HMAC-SHA256(server_seed, "<client_seed>:<nonce>") over the wheel
+-- snapshot taken at commit time. Rows from before this change keep
+-- status 'revealed' without seeds.
+-- ------------------------------------------------------------------
+
+alter table public.spin_results
+  alter column prize drop not null,
+  add column if not exists status           text not null default 'revealed'
+    check (status in ('committed', 'revealed')),
+  add column if not exists server_seed      text,
+  add column if not exists server_seed_hash text,
+  add column if not exists client_seed      text,
+  add column if not exists nonce            bigint,
+  add column if not exists wheel            jsonb,
+  add column if not exists prize_index      integer,
+  add column if not exists revealed_at      timestamptz;
+
+create index if not exists spin_results_user_idx on public.spin_results (user_id, created_at desc);
+
+-- Nonces count a user's commitments: 1, 2, 3, ... The unique index backs up
+-- commit_spin(), which serializes a user's preSpins on their users row.
+create unique index if not exists spin_results_user_nonce_uidx
+  on public.spin_results (user_id, nonce)
+  where nonce is not null;
+
+-- Stores a commitment under the user's next nonce and returns both.
+create or replace function public.commit_spin(
+  p_user_id          bigint,
+  p_server_seed      text,
+  p_server_seed_hash text,
+  p_wheel            jsonb
+)
+returns table (spin_id bigint, nonce bigint)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_nonce bigint;
+  v_id    bigint;
+begin
+  perform 1 from users u where u.id = p_user_id for update;
+  if not found then
+    raise exception 'USER_NOT_FOUND';
+  end if;
+
+  select coalesce(max(s.nonce), 0) + 1 into v_nonce
+    from spin_results s
+   where s.user_id = p_user_id and s.nonce is not null;
+
+  insert into spin_results (user_id, status, server_seed, server_seed_hash, nonce, wheel, created_at)
+  values (p_user_id, 'committed', p_server_seed, p_server_seed_hash, v_nonce, p_wheel, now())
+  returning id into v_id;
+
+  return query select v_id, v_nonce;
+end;
+$$;
+
+revoke execute on function public.commit_spin(bigint, text, text, jsonb) from public, anon, authenticated;
+grant execute on function public.commit_spin(bigint, text, text, jsonb) to service_role;
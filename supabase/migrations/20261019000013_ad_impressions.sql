@@ -0,0 +1,65 @@
+-- ------------------------------------------------------------------
+-- Verified ad impressions
+-- Ad networks call the API's reward callback when a user finishes an ad;
+-- each verified callback is stored here once (network + impression_id).
+-- watchAd / spinResult / contestWatchAd credit only after consuming one
+-- fresh impression of the user through consume_ad_impression().
+-- ------------------------------------------------------------------
+
+create table if not exists public.ad_impressions (
+  id            bigserial primary key,
+  network       text        not null,
+  impression_id text        not null,
+  user_id       bigint      not null references public.users (id),
+  status        text        not null default 'verified' check (status in ('verified', 'consumed')),
+  consumed_by   text,        -- request type that used it (watchAd, spinResult, contestWatchAd)
+  consumed_at   timestamptz,
+  raw           jsonb,       -- callback query, for audits
+  created_at    timestamptz not null default now(),
+  unique (network, impression_id)
+);
+
+create index if not exists ad_impressions_available_idx
+  on public.ad_impressions (user_id, status, created_at);
+
+-- Marks the user's oldest unconsumed impression (not older than p_max_age_seconds)
+-- as consumed and returns its id; raises AD_NOT_VERIFIED when there is none.
+create or replace function public.consume_ad_impression(
+  p_user_id         bigint,
+  p_purpose         text,
+  p_max_age_seconds integer
+)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_id bigint;
+begin
+  select i.id into v_id
+    from ad_impressions i
+   where i.user_id = p_user_id
+     and i.status = 'verified'
+     and i.created_at > now() - make_interval(secs => p_max_age_seconds)
+   order by i.created_at
+   limit 1
+   for update skip locked;
+
+  if v_id is null then
+    raise exception 'AD_NOT_VERIFIED';
+  end if;
+
+  update ad_impressions
+     set status = 'consumed', consumed_by = p_purpose, consumed_at = now()
+   where id = v_id;
+
+  return v_id;
+end;
+$$;
+
+-- Impressions are written by the callback route and consumed by the API only.
+revoke execute on function public.consume_ad_impression(bigint, text, integer) from public, anon, authenticated;
+grant execute on function public.consume_ad_impression(bigint, text, integer) to service_role;
+
+alter table public.ad_impressions enable row level security;
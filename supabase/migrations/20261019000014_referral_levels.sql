@@ -0,0 +1,30 @@
+-- ------------------------------------------------------------------
+-- Multi-level referral commissions
+-- referral_commission_rate (one flat rate for the direct referrer) becomes
+-- referral_commission_levels: one rate per level up the ref_by chain.
+-- commission_history records which level each commission was paid for.
+-- ------------------------------------------------------------------
+
+alter table public.commission_history
+  add column if not exists level integer not null default 1 check (level >= 1);
+
+create index if not exists commission_history_referrer_level_idx
+  on public.commission_history (referrer_id, level);
+
+-- Keep the operator's level-1 rate and add the default level-2 rate.
+insert into public.app_config (key, value)
+select 'referral_commission_levels',
+       coalesce((select jsonb_build_array(c.value, 0.1) from public.app_config c
+                  where c.key = 'referral_commission_rate' and (c.value #>> '{}')::numeric <= 0.9),
+                '[0.4, 0.1]'::jsonb)
+on conflict (key) do nothing;
+
+delete from public.app_config where key = 'referral_commission_rate';
+
+-- A user can never be their own referrer (cycles longer than one hop are
+-- stopped by the API when it walks the chain).
+update public.users set ref_by = null where ref_by = id;
+
+alter table public.users drop constraint if exists users_ref_by_not_self;
+alter table public.users
+  add constraint users_ref_by_not_self check (ref_by is null or ref_by <> id);
@@ -0,0 +1,76 @@
+-- ------------------------------------------------------------------
+-- Referral dashboard
+-- get_referrals() pages through a user's direct referees together with
+-- the commission each of them has earned the referrer; referral_totals()
+-- returns the counters shown above the list. Both aggregate in the
+-- database so the API never loads every referee row.
+-- ------------------------------------------------------------------
+
+-- Join date. Existing users get their earliest known activity (first ledger
+-- entry, first commission they generated, last_activity) rather than the
+-- migration time; users with no trace at all stay null. Only rows inserted
+-- from now on take the default.
+alter table public.users
+  add column if not exists created_at timestamptz;
+
+update public.users u
+   set created_at = least(
+         (select min(l.created_at) from public.balance_ledger l where l.user_id = u.id),
+         (select min(h.created_at) from public.commission_history h where h.referee_id = u.id),
+         u.last_activity)
+ where u.created_at is null;
+
+alter table public.users
+  alter column created_at set default now();
+
+create index if not exists users_ref_by_idx on public.users (ref_by);
+create index if not exists commission_history_referrer_referee_idx
+  on public.commission_history (referrer_id, referee_id);
+
+create or replace function public.get_referrals(
+  p_user_id bigint,
+  p_limit   integer,
+  p_offset  integer
+)
+returns table (
+  referee_id        bigint,
+  first_name        text,
+  last_name         text,
+  photo_url         text,
+  joined_at         timestamptz,
+  last_activity     timestamptz,
+  commission_earned numeric
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select u.id, u.first_name, u.last_name, u.photo_url, u.created_at, u.last_activity,
+         coalesce((select sum(h.amount) from commission_history h
+                    where h.referrer_id = p_user_id and h.referee_id = u.id), 0)
+    from users u
+   where u.ref_by = p_user_id
+   order by u.created_at desc nulls last, u.id desc
+   limit greatest(p_limit, 0) offset greatest(p_offset, 0);
+$$;
+
+-- commission_total covers every level; commission_direct only level 1.
+create or replace function public.referral_totals(p_user_id bigint, p_active_since timestamptz)
+returns table (referrals_count bigint, active_count bigint, commission_total numeric, commission_direct numeric)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select (select count(*) from users u where u.ref_by = p_user_id),
+         (select count(*) from users u where u.ref_by = p_user_id and u.last_activity >= p_active_since),
+         (select coalesce(sum(h.amount), 0) from commission_history h where h.referrer_id = p_user_id),
+         (select coalesce(sum(h.amount), 0) from commission_history h where h.referrer_id = p_user_id and h.level = 1);
+$$;
+
+-- Served through getReferrals; clients never call these directly.
+revoke execute on function public.get_referrals(bigint, integer, integer) from public, anon, authenticated;
+grant execute on function public.get_referrals(bigint, integer, integer) to service_role;
+revoke execute on function public.referral_totals(bigint, timestamptz) from public, anon, authenticated;
+grant execute on function public.referral_totals(bigint, timestamptz) to service_role;
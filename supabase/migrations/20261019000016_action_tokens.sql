@@ -0,0 +1,19 @@
+-- ------------------------------------------------------------------
+-- Stateless action tokens
+-- Action IDs are now HMAC-signed tokens checked inside the API, so the
+-- temp_actions round-trips are gone. used_action_nonces is the only state:
+-- one insert per use, the primary key rejects replays, and rows can be
+-- deleted once expires_at has passed (the API prunes them opportunistically).
+-- temp_actions is no longer read or written and can be dropped later.
+-- ------------------------------------------------------------------
+
+create table if not exists public.used_action_nonces (
+  nonce      text        primary key,
+  user_id    bigint      not null,
+  expires_at timestamptz not null
+);
+
+create index if not exists used_action_nonces_expires_idx on public.used_action_nonces (expires_at);
+
+-- Replay guard for the API only.
+alter table public.used_action_nonces enable row level security;
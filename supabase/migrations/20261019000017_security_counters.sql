@@ -0,0 +1,145 @@
+-- ------------------------------------------------------------------
+-- Security counters
+-- isUserSuspended used to count `security` rows on every request. Now
+-- record_security_incident() writes the log row and keeps per-user counters
+-- in security_counters in the same call, suspending the user as soon as a
+-- limit is crossed, so the check is a single primary-key lookup.
+-- Counters use windows that restart with the first event after the previous
+-- window has elapsed. prune_security_log() deletes old log rows.
+-- ------------------------------------------------------------------
+
+create table if not exists public.security_counters (
+  user_id                bigint      primary key,
+  failed_window_start    timestamptz,
+  failed_count           integer     not null default 0,   -- failed actions in the current hour
+  violation_window_start timestamptz,
+  violation_count        integer     not null default 0,   -- violations in the current day
+  suspended_until        timestamptz,
+  updated_at             timestamptz not null default now()
+);
+
+create index if not exists security_created_at_idx on public.security (created_at);
+
+-- Carry over suspensions that are still running.
+insert into public.security_counters (user_id, suspended_until)
+select s.user_id, max(s.suspend_until)
+  from (
+    select sec.user_id,
+           (case when jsonb_typeof(sec.details::jsonb) = 'string'
+                 then (sec.details::jsonb #>> '{}')::jsonb
+                 else sec.details::jsonb end ->> 'suspend_until')::timestamptz as suspend_until
+      from public.security sec
+     where sec.incident_type = 'suspended' and sec.user_id > 0
+  ) s
+ where s.suspend_until > now()
+ group by s.user_id
+on conflict (user_id) do update set suspended_until = excluded.suspended_until;
+
+-- Logs one incident and updates the user's counters.
+-- Returns the user's suspended_until (null when not suspended).
+create or replace function public.record_security_incident(
+  p_user_id                bigint,
+  p_incident_type          text,
+  p_details                jsonb,
+  p_ip_hash                text,
+  p_ua_hash                text,
+  p_failed_types           text[],
+  p_violation_types        text[],
+  p_max_failed_per_hour    integer,
+  p_max_violations_per_day integer,
+  p_suspension_seconds     integer
+)
+returns timestamptz
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_counter security_counters%rowtype;
+  v_reason  text;
+  v_until   timestamptz;
+begin
+  insert into security (user_id, incident_type, details, ip_hash, user_agent_hash, created_at)
+  values (p_user_id, p_incident_type, p_details, p_ip_hash, p_ua_hash, now());
+
+  if coalesce(p_user_id, 0) <= 0 then
+    return null;
+  end if;
+
+  insert into security_counters (user_id) values (p_user_id) on conflict (user_id) do nothing;
+  select * into v_counter from security_counters c where c.user_id = p_user_id for update;
+
+  if p_incident_type = any (p_failed_types) then
+    if v_counter.failed_window_start is null or v_counter.failed_window_start <= now() - interval '1 hour' then
+      v_counter.failed_window_start := now();
+      v_counter.failed_count := 0;
+    end if;
+    v_counter.failed_count := v_counter.failed_count + 1;
+    if v_counter.failed_count >= p_max_failed_per_hour then
+      v_reason := 'hourly_failed_overflow';
+    end if;
+  end if;
+
+  if p_incident_type = any (p_violation_types) then
+    if v_counter.violation_window_start is null or v_counter.violation_window_start <= now() - interval '1 day' then
+      v_counter.violation_window_start := now();
+      v_counter.violation_count := 0;
+    end if;
+    v_counter.violation_count := v_counter.violation_count + 1;
+    if v_counter.violation_count >= p_max_violations_per_day then
+      v_reason := coalesce(v_reason, 'daily_violations_overflow');
+    end if;
+  end if;
+
+  v_until := v_counter.suspended_until;
+  if v_reason is not null and (v_until is null or v_until <= now()) then
+    v_until := now() + make_interval(secs => p_suspension_seconds);
+    insert into security (user_id, incident_type, details, ip_hash, user_agent_hash, created_at)
+    values (p_user_id, 'suspended',
+            jsonb_build_object('reason', v_reason, 'suspend_until', v_until, 'trigger', p_incident_type),
+            p_ip_hash, p_ua_hash, now());
+  end if;
+
+  update security_counters
+     set failed_window_start = v_counter.failed_window_start,
+         failed_count = v_counter.failed_count,
+         violation_window_start = v_counter.violation_window_start,
+         violation_count = v_counter.violation_count,
+         suspended_until = v_until,
+         updated_at = now()
+   where user_id = p_user_id;
+
+  return case when v_until > now() then v_until end;
+end;
+$$;
+
+-- Retention: deletes log rows older than p_before and counters that no
+-- longer hold anything. Returns the number of deleted log rows.
+create or replace function public.prune_security_log(p_before timestamptz)
+returns bigint
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_deleted bigint;
+begin
+  delete from security where created_at < p_before;
+  get diagnostics v_deleted = row_count;
+
+  delete from security_counters
+   where coalesce(suspended_until, '-infinity') <= now()
+     and coalesce(failed_window_start, '-infinity') <= now() - interval '1 hour'
+     and coalesce(violation_window_start, '-infinity') <= now() - interval '1 day';
+
+  return v_deleted;
+end;
+$$;
+
+-- API-only: clients must not be able to log incidents or prune the log.
+revoke execute on function public.record_security_incident(bigint, text, jsonb, text, text, text[], text[], integer, integer, integer) from public, anon, authenticated;
+grant execute on function public.record_security_incident(bigint, text, jsonb, text, text, text[], text[], integer, integer, integer) to service_role;
+revoke execute on function public.prune_security_log(timestamptz) from public, anon, authenticated;
+grant execute on function public.prune_security_log(timestamptz) to service_role;
+
+alter table public.security_counters enable row level security;
@@ -0,0 +1,87 @@
+-- ------------------------------------------------------------------
+-- Token-bucket rate limiting
+-- One row per bucket (e.g. "watchAd:<user id>" or "ip:<ip hash>"). A bucket
+-- holds up to `capacity` tokens and regains one every `refill_ms`; each
+-- request takes one token from every bucket it belongs to, all or nothing.
+-- Replaces the single users.last_activity comparison.
+-- ------------------------------------------------------------------
+
+create table if not exists public.rate_limit_buckets (
+  bucket_key text             primary key,
+  tokens     double precision not null,
+  updated_at timestamptz      not null default now()
+);
+
+create index if not exists rate_limit_buckets_updated_idx on public.rate_limit_buckets (updated_at);
+
+-- p_buckets: [{ key, capacity, refill_ms }]
+-- Returns allowed = false and the longest wait when any bucket is empty;
+-- in that case no token is taken from the other buckets either.
+create or replace function public.take_rate_limit_tokens(p_buckets jsonb)
+returns table (allowed boolean, retry_after_ms integer, limited_key text)
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_bucket record;
+  v_tokens double precision;
+  v_wait   integer := 0;
+  v_key    text;
+begin
+  -- Lock in key order so concurrent requests sharing buckets cannot deadlock
+  for v_bucket in
+    select b.key, b.capacity, b.refill_ms
+      from jsonb_to_recordset(p_buckets) as b(key text, capacity integer, refill_ms integer)
+     order by b.key
+  loop
+    insert into rate_limit_buckets (bucket_key, tokens, updated_at)
+    values (v_bucket.key, v_bucket.capacity, now())
+    on conflict (bucket_key) do nothing;
+
+    select least(v_bucket.capacity,
+                 r.tokens + extract(epoch from (now() - r.updated_at)) * 1000 / v_bucket.refill_ms)
+      into v_tokens
+      from rate_limit_buckets r where r.bucket_key = v_bucket.key for update;
+
+    if v_tokens < 1 and ceil((1 - v_tokens) * v_bucket.refill_ms)::integer > v_wait then
+      v_wait := ceil((1 - v_tokens) * v_bucket.refill_ms)::integer;
+      v_key := v_bucket.key;
+    end if;
+  end loop;
+
+  if v_wait > 0 then
+    return query select false, v_wait, v_key;
+    return;
+  end if;
+
+  update rate_limit_buckets r
+     set tokens = least(b.capacity, r.tokens + extract(epoch from (now() - r.updated_at)) * 1000 / b.refill_ms) - 1,
+         updated_at = now()
+    from jsonb_to_recordset(p_buckets) as b(key text, capacity integer, refill_ms integer)
+   where r.bucket_key = b.key;
+
+  return query select true, 0, null::text;
+end;
+$$;
+
+-- Full buckets carry no information; drop rows idle for longer than p_idle_seconds.
+create or replace function public.prune_rate_limit_buckets(p_idle_seconds integer)
+returns bigint
+language sql
+security definer
+set search_path = public
+as $$
+  with deleted as (
+    delete from rate_limit_buckets where updated_at < now() - make_interval(secs => p_idle_seconds) returning 1
+  )
+  select count(*) from deleted;
+$$;
+
+-- API-only; a client could otherwise refill its own buckets.
+revoke execute on function public.take_rate_limit_tokens(jsonb) from public, anon, authenticated;
+grant execute on function public.take_rate_limit_tokens(jsonb) to service_role;
+revoke execute on function public.prune_rate_limit_buckets(integer) from public, anon, authenticated;
+grant execute on function public.prune_rate_limit_buckets(integer) to service_role;
+
+alter table public.rate_limit_buckets enable row level security;
@@ -0,0 +1,227 @@
+-- ------------------------------------------------------------------
+-- Multi-account detection
+-- user_devices remembers the (ip_hash, ua_hash, device_hash) each user opens
+-- the app from; device_hash is the hashed id the client keeps in its WebView
+-- storage ('' for clients that send none). A device is (device_hash, ua_hash):
+-- IP and user agent alone are shared by unrelated users behind CGNAT and by
+-- Telegram's WebViews, so they are only kept for the admin view. Accounts
+-- sharing a device inside one referral chain, or many referees of one
+-- referrer on the same device, become rows in flagged_referrals;
+-- processCommission withholds commissions for flagged (referrer, referee)
+-- pairs until an admin clears them.
+-- ------------------------------------------------------------------
+
+create table if not exists public.user_devices (
+  user_id     bigint      not null references public.users (id),
+  ip_hash     text        not null,
+  ua_hash     text        not null,
+  device_hash text        not null default '',
+  first_seen  timestamptz not null default now(),
+  last_seen   timestamptz not null default now(),
+  seen_count  integer     not null default 1,
+  primary key (user_id, ip_hash, ua_hash, device_hash)
+);
+
+create index if not exists user_devices_device_idx on public.user_devices (device_hash, ua_hash) where device_hash <> '';
+create index if not exists user_devices_ip_idx on public.user_devices (ip_hash);
+
+create table if not exists public.flagged_referrals (
+  referrer_id bigint      not null references public.users (id),
+  referee_id  bigint      not null references public.users (id),
+  reason      text        not null check (reason in ('shared_device', 'device_cluster')),
+  details     jsonb,
+  flagged_at  timestamptz not null default now(),
+  cleared_at  timestamptz,
+  cleared_by  text,
+  primary key (referrer_id, referee_id)
+);
+
+create index if not exists flagged_referrals_referee_idx on public.flagged_referrals (referee_id) where cleared_at is null;
+
+-- Flags every referral pair of p_referrer_id whose referees share the
+-- device when there are at least p_min_cluster of them.
+create or replace function public.flag_device_cluster(
+  p_referrer_id bigint,
+  p_device_hash text,
+  p_ua_hash     text,
+  p_min_cluster integer
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_referees bigint[];
+  v_flagged  integer;
+begin
+  if p_device_hash = '' then
+    return 0;
+  end if;
+
+  select array_agg(distinct u.id) into v_referees
+    from users u
+    join user_devices d on d.user_id = u.id and d.device_hash = p_device_hash and d.ua_hash = p_ua_hash
+   where u.ref_by = p_referrer_id;
+
+  if coalesce(cardinality(v_referees), 0) < p_min_cluster then
+    return 0;
+  end if;
+
+  insert into flagged_referrals (referrer_id, referee_id, reason, details)
+  select p_referrer_id, r, 'device_cluster',
+         jsonb_build_object('device_hash', p_device_hash, 'ua_hash', p_ua_hash, 'cluster_size', cardinality(v_referees))
+    from unnest(v_referees) r
+  on conflict (referrer_id, referee_id) do nothing;
+  get diagnostics v_flagged = row_count;
+  return v_flagged;
+end;
+$$;
+
+-- Records a sighting and flags referral pairs it reveals:
+-- - shared_device: the user and one of their ancestors/descendants (within
+--   p_max_levels) use the same device;
+-- - device_cluster: p_min_cluster or more referees of the user's referrer
+--   use the same device.
+-- A sighting without a device id flags nothing. Returns the number of new flags.
+create or replace function public.record_user_device(
+  p_user_id     bigint,
+  p_ip_hash     text,
+  p_ua_hash     text,
+  p_device_hash text,
+  p_max_levels  integer,
+  p_min_cluster integer
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_flagged  integer := 0;
+  v_count    integer;
+  v_referrer bigint;
+begin
+  insert into user_devices (user_id, ip_hash, ua_hash, device_hash)
+  values (p_user_id, p_ip_hash, p_ua_hash, p_device_hash)
+  on conflict (user_id, ip_hash, ua_hash, device_hash)
+  do update set last_seen = now(), seen_count = user_devices.seen_count + 1;
+
+  if p_device_hash = '' then
+    return 0;
+  end if;
+
+  with recursive same_device as (
+    select distinct d.user_id
+      from user_devices d
+     where d.device_hash = p_device_hash and d.ua_hash = p_ua_hash and d.user_id <> p_user_id
+  ),
+  chain (start_id, ancestor_id, level) as (
+    select u.id, u.ref_by, 1
+      from users u
+     where (u.id = p_user_id or u.id in (select user_id from same_device)) and u.ref_by is not null
+    union all
+    select c.start_id, u.ref_by, c.level + 1
+      from chain c
+      join users u on u.id = c.ancestor_id
+     where u.ref_by is not null and c.level < p_max_levels
+  )
+  insert into flagged_referrals (referrer_id, referee_id, reason, details)
+  select distinct on (c.ancestor_id, c.start_id) c.ancestor_id, c.start_id, 'shared_device',
+         jsonb_build_object('device_hash', p_device_hash, 'ua_hash', p_ua_hash, 'level', c.level)
+    from chain c
+   where c.ancestor_id <> c.start_id
+     and ((c.start_id = p_user_id and c.ancestor_id in (select user_id from same_device))
+       or (c.ancestor_id = p_user_id and c.start_id in (select user_id from same_device)))
+  on conflict (referrer_id, referee_id) do nothing;
+  get diagnostics v_count = row_count;
+  v_flagged := v_flagged + v_count;
+
+  select u.ref_by into v_referrer from users u where u.id = p_user_id;
+  if v_referrer is not null then
+    v_flagged := v_flagged + flag_device_cluster(v_referrer, p_device_hash, p_ua_hash, p_min_cluster);
+  end if;
+
+  return v_flagged;
+end;
+$$;
+
+-- Backfill / periodic scan for device clusters over all referrers.
+create or replace function public.scan_account_clusters(p_min_cluster integer)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_cluster record;
+  v_flagged integer := 0;
+begin
+  for v_cluster in
+    select u.ref_by as referrer_id, d.device_hash, d.ua_hash
+      from users u
+      join user_devices d on d.user_id = u.id
+     where u.ref_by is not null and d.device_hash <> ''
+     group by u.ref_by, d.device_hash, d.ua_hash
+    having count(distinct u.id) >= p_min_cluster
+  loop
+    v_flagged := v_flagged + flag_device_cluster(v_cluster.referrer_id, v_cluster.device_hash, v_cluster.ua_hash, p_min_cluster);
+  end loop;
+  return v_flagged;
+end;
+$$;
+
+-- Admin view: devices (or IPs when p_by_ip) shared by several accounts.
+create or replace function public.list_account_clusters(
+  p_min_accounts integer,
+  p_by_ip        boolean,
+  p_limit        integer
+)
+returns table (
+  ip_hash       text,
+  ua_hash       text,
+  device_hash   text,
+  accounts      bigint,
+  user_ids      bigint[],
+  referrer_ids  bigint[],
+  flagged_pairs bigint,
+  last_seen     timestamptz
+)
+language sql
+stable
+security definer
+set search_path = public
+as $$
+  select g.ip_hash, g.ua_hash, g.device_hash, g.accounts, g.user_ids,
+         (select array_agg(distinct u.ref_by) from users u where u.id = any (g.user_ids) and u.ref_by is not null),
+         (select count(*) from flagged_referrals f
+           where f.cleared_at is null and f.referee_id = any (g.user_ids)),
+         g.last_seen
+    from (
+      select case when p_by_ip then d.ip_hash end as ip_hash,
+             case when p_by_ip then null else d.ua_hash end as ua_hash,
+             case when p_by_ip then null else d.device_hash end as device_hash,
+             count(distinct d.user_id) as accounts,
+             array_agg(distinct d.user_id) as user_ids,
+             max(d.last_seen) as last_seen
+        from user_devices d
+       where p_by_ip or d.device_hash <> ''
+       group by 1, 2, 3
+      having count(distinct d.user_id) >= p_min_accounts
+    ) g
+   order by g.accounts desc, g.last_seen desc
+   limit greatest(p_limit, 1);
+$$;
+
+-- Device sightings and flags are API/admin data.
+revoke execute on function public.flag_device_cluster(bigint, text, text, integer) from public, anon, authenticated;
+grant execute on function public.flag_device_cluster(bigint, text, text, integer) to service_role;
+revoke execute on function public.record_user_device(bigint, text, text, text, integer, integer) from public, anon, authenticated;
+grant execute on function public.record_user_device(bigint, text, text, text, integer, integer) to service_role;
+revoke execute on function public.scan_account_clusters(integer) from public, anon, authenticated;
+grant execute on function public.scan_account_clusters(integer) to service_role;
+revoke execute on function public.list_account_clusters(integer, boolean, integer) from public, anon, authenticated;
+grant execute on function public.list_account_clusters(integer, boolean, integer) to service_role;
+
+alter table public.user_devices enable row level security;
+alter table public.flagged_referrals enable row level security;
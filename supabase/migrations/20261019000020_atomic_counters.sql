@@ -0,0 +1,60 @@
+-- ------------------------------------------------------------------
+-- Atomic daily counters
+-- increment_daily_counter() bumps ads_watched_today / spins_today /
+-- task_link_clicks_today in one conditional UPDATE, so two concurrent
+-- requests can neither lose an increment nor both take the last slot.
+-- ------------------------------------------------------------------
+
+-- p_counter: 'ads' | 'spins' | 'task_links'. Returns the new count and stamps
+-- the *_limit_reached_at column when it reaches p_limit; raises LIMIT_REACHED
+-- when no slot is left.
+create or replace function public.increment_daily_counter(
+  p_user_id bigint,
+  p_counter text,
+  p_limit   integer
+)
+returns integer
+language plpgsql
+security definer
+set search_path = public
+as $$
+declare
+  v_count integer;
+begin
+  if p_counter = 'ads' then
+    update users u
+       set ads_watched_today = coalesce(u.ads_watched_today, 0) + 1,
+           ads_limit_reached_at = case when coalesce(u.ads_watched_today, 0) + 1 >= p_limit
+                                       then now() else u.ads_limit_reached_at end,
+           last_activity = now()
+     where u.id = p_user_id and coalesce(u.ads_watched_today, 0) < p_limit
+    returning u.ads_watched_today into v_count;
+  elsif p_counter = 'spins' then
+    update users u
+       set spins_today = coalesce(u.spins_today, 0) + 1,
+           spins_limit_reached_at = case when coalesce(u.spins_today, 0) + 1 >= p_limit
+                                         then now() else u.spins_limit_reached_at end,
+           last_activity = now()
+     where u.id = p_user_id and coalesce(u.spins_today, 0) < p_limit
+    returning u.spins_today into v_count;
+  elsif p_counter = 'task_links' then
+    update users u
+       set task_link_clicks_today = coalesce(u.task_link_clicks_today, 0) + 1,
+           task_link_limit_reached_at = case when coalesce(u.task_link_clicks_today, 0) + 1 >= p_limit
+                                             then now() else u.task_link_limit_reached_at end,
+           last_activity = now()
+     where u.id = p_user_id and coalesce(u.task_link_clicks_today, 0) < p_limit
+    returning u.task_link_clicks_today into v_count;
+  else
+    raise exception 'UNKNOWN_COUNTER';
+  end if;
+
+  if v_count is null then
+    raise exception 'LIMIT_REACHED';
+  end if;
+  return v_count;
+end;
+$$;
+
+revoke execute on function public.increment_daily_counter(bigint, text, integer) from public, anon, authenticated;
+grant execute on function public.increment_daily_counter(bigint, text, integer) to service_role;
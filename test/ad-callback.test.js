@@ -0,0 +1,42 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./support/harness');
+
+const TOKEN = process.env.ADSGRAM_REWARD_SECRET;
+
+test('a retried AdsGram callback stores one impression', async () => {
+    const { db, adCallback } = setup({ users: [{ id: 1001 }] });
+
+    const first = await adCallback('adsgram', { userid: '1001', token: TOKEN, record_id: 'r-42' });
+    const retry = await adCallback('adsgram', { userid: '1001', token: TOKEN, record_id: 'r-42' });
+    const next = await adCallback('adsgram', { userid: '1001', token: TOKEN, record_id: 'r-43' });
+
+    assert.equal(first.body.data.impression_id, '1001:r-42');
+    assert.deepEqual(retry.body.data, { duplicate: true });
+    assert.equal(next.status, 200);
+    assert.deepEqual(db.rows('ad_impressions').map(i => i.impression_id), ['1001:r-42', '1001:r-43']);
+});
+
+test('AdsGram callbacks without a record id are refused', async () => {
+    const { db, adCallback } = setup({ users: [{ id: 1001 }] });
+
+    const res = await adCallback('adsgram', { userid: '1001', token: TOKEN });
+
+    assert.equal(res.status, 401);
+    assert.equal(db.rows('ad_impressions').length, 0);
+});
+
+test('AdsGram callbacks need the reward token', async () => {
+    const { db, adCallback } = setup({ users: [{ id: 1001 }] });
+
+    const res = await adCallback('adsgram', { userid: '1001', token: 'wrong', record_id: 'r-42' });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVALID_SIGNATURE');
+    assert.equal(db.rows('ad_impressions').length, 0);
+    const [incident] = db.rows('security');
+    assert.equal(incident.user_id, 0);
+    assert.equal(incident.details.claimed_user_id, 1001);
+});
@@ -0,0 +1,89 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./support/harness');
+
+const CHANNEL_TASK = { id: 7, name: 'Join', link: 'https://t.me/shib_news', reward: 100, type: 'channel' };
+
+const completeTask = (client, taskId) => client.action('completeTask', { task_id: taskId }, `completeTask_${taskId}`);
+
+test('completeTask checks channel membership, then credits the task once', async () => {
+    const { db, telegram, user } = setup({ users: [{ id: 1001 }], tasks: [CHANNEL_TASK] });
+    const alice = user({ id: 1001 });
+
+    const notJoined = await completeTask(alice, 7);
+    assert.equal(notJoined.body.code, 'NOT_MEMBER');
+    assert.deepEqual(notJoined.body.details, { channel: 'shib_news' });
+
+    telegram.setMember('@shib_news', 1001);
+    const done = await completeTask(alice, 7);
+    assert.equal(done.status, 200);
+    assert.equal(done.body.data.new_balance, 100);
+    assert.equal(db.rows('tasks')[0].completions_count, 1);
+
+    const again = await completeTask(alice, 7);
+    assert.equal(again.body.code, 'TASK_ALREADY_COMPLETED');
+    assert.equal(db.find('security', s => s.incident_type === 'duplicate_task').length, 1);
+    assert.equal(db.rows('users')[0].balance, 100);
+});
+
+test('bot tasks skip the membership check and pay the referrer', async () => {
+    const { db, user } = setup({
+        users: [{ id: 2001 }, { id: 1001, ref_by: 2001 }],
+        tasks: [{ id: 8, name: 'Start bot', link: 'https://t.me/other_bot', reward: 50, type: 'bot' }]
+    });
+
+    const res = await completeTask(user({ id: 1001 }), 8);
+
+    assert.equal(res.status, 200);
+    assert.equal(db.find('users', u => u.id === 2001)[0].balance, 20);
+});
+
+test('tasks that are full, expired or paused are unavailable', async () => {
+    const { telegram, user } = setup({
+        users: [{ id: 1001 }],
+        tasks: [
+            { ...CHANNEL_TASK, id: 1, max_participants: 1, completions_count: 1 },
+            { ...CHANNEL_TASK, id: 2, ends_at: new Date(Date.now() - 1000).toISOString() },
+            { ...CHANNEL_TASK, id: 3, status: 'paused' }
+        ]
+    });
+    telegram.setMember('@shib_news', 1001);
+    const alice = user({ id: 1001 });
+
+    const reasons = [];
+    for (const taskId of [1, 2, 3]) {
+        const res = await completeTask(alice, taskId);
+        assert.equal(res.status, 410);
+        reasons.push(res.body.details.reason);
+    }
+    assert.deepEqual(reasons, ['full', 'expired', 'not_active']);
+});
+
+test('an action token is bound to its task', async () => {
+    const { telegram, user } = setup({ users: [{ id: 1001 }], tasks: [CHANNEL_TASK, { ...CHANNEL_TASK, id: 9 }] });
+    telegram.setMember('@shib_news', 1001);
+
+    const res = await user({ id: 1001 }).action('completeTask', { task_id: 7 }, 'completeTask_9');
+
+    assert.equal(res.status, 409);
+    assert.equal(res.body.code, 'TOKEN_INVALID');
+});
+
+test('getTasks hides unavailable tasks unless the user completed them', async () => {
+    const { user } = setup({
+        users: [{ id: 1001 }],
+        tasks: [
+            { ...CHANNEL_TASK, id: 1 },
+            { ...CHANNEL_TASK, id: 2, max_participants: 1, completions_count: 1 },
+            { ...CHANNEL_TASK, id: 3, max_participants: 1, completions_count: 1 }
+        ],
+        user_task_completions: [{ user_id: 1001, task_id: 3 }]
+    });
+
+    const res = await user({ id: 1001 }).request('getTasks');
+
+    const tasks = res.body.data.tasks.map(t => [t.task_id, t.is_completed]);
+    assert.deepEqual(tasks, [[1, false], [3, true]]);
+});
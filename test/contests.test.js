@@ -0,0 +1,112 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setup } = require('./support/harness');
+
+const DAY = 24 * 60 * 60 * 1000;
+
+function contestRow(fields = {}) {
+    const seed = crypto.randomBytes(16).toString('hex');
+    return {
+        id: 1,
+        name: 'Weekly',
+        start_time: new Date(Date.now() - DAY).toISOString(),
+        end_time: new Date(Date.now() + DAY).toISOString(),
+        mode: 'top',
+        prizes: [1000, 500],
+        tickets_per_ad: 5,
+        seed,
+        seed_hash: crypto.createHash('sha256').update(seed).digest('hex'),
+        ...fields
+    };
+}
+
+test('contestWatchAd grants tickets_per_ad up to max_tickets_per_user', async () => {
+    const { user } = setup({ users: [{ id: 1001 }], contests: [contestRow({ max_tickets_per_user: 8 })] });
+    const alice = user({ id: 1001 });
+
+    const first = await alice.action('contestWatchAd');
+    const second = await alice.action('contestWatchAd');
+    const third = await alice.action('contestWatchAd');
+
+    assert.deepEqual(first.body.data, { contest_id: 1, my_tickets: 5, all_tickets: 5, granted: 5 });
+    assert.equal(second.body.data.granted, 3);
+    assert.equal(third.status, 403);
+    assert.deepEqual([third.body.code, third.body.details], ['LIMIT_REACHED', { kind: 'contest_tickets' }]);
+});
+
+test('contestWatchAd needs a running contest', async () => {
+    const { user } = setup({
+        users: [{ id: 1001 }],
+        contests: [contestRow({ start_time: new Date(Date.now() + DAY).toISOString(), end_time: new Date(Date.now() + 2 * DAY).toISOString() })]
+    });
+
+    const res = await user({ id: 1001 }).action('contestWatchAd');
+
+    assert.equal(res.status, 410);
+    assert.equal(res.body.code, 'NO_ACTIVE_CONTEST');
+});
+
+test('getContestData and getContestRank report tickets per user', async () => {
+    const { user } = setup({
+        users: [{ id: 1001, first_name: 'Alice' }, { id: 1002, first_name: 'Bob' }],
+        contests: [contestRow()],
+        contest_tickets: [{ contest_id: 1, user_id: 1001, tickets: 10 }, { contest_id: 1, user_id: 1002, tickets: 25 }]
+    });
+    const alice = user({ id: 1001 });
+
+    const data = await alice.request('getContestData', { contest_id: 1 });
+    const rank = await alice.request('getContestRank', { contest_id: '1' });
+
+    assert.equal(data.body.data.my_tickets, 10);
+    assert.equal(data.body.data.all_tickets, 35);
+    assert.equal(data.body.data.prize_pool, 1500);
+    assert.deepEqual(rank.body.data.players.map(p => [p.first_name, p.tickets]), [['Bob', 25], ['Alice', 10]]);
+});
+
+test('adminCloseContest pays the winners, reveals the seed and renews the contest', async () => {
+    const contest = contestRow({ auto_renew: true });
+    const { db, telegram, admin } = setup({
+        users: [{ id: 1001 }, { id: 1002 }, { id: 1003, is_banned: true }],
+        contests: [contest],
+        contest_tickets: [
+            { contest_id: 1, user_id: 1001, tickets: 10 },
+            { contest_id: 1, user_id: 1002, tickets: 25 },
+            { contest_id: 1, user_id: 1003, tickets: 99 }
+        ]
+    });
+
+    const res = await admin('adminCloseContest', { contest_id: 1 });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.seed, contest.seed);
+    assert.deepEqual(res.body.data.winners.map(w => [w.user_id, w.prize]), [[1002, 1000], [1001, 500]]);
+    const balance = id => db.find('users', u => u.id === id)[0].balance;
+    assert.deepEqual([balance(1001), balance(1002), balance(1003)], [500, 1000, 0]);
+
+    const [closed, next] = db.rows('contests');
+    assert.equal(closed.status, 'closed');
+    assert.equal(next.id, res.body.data.next_contest_id);
+    assert.equal(next.status, 'running');
+    assert.deepEqual(telegram.sent.map(m => m.chat_id).sort(), [1001, 1002]);
+
+    const again = await admin('adminCloseContest', { contest_id: 1 });
+    assert.equal(again.status, 409);
+});
+
+test('a contest past its end time is closed by the next read', async () => {
+    const { db, user } = setup({
+        users: [{ id: 1001 }],
+        contests: [contestRow({ end_time: new Date(Date.now() - 1000).toISOString() })],
+        contest_tickets: [{ contest_id: 1, user_id: 1001, tickets: 5 }]
+    });
+
+    const res = await user({ id: 1001 }).request('getContestData');
+
+    assert.equal(res.body.data.contest, null);
+    assert.equal(res.body.data.last_round.contest_id, 1);
+    assert.deepEqual(res.body.data.last_round.winners.map(w => w.user_id), [1001]);
+    assert.equal(db.rows('users')[0].balance, 1000);
+});
@@ -0,0 +1,91 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup, invoke } = require('./support/harness');
+
+test('register creates the user from the signed initData profile', async () => {
+    const { db, user } = setup();
+    const alice = user({ id: 1001, first_name: 'Alice', username: 'alice' });
+
+    const res = await alice.request('register', { user: { first_name: 'Spoofed' } });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.ok, true);
+    const [row] = db.find('users', u => u.id === 1001);
+    assert.equal(row.first_name, 'Alice');
+    assert.equal(row.username, 'alice');
+    assert.equal(row.balance, 0);
+    assert.equal(db.rows('user_devices').length, 1);
+});
+
+test('register records the client device id hashed', async () => {
+    const { db, user } = setup();
+    const alice = user({ id: 1001, first_name: 'Alice' });
+
+    await alice.request('register', { device_id: 'a1b2c3d4e5f60718' });
+    const bad = await alice.request('register', { device_id: 'not a device id' });
+
+    const [device] = db.rows('user_devices');
+    assert.match(device.device_hash, /^[0-9a-f]{64}$/);
+    assert.equal(bad.status, 400);
+    assert.equal(bad.body.details.field, 'device_id');
+});
+
+test('register is idempotent and keeps the balance', async () => {
+    const { db, user } = setup({ users: [{ id: 1001, first_name: 'Alice', balance: 50 }] });
+
+    const res = await user({ id: 1001, first_name: 'Alice' }).request('register');
+
+    assert.equal(res.body.ok, true);
+    assert.equal(db.rows('users').length, 1);
+    assert.equal(db.rows('users')[0].balance, 50);
+});
+
+test('register links the referrer and notifies them', async () => {
+    const { db, telegram, user } = setup({ users: [{ id: 2001, first_name: 'Ref' }] });
+
+    await user({ id: 1001, first_name: 'Alice' }).request('register', { ref_by: '2001' });
+
+    assert.equal(db.find('users', u => u.id === 1001)[0].ref_by, 2001);
+    assert.equal(telegram.sent.length, 1);
+    assert.equal(telegram.sent[0].chat_id, 2001);
+});
+
+test('register ignores self-referral and malformed ref_by', async () => {
+    const { db, user } = setup();
+
+    await user({ id: 1001 }).request('register', { ref_by: 1001 });
+    await user({ id: 1002 }).request('register', { ref_by: 'ref_abc' });
+
+    assert.equal(db.find('users', u => u.id === 1001)[0].ref_by, null);
+    assert.equal(db.find('users', u => u.id === 1002)[0].ref_by, null);
+});
+
+test('register rejects banned users', async () => {
+    const { user } = setup({ users: [{ id: 1001, is_banned: true }] });
+
+    const res = await user({ id: 1001 }).request('register');
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'BANNED');
+});
+
+test('requests without valid initData are rejected and logged', async () => {
+    const { db } = setup();
+
+    const res = await invoke({ type: 'register', user_id: 1001, initData: 'auth_date=1&hash=00' });
+
+    assert.equal(res.status, 401);
+    assert.equal(res.body.code, 'INVALID_INIT_DATA');
+    assert.equal(db.find('security', s => s.incident_type === 'invalid_initData').length, 1);
+});
+
+test('a user_id that differs from the signed user is rejected', async () => {
+    const { user } = setup();
+
+    const res = await user({ id: 1001 }).request('getUserData', { user_id: 9999 });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'USER_MISMATCH');
+});
@@ -0,0 +1,96 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { invoke, setup } = require('./support/harness');
+
+const incidents = (db, type) => db.find('security', s => s.incident_type === type);
+
+test('a burst past the action bucket is rate limited with a retry time', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    for (let i = 0; i < 3; i++) {
+        assert.equal((await alice.action('watchAd')).status, 200);
+    }
+    const limited = await alice.action('watchAd');
+
+    assert.equal(limited.status, 429);
+    assert.equal(limited.body.code, 'RATE_LIMITED');
+    assert.deepEqual(limited.body.details, { retry_after_ms: 3000 });
+    assert.equal(limited.headers['retry-after'], '3');
+    assert.deepEqual(incidents(db, 'rate_overflow').map(s => s.details.bucket), ['watchAd:1001']);
+
+    t.mock.timers.tick(3000);
+    assert.equal((await alice.action('watchAd')).status, 200);
+});
+
+test('an exhausted IP bucket limits everyone behind it without counting a violation', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { db, user } = setup({ users: [{ id: 1001 }, { id: 1002 }] });
+    const alice = user({ id: 1001 });
+
+    for (let i = 0; i < 60; i++) {
+        assert.equal((await alice.request('getUserData')).status, 200);
+    }
+    const bob = await user({ id: 1002 }).request('getUserData');
+
+    assert.equal(bob.status, 429);
+    assert.equal(bob.body.details.retry_after_ms, 500);
+    assert.equal(incidents(db, 'rate_overflow').length, 0);
+    assert.equal(db.rows('security_counters').length, 0);
+});
+
+test('the fifth violation of the day suspends the user', async () => {
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    for (let i = 0; i < 4; i++) {
+        assert.equal((await alice.request('taskLinkClick')).body.code, 'TOKEN_MISSING');
+    }
+    assert.equal((await alice.request('generateActionId', { action_type: 'taskLink' })).status, 200);
+
+    await alice.request('taskLinkClick');
+    const blocked = await alice.request('generateActionId', { action_type: 'taskLink' });
+
+    assert.equal(blocked.status, 403);
+    assert.equal(blocked.body.code, 'SUSPENDED');
+    const [suspension] = incidents(db, 'suspended');
+    assert.equal(suspension.details.reason, 'daily_violations_overflow');
+    const hoursLeft = (Date.parse(db.rows('security_counters')[0].suspended_until) - Date.now()) / (60 * 60 * 1000);
+    assert.ok(hoursLeft > 23.9 && hoursLeft <= 24);
+});
+
+test('expired action tokens count as failed actions, business refusals do not', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { db, user } = setup({
+        users: [{ id: 1001, ads_watched_today: 2 }],
+        app_config: [{ key: 'daily_max_ads', value: 2 }]
+    });
+    const alice = user({ id: 1001 });
+
+    const limited = await alice.action('watchAd');
+    const token = (await alice.request('generateActionId', { action_type: 'watchAd' })).body.data.action_id;
+    t.mock.timers.tick(61 * 1000); // action tokens live 60 s
+    const expired = await alice.request('watchAd', { action_id: token });
+
+    assert.equal(limited.body.code, 'LIMIT_REACHED');
+    assert.equal(expired.body.code, 'TOKEN_EXPIRED');
+    assert.deepEqual(incidents(db, 'failed_action').map(s => s.details.action_type), ['watchAd']);
+    assert.equal(db.rows('security_counters')[0].failed_count, 1);
+});
+
+test('forged initData naming another user never counts against that user', async () => {
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+
+    for (let i = 0; i < 5; i++) {
+        const forged = await invoke({ type: 'getUserData', initData: 'hash=00', user_id: 1001 });
+        assert.equal(forged.body.code, 'INVALID_INIT_DATA');
+    }
+    const victim = await user({ id: 1001 }).request('getUserData');
+
+    assert.equal(victim.status, 200);
+    assert.deepEqual(incidents(db, 'invalid_initData').map(s => [s.user_id, s.details.claimed_user_id]), Array(5).fill([0, 1001]));
+    assert.equal(db.rows('security_counters').length, 0);
+});
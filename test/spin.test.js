@@ -0,0 +1,115 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { setup } = require('./support/harness');
+
+const CLIENT_SEED = 'client-seed-1234';
+
+async function spin(alice, clientSeed = CLIENT_SEED) {
+    const pre = await alice.action('preSpin');
+    assert.equal(pre.status, 200);
+    const result = await alice.action('spinResult', { spin_id: pre.body.data.spin_id, client_seed: clientSeed });
+    return { pre, result };
+}
+
+test('spin commits to a seed hash and reveals a prize from the committed wheel', async () => {
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const { pre, result } = await spin(alice);
+
+    assert.equal(result.status, 200);
+    const data = result.body.data;
+    assert.equal(crypto.createHash('sha256').update(data.server_seed).digest('hex'), pre.body.data.server_seed_hash);
+    assert.equal(data.nonce, 1);
+    assert.equal(data.client_seed, CLIENT_SEED);
+
+    const [row] = db.rows('spin_results');
+    assert.equal(row.status, 'revealed');
+    assert.equal(data.actual_prize, row.wheel[data.prize_index].value);
+    assert.equal(db.rows('users')[0].balance, data.actual_prize);
+});
+
+test('concurrent preSpins get distinct nonces', async () => {
+    const { user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const commits = await Promise.all([alice.action('preSpin'), alice.action('preSpin'), alice.action('preSpin')]);
+
+    assert.deepEqual(commits.map(c => c.body.data.nonce).sort(), [1, 2, 3]);
+});
+
+test('a spin commitment can only be revealed once', async () => {
+    const { user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const { pre } = await spin(alice);
+    const again = await alice.action('spinResult', { spin_id: pre.body.data.spin_id, client_seed: CLIENT_SEED });
+
+    assert.equal(again.status, 409);
+    assert.equal(again.body.code, 'SPIN_NOT_FOUND');
+});
+
+test('spinResult validates spin_id and client_seed before using the action token', async () => {
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const badSeed = await alice.action('spinResult', { spin_id: 1, client_seed: 'short' });
+    const badId = await alice.action('spinResult', { spin_id: 'abc', client_seed: CLIENT_SEED });
+
+    assert.equal(badSeed.status, 400);
+    assert.deepEqual([badSeed.body.code, badSeed.body.details], ['INVALID_PARAMS', { field: 'client_seed' }]);
+    assert.deepEqual([badId.body.code, badId.body.details], ['INVALID_PARAMS', { field: 'spin_id' }]);
+    assert.equal(db.rows('used_action_nonces').length, 0);
+});
+
+test('spins stop at daily_max_spins', async () => {
+    const { user } = setup({
+        users: [{ id: 1001, spins_today: 0 }],
+        app_config: [{ key: 'daily_max_spins', value: 1 }]
+    });
+    const alice = user({ id: 1001 });
+
+    assert.equal((await spin(alice)).result.status, 200);
+    const { result } = await spin(alice);
+
+    assert.equal(result.status, 403);
+    assert.deepEqual(result.body.details, { kind: 'spins', limit: 1 });
+});
+
+test('a spin refused at the limit leaves its commitment open', async () => {
+    const { db, user } = setup({
+        users: [{ id: 1001, spins_today: 0 }],
+        app_config: [{ key: 'daily_max_spins', value: 1 }]
+    });
+    const alice = user({ id: 1001 });
+
+    const first = await alice.action('preSpin');
+    const second = await alice.action('preSpin');
+    // Both pass the read of spins_today; only one can take the last slot
+    const results = await Promise.all([first, second].map(pre =>
+        alice.action('spinResult', { spin_id: pre.body.data.spin_id, client_seed: CLIENT_SEED })));
+
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 403]);
+    const refused = results.find(r => r.status === 403);
+    assert.equal(refused.body.code, 'LIMIT_REACHED');
+    assert.deepEqual(db.rows('spin_results').map(r => r.status).sort(), ['committed', 'revealed']);
+    const open = db.rows('spin_results').find(r => r.status === 'committed');
+    assert.equal(open.client_seed, null);
+    assert.equal(db.rows('users')[0].spins_today, 1);
+});
+
+test('getSpinHistory returns revealed spins for verification', async () => {
+    const { user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const { result } = await spin(alice);
+    await alice.action('preSpin'); // committed but never revealed
+    const history = await alice.request('getSpinHistory');
+
+    assert.equal(history.body.data.spins.length, 1);
+    assert.equal(history.body.data.spins[0].server_seed, result.body.data.server_seed);
+    assert.equal(history.body.data.spins[0].prize_index, result.body.data.prize_index);
+});
@@ -0,0 +1,480 @@
+'use strict';
+
+/**
+ * In-memory stand-in for Supabase's PostgREST API, plugged in with
+ * setDataLayer({ request: db.request }). It understands what api/index.js sends:
+ * - filters: eq, neq, gt, gte, lt, lte, in, is (each may be prefixed with not.)
+ * - select (column lists), order (col.asc|desc, several columns), limit, offset
+ * - POST (with the unique keys below, answering 23505 like Postgres), PATCH, DELETE
+ * - rpc/<name> through JS versions of the SQL functions in supabase/migrations
+ * Only the behavior the handlers rely on is modelled. Rate limit buckets and
+ * security counters are stateful, so tests that burst one action past its
+ * bucket capacity advance the clock (t.mock.timers) between requests.
+ */
+
+const UNIQUE_KEYS = {
+    users: [['id']],
+    used_action_nonces: [['nonce']],
+    user_task_completions: [['user_id', 'task_id']],
+    contest_tickets: [['contest_id', 'user_id']],
+    contest_results: [['contest_id', 'user_id'], ['contest_id', 'rank']],
+    app_config: [['key']],
+    ad_impressions: [['network', 'impression_id']]
+};
+
+// Column defaults of the real schema that the handlers read back
+const TABLE_DEFAULTS = {
+    users: () => ({ balance: 0, is_banned: false, notifications_enabled: true, commission_total: 0, ref_by: null }),
+    tasks: () => ({ status: 'active', completions_count: 0, max_participants: null, starts_at: null, ends_at: null }),
+    contests: () => ({
+        start_time: new Date().toISOString(), mode: 'top', prizes: [50000, 25000, 10000, 10000, 5000],
+        tickets_per_ad: 5, max_tickets_per_user: null, auto_renew: false, status: 'running'
+    }),
+    contest_tickets: () => ({ tickets: 0, updated_at: new Date().toISOString() }),
+    withdrawals: () => ({ status: 'pending', payout_status: 'none' })
+};
+
+// Tables whose rows carry no bigserial id
+const NO_ID_TABLES = new Set(['users', 'used_action_nonces', 'contest_tickets', 'app_config', 'security_counters', 'rate_limit_buckets']);
+
+class PostgrestError extends Error {
+    constructor(code, message) {
+        super(message);
+        this.code = code;
+    }
+}
+
+function parseList(value) {
+    return value.replace(/^\(|\)$/g, '').split(',').map(v => v.trim().replace(/^"|"$/g, ''));
+}
+
+function compareValues(a, b) {
+    if (typeof a === 'number' || (a !== '' && !isNaN(Number(a)) && !isNaN(Number(b)))) {
+        return Number(a) - Number(b);
+    }
+    const timeA = Date.parse(a);
+    const timeB = Date.parse(b);
+    if (!isNaN(timeA) && !isNaN(timeB)) {
+        return timeA - timeB;
+    }
+    return String(a) < String(b) ? -1 : String(a) > String(b) ? 1 : 0;
+}
+
+function matchesFilter(row, column, expression) {
+    const negated = expression.startsWith('not.');
+    const [op, ...rest] = (negated ? expression.slice(4) : expression).split('.');
+    const value = rest.join('.');
+    const actual = row[column];
+    const isNull = actual === null || actual === undefined;
+
+    let result;
+    switch (op) {
+        case 'eq': result = !isNull && String(actual) === value; break;
+        case 'neq': result = !isNull && String(actual) !== value; break;
+        case 'gt': result = !isNull && compareValues(actual, value) > 0; break;
+        case 'gte': result = !isNull && compareValues(actual, value) >= 0; break;
+        case 'lt': result = !isNull && compareValues(actual, value) < 0; break;
+        case 'lte': result = !isNull && compareValues(actual, value) <= 0; break;
+        case 'in': result = !isNull && parseList(value).includes(String(actual)); break;
+        case 'is':
+            result = value === 'null' ? isNull : !isNull && String(actual) === value;
+            break;
+        default:
+            throw new PostgrestError('PGRST100', `Unsupported filter operator: ${op}`);
+    }
+    // Like SQL, a negated comparison with NULL is still not true (except "is")
+    return negated ? (op === 'is' ? !result : !isNull && !result) : result;
+}
+
+function parseQuery(queryParams) {
+    const params = new URLSearchParams(String(queryParams || '').replace(/^\?/, ''));
+    const query = { filters: [], select: null, order: [], limit: null, offset: 0 };
+    for (const [key, value] of params.entries()) {
+        if (key === 'select') {
+            query.select = value === '*' ? null : value.split(',').map(c => c.trim());
+        } else if (key === 'order') {
+            query.order = value.split(',').map(part => {
+                const [column, direction] = part.split('.');
+                return { column, desc: direction === 'desc' };
+            });
+        } else if (key === 'limit') {
+            query.limit = parseInt(value);
+        } else if (key === 'offset') {
+            query.offset = parseInt(value);
+        } else {
+            query.filters.push([key, value]);
+        }
+    }
+    return query;
+}
+
+function project(row, columns) {
+    if (!columns) return { ...row };
+    const out = {};
+    for (const column of columns) {
+        out[column] = row[column] === undefined ? null : row[column];
+    }
+    return out;
+}
+
+const clone = value => JSON.parse(JSON.stringify(value));
+
+/**
+ * Creates an empty database. seed: { tableName: [rows] }.
+ */
+function createFakeSupabase(seed = {}) {
+    const tables = {};
+    const sequences = {};
+    const calls = [];
+
+    const table = name => (tables[name] = tables[name] || []);
+
+    function insertRow(name, input) {
+        const rows = table(name);
+        const row = { ...(TABLE_DEFAULTS[name] ? TABLE_DEFAULTS[name]() : {}), ...clone(input) };
+        if (row.id === undefined && !NO_ID_TABLES.has(name)) {
+            sequences[name] = Math.max(sequences[name] || 0, ...rows.map(r => Number(r.id) || 0)) + 1;
+            row.id = sequences[name];
+        }
+        if (row.created_at === undefined) row.created_at = new Date().toISOString();
+
+        for (const key of UNIQUE_KEYS[name] || []) {
+            if (rows.some(r => key.every(column => String(r[column]) === String(row[column])))) {
+                throw new PostgrestError('23505', `duplicate key value violates unique constraint "${name}_${key.join('_')}_key"`);
+            }
+        }
+        rows.push(row);
+        return row;
+    }
+
+    function select(name, queryParams) {
+        const query = parseQuery(queryParams);
+        let rows = table(name).filter(row => query.filters.every(([column, expression]) => matchesFilter(row, column, expression)));
+        if (query.order.length > 0) {
+            rows = [...rows].sort((a, b) => {
+                for (const { column, desc } of query.order) {
+                    if (a[column] === b[column]) continue;
+                    // PostgreSQL puts NULLs last in ascending order and first in descending order
+                    if (a[column] === null || a[column] === undefined) return desc ? -1 : 1;
+                    if (b[column] === null || b[column] === undefined) return desc ? 1 : -1;
+                    const diff = compareValues(a[column], b[column]);
+                    if (diff !== 0) return desc ? -diff : diff;
+                }
+                return 0;
+            });
+        }
+        rows = rows.slice(query.offset, query.limit === null ? undefined : query.offset + query.limit);
+        return { rows, query };
+    }
+
+    const db = {
+        tables,
+        calls,
+        rpcs: {},
+
+        /** Rows of a table (live array). */
+        rows: name => table(name),
+
+        /** Inserts rows directly, applying defaults and ids like a POST. */
+        insert(name, rows) {
+            return (Array.isArray(rows) ? rows : [rows]).map(row => insertRow(name, row));
+        },
+
+        find: (name, predicate = () => true) => table(name).filter(predicate),
+
+        /** data layer request(tableName, method, body, queryParams) */
+        async request(tableName, method, body = null, queryParams = '') {
+            calls.push({ tableName, method, body, queryParams });
+            try {
+                if (tableName.startsWith('rpc/')) {
+                    const name = tableName.slice(4);
+                    const fn = db.rpcs[name] || RPCS[name];
+                    if (!fn) {
+                        throw new PostgrestError('PGRST202', `Could not find the function public.${name}`);
+                    }
+                    return clone(fn(db, body || {}));
+                }
+
+                const { rows, query } = select(tableName, queryParams);
+                switch (method) {
+                    case 'GET':
+                        return rows.map(row => project(row, query.select));
+                    case 'POST': {
+                        const inputs = Array.isArray(body) ? body : [body];
+                        // All or nothing, like a single INSERT statement
+                        const before = table(tableName).length;
+                        try {
+                            return inputs.map(input => project(insertRow(tableName, input), query.select));
+                        } catch (error) {
+                            table(tableName).length = before;
+                            throw error;
+                        }
+                    }
+                    case 'PATCH':
+                        return rows.map(row => project(Object.assign(row, clone(body)), query.select));
+                    case 'DELETE': {
+                        const removed = new Set(rows);
+                        tables[tableName] = table(tableName).filter(row => !removed.has(row));
+                        return rows.map(row => project(row, query.select));
+                    }
+                    default:
+                        throw new PostgrestError('PGRST105', `Unsupported method ${method}`);
+                }
+            } catch (error) {
+                if (!(error instanceof PostgrestError)) throw error;
+                return { code: error.code, message: error.message, details: null, hint: null };
+            }
+        }
+    };
+
+    for (const [name, rows] of Object.entries(seed)) {
+        db.insert(name, rows);
+    }
+    return db;
+}
+
+// ------------------------------------------------------------------
+// RPCs (JS versions of the SQL functions; see supabase/migrations)
+// ------------------------------------------------------------------
+
+const raise = message => { throw new PostgrestError('P0001', message); };
+const findOne = (db, name, predicate) => db.rows(name).find(predicate) || null;
+
+function ledgerApply(db, { p_user_id, p_amount, p_source, p_reference_id = null }) {
+    if (!p_amount) raise('LEDGER_ZERO_AMOUNT');
+    const userId = Number(p_user_id);
+
+    if (p_reference_id !== null) {
+        const existing = findOne(db, 'balance_ledger', l =>
+            l.user_id === userId && l.source === p_source && l.reference_id === p_reference_id);
+        if (existing) {
+            return [{ entry_id: existing.id, balance: findOne(db, 'users', u => u.id === userId).balance }];
+        }
+    }
+
+    const user = findOne(db, 'users', u => u.id === userId);
+    if (!user) raise('USER_NOT_FOUND');
+    const balance = Number(user.balance || 0) + Number(p_amount);
+    if (p_amount < 0 && balance < 0) raise('INSUFFICIENT_BALANCE');
+    user.balance = balance;
+
+    const [entry] = db.insert('balance_ledger', {
+        user_id: userId, entry_type: p_amount > 0 ? 'credit' : 'debit', amount: Number(p_amount),
+        source: p_source, reference_id: p_reference_id, balance_after: balance
+    });
+    return [{ entry_id: entry.id, balance }];
+}
+
+// increment_daily_counter: counter name -> [count column, limit-reached column]
+const DAILY_COUNTERS = {
+    ads: ['ads_watched_today', 'ads_limit_reached_at'],
+    spins: ['spins_today', 'spins_limit_reached_at'],
+    task_links: ['task_link_clicks_today', 'task_link_limit_reached_at']
+};
+
+const RPCS = {
+    ledger_apply: ledgerApply,
+
+    complete_task(db, { p_user_id, p_task_id }) {
+        const task = findOne(db, 'tasks', t => t.id === Number(p_task_id));
+        const now = Date.now();
+        if (!task) raise('TASK_NOT_FOUND');
+        if (task.status !== 'active') raise('TASK_NOT_ACTIVE');
+        if (task.starts_at && Date.parse(task.starts_at) > now) raise('TASK_NOT_STARTED');
+        if (task.ends_at && Date.parse(task.ends_at) <= now) raise('TASK_EXPIRED');
+        if (findOne(db, 'user_task_completions', c => c.user_id === Number(p_user_id) && c.task_id === task.id)) {
+            raise('TASK_ALREADY_COMPLETED');
+        }
+        if (task.max_participants !== null && task.completions_count >= task.max_participants) raise('TASK_FULL');
+
+        db.insert('user_task_completions', { user_id: Number(p_user_id), task_id: task.id, reward_amount: task.reward });
+        task.completions_count += 1;
+
+        const balance = task.reward > 0
+            ? ledgerApply(db, { p_user_id, p_amount: task.reward, p_source: 'completeTask', p_reference_id: String(task.id) })[0].balance
+            : findOne(db, 'users', u => u.id === Number(p_user_id)).balance;
+        return [{
+            reward: task.reward,
+            new_balance: balance,
+            remaining_slots: task.max_participants === null ? null : task.max_participants - task.completions_count
+        }];
+    },
+
+    increment_daily_counter(db, { p_user_id, p_counter, p_limit }) {
+        const [count, reachedAt] = DAILY_COUNTERS[p_counter] || raise('UNKNOWN_COUNTER');
+        const user = findOne(db, 'users', u => u.id === Number(p_user_id));
+        if (!user || (user[count] || 0) >= p_limit) raise('LIMIT_REACHED');
+        user[count] = (user[count] || 0) + 1;
+        if (user[count] >= p_limit) user[reachedAt] = new Date().toISOString();
+        user.last_activity = new Date().toISOString();
+        return user[count];
+    },
+
+    commit_spin(db, { p_user_id, p_server_seed, p_server_seed_hash, p_wheel }) {
+        const userId = Number(p_user_id);
+        if (!findOne(db, 'users', u => u.id === userId)) raise('USER_NOT_FOUND');
+        const nonces = db.find('spin_results', s => s.user_id === userId && s.nonce != null).map(s => Number(s.nonce));
+        const nonce = Math.max(0, ...nonces) + 1;
+        const [spin] = db.insert('spin_results', {
+            user_id: userId, status: 'committed', server_seed: p_server_seed,
+            server_seed_hash: p_server_seed_hash, nonce, wheel: p_wheel, created_at: new Date().toISOString()
+        });
+        return [{ spin_id: spin.id, nonce }];
+    },
+
+    request_withdrawal(db, { p_user_id, p_amount, p_method, p_destination, p_reference_id }) {
+        if (!(p_amount > 0)) raise('INVALID_AMOUNT');
+        if (!p_method || !p_destination) raise('INVALID_METHOD');
+        const user = findOne(db, 'users', u => u.id === Number(p_user_id));
+        if (!user) raise('USER_NOT_FOUND');
+        if (user.is_banned) raise('USER_BANNED');
+        if (p_reference_id && findOne(db, 'balance_ledger', l =>
+            l.user_id === user.id && l.source === 'withdraw' && l.reference_id === p_reference_id)) {
+            raise('DUPLICATE_WITHDRAWAL');
+        }
+
+        const [hold] = ledgerApply(db, { p_user_id, p_amount: -p_amount, p_source: 'withdraw', p_reference_id });
+        const [withdrawal] = db.insert('withdrawals', {
+            user_id: user.id, amount: p_amount, method: p_method, destination: p_destination,
+            status: 'pending', hold_status: 'held', ledger_entry_id: hold.entry_id
+        });
+        return [{ withdrawal_id: withdrawal.id, withdrawal_table: 'withdrawals', new_balance: hold.balance }];
+    },
+
+    add_contest_tickets(db, { p_contest_id, p_user_id }) {
+        const contest = findOne(db, 'contests', c => c.id === Number(p_contest_id));
+        if (!contest) raise('CONTEST_NOT_FOUND');
+        if (contest.status !== 'running' || Date.parse(contest.end_time) <= Date.now()) raise('CONTEST_ENDED');
+        if (Date.parse(contest.start_time) > Date.now()) raise('CONTEST_NOT_STARTED');
+
+        let entry = findOne(db, 'contest_tickets', t => t.contest_id === contest.id && t.user_id === Number(p_user_id));
+        const current = entry ? entry.tickets : 0;
+        let grant = contest.tickets_per_ad;
+        if (contest.max_tickets_per_user !== null) grant = Math.min(grant, contest.max_tickets_per_user - current);
+        if (grant <= 0) raise('CONTEST_TICKET_LIMIT');
+
+        if (!entry) {
+            [entry] = db.insert('contest_tickets', { contest_id: contest.id, user_id: Number(p_user_id) });
+        }
+        entry.tickets += grant;
+        entry.updated_at = new Date().toISOString();
+
+        const all = db.find('contest_tickets', t => t.contest_id === contest.id).reduce((sum, t) => sum + t.tickets, 0);
+        return [{ my_tickets: current + grant, all_tickets: all, granted: grant }];
+    },
+
+    settle_contest(db, { p_contest_id, p_seed, p_total_tickets, p_results, p_next_seed }) {
+        const contest = findOne(db, 'contests', c => c.id === Number(p_contest_id));
+        if (!contest) raise('CONTEST_NOT_FOUND');
+        if (contest.status !== 'running') raise('CONTEST_ALREADY_CLOSED');
+        const total = db.find('contest_tickets', t => t.contest_id === contest.id).reduce((sum, t) => sum + t.tickets, 0);
+        if (total !== Number(p_total_tickets)) raise('CONTEST_TICKETS_CHANGED');
+
+        for (const result of p_results) {
+            const entry = result.prize > 0
+                ? ledgerApply(db, { p_user_id: result.user_id, p_amount: result.prize, p_source: 'contest_prize', p_reference_id: `${contest.id}:${result.rank}` })[0]
+                : null;
+            db.insert('contest_results', { contest_id: contest.id, ...result, ledger_entry_id: entry ? entry.entry_id : null });
+        }
+        Object.assign(contest, { status: 'closed', seed: p_seed, total_tickets: total, closed_at: new Date().toISOString() });
+
+        let nextId = null;
+        if (contest.auto_renew) {
+            const duration = Date.parse(contest.end_time) - Date.parse(contest.start_time);
+            [{ id: nextId }] = db.insert('contests', {
+                name: contest.name, start_time: new Date().toISOString(), end_time: new Date(Date.now() + duration).toISOString(),
+                mode: contest.mode, prizes: contest.prizes, tickets_per_ad: contest.tickets_per_ad,
+                max_tickets_per_user: contest.max_tickets_per_user, auto_renew: true, seed: p_next_seed
+            });
+        }
+        return [{ next_contest_id: nextId }];
+    },
+
+    add_commission_total(db, { p_user_id, p_amount }) {
+        const user = findOne(db, 'users', u => u.id === Number(p_user_id));
+        if (!user) return null;
+        user.commission_total = Number(user.commission_total || 0) + Number(p_amount);
+        return user.commission_total;
+    },
+
+    referral_totals(db, { p_user_id, p_active_since }) {
+        const referees = db.find('users', u => Number(u.ref_by) === Number(p_user_id));
+        const commissions = db.find('commission_history', h => h.referrer_id === Number(p_user_id));
+        return [{
+            referrals_count: referees.length,
+            active_count: referees.filter(u => u.last_activity && Date.parse(u.last_activity) >= Date.parse(p_active_since)).length,
+            commission_total: commissions.reduce((sum, h) => sum + h.amount, 0),
+            commission_direct: commissions.filter(h => h.level === 1).reduce((sum, h) => sum + h.amount, 0)
+        }];
+    },
+
+    take_rate_limit_tokens(db, { p_buckets }) {
+        const now = Date.now();
+        let wait = 0;
+        let limitedKey = null;
+        const buckets = [...p_buckets].sort((a, b) => (a.key < b.key ? -1 : a.key > b.key ? 1 : 0)).map(bucket => {
+            const row = findOne(db, 'rate_limit_buckets', r => r.bucket_key === bucket.key)
+                || db.insert('rate_limit_buckets', { bucket_key: bucket.key, tokens: bucket.capacity, updated_at: new Date(now).toISOString() })[0];
+            const tokens = Math.min(bucket.capacity, row.tokens + (now - Date.parse(row.updated_at)) / bucket.refill_ms);
+            if (tokens < 1 && Math.ceil((1 - tokens) * bucket.refill_ms) > wait) {
+                wait = Math.ceil((1 - tokens) * bucket.refill_ms);
+                limitedKey = bucket.key;
+            }
+            return { row, tokens };
+        });
+
+        if (wait > 0) return [{ allowed: false, retry_after_ms: wait, limited_key: limitedKey }];
+        for (const { row, tokens } of buckets) {
+            row.tokens = tokens - 1;
+            row.updated_at = new Date(now).toISOString();
+        }
+        return [{ allowed: true, retry_after_ms: 0, limited_key: null }];
+    },
+
+    record_security_incident(db, {
+        p_user_id, p_incident_type, p_details, p_ip_hash, p_ua_hash, p_failed_types = [], p_violation_types = [],
+        p_max_failed_per_hour, p_max_violations_per_day, p_suspension_seconds
+    }) {
+        const userId = Number(p_user_id);
+        db.insert('security', { user_id: userId, incident_type: p_incident_type, details: p_details, ip_hash: p_ip_hash, user_agent_hash: p_ua_hash });
+        if (!(userId > 0)) return null;
+
+        const now = Date.now();
+        const counter = findOne(db, 'security_counters', c => c.user_id === userId)
+            || db.insert('security_counters', { user_id: userId, suspended_until: null })[0];
+        // Windows restart with the first event after the previous one elapsed
+        const count = (startColumn, countColumn, windowMs, max) => {
+            if (!counter[startColumn] || Date.parse(counter[startColumn]) <= now - windowMs) {
+                counter[startColumn] = new Date(now).toISOString();
+                counter[countColumn] = 0;
+            }
+            counter[countColumn] += 1;
+            return counter[countColumn] >= max;
+        };
+
+        let reason = null;
+        if (p_failed_types.includes(p_incident_type) && count('failed_window_start', 'failed_count', 60 * 60 * 1000, p_max_failed_per_hour)) {
+            reason = 'hourly_failed_overflow';
+        }
+        if (p_violation_types.includes(p_incident_type) && count('violation_window_start', 'violation_count', 24 * 60 * 60 * 1000, p_max_violations_per_day)) {
+            reason = reason || 'daily_violations_overflow';
+        }
+
+        const suspended = counter.suspended_until && Date.parse(counter.suspended_until) > now;
+        if (reason && !suspended) {
+            counter.suspended_until = new Date(now + p_suspension_seconds * 1000).toISOString();
+            db.insert('security', {
+                user_id: userId, incident_type: 'suspended',
+                details: { reason, suspend_until: counter.suspended_until, trigger: p_incident_type }
+            });
+        }
+        return counter.suspended_until && Date.parse(counter.suspended_until) > now ? counter.suspended_until : null;
+    },
+
+    record_user_device(db, { p_user_id, p_ip_hash, p_ua_hash, p_device_hash }) {
+        db.insert('user_devices', { user_id: p_user_id, ip_hash: p_ip_hash, ua_hash: p_ua_hash, device_hash: p_device_hash });
+        return 0;
+    }
+};
+
+module.exports = { createFakeSupabase, RPCS };
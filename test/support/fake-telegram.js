@@ -0,0 +1,36 @@
+'use strict';
+
+/**
+ * Bot API stand-in for setDataLayer({ telegram }). getChatMember answers from the
+ * membership table (unknown users are 'left'); sendMessage records the message.
+ */
+function createFakeTelegram() {
+    const memberships = new Map();
+    const sent = [];
+
+    const telegram = {
+        sent,
+
+        /** status: member | administrator | creator | left | kicked */
+        setMember(chatId, userId, status = 'member') {
+            memberships.set(`${chatId}:${userId}`, status);
+        },
+
+        async call(method, params) {
+            switch (method) {
+                case 'getChatMember': {
+                    const status = memberships.get(`${params.chat_id}:${params.user_id}`) || 'left';
+                    return { ok: true, result: { status, user: { id: Number(params.user_id) } } };
+                }
+                case 'sendMessage':
+                    sent.push({ chat_id: params.chat_id, text: params.text });
+                    return { ok: true, result: { message_id: sent.length } };
+                default:
+                    return { ok: false, description: `Bad Request: method ${method} is not faked` };
+            }
+        }
+    };
+    return telegram;
+}
+
+module.exports = { createFakeTelegram };
@@ -0,0 +1,162 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const crypto = require('crypto');
+const { api, invoke, setup } = require('./support/harness');
+
+const HOURS = 60 * 60 * 1000;
+
+test('watchAd credits reward_per_ad through the ledger', async () => {
+    const { db, user } = setup({ users: [{ id: 1001, balance: 0, ads_watched_today: 0 }] });
+
+    const res = await user({ id: 1001 }).action('watchAd');
+
+    assert.equal(res.status, 200);
+    assert.deepEqual(res.body.data, { new_balance: 10, actual_reward: 10, new_ads_count: 1 });
+    const [entry] = db.rows('balance_ledger');
+    assert.equal(entry.source, 'watchAd');
+    assert.equal(entry.amount, 10);
+});
+
+test('watchAd stops at daily_max_ads and records when the limit was reached', async () => {
+    const { db, user } = setup({
+        users: [{ id: 1001, ads_watched_today: 0 }],
+        app_config: [{ key: 'daily_max_ads', value: 2 }, { key: 'reward_per_ad', value: 7 }]
+    });
+    const alice = user({ id: 1001 });
+
+    assert.equal((await alice.action('watchAd')).status, 200);
+    const second = await alice.action('watchAd');
+    const third = await alice.action('watchAd');
+
+    assert.equal(second.body.data.new_balance, 14);
+    assert.ok(db.rows('users')[0].ads_limit_reached_at);
+    assert.equal(third.status, 403);
+    assert.equal(third.body.code, 'LIMIT_REACHED');
+    assert.deepEqual(third.body.details, { kind: 'ads', limit: 2 });
+});
+
+test('concurrent watchAds cannot overrun daily_max_ads', async () => {
+    const { db, user } = setup({
+        users: [{ id: 1001, ads_watched_today: 0 }],
+        app_config: [{ key: 'daily_max_ads', value: 2 }]
+    });
+    const alice = user({ id: 1001 });
+
+    const results = await Promise.all([alice.action('watchAd'), alice.action('watchAd'), alice.action('watchAd')]);
+
+    assert.deepEqual(results.map(r => r.status).sort(), [200, 200, 403]);
+    assert.equal(db.rows('users')[0].ads_watched_today, 2);
+    assert.equal(db.rows('users')[0].balance, 20);
+});
+
+test('watchAd counters reset once the limit is older than the reset interval', async () => {
+    const { user } = setup({
+        users: [{ id: 1001, ads_watched_today: 2, ads_limit_reached_at: new Date(Date.now() - 7 * HOURS).toISOString() }],
+        app_config: [{ key: 'daily_max_ads', value: 2 }]
+    });
+
+    const res = await user({ id: 1001 }).action('watchAd');
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.new_ads_count, 1);
+});
+
+test('watchAd rejects a missing, replayed or foreign action token', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { db, user } = setup({ users: [{ id: 1001 }] });
+    const alice = user({ id: 1001 });
+
+    const missing = await alice.request('watchAd');
+    assert.equal(missing.body.code, 'TOKEN_MISSING');
+
+    const token = (await alice.request('generateActionId', { action_type: 'watchAd' })).body.data.action_id;
+    assert.equal((await alice.request('watchAd', { action_id: token })).status, 200);
+    const replay = await alice.request('watchAd', { action_id: token });
+    assert.equal(replay.status, 409);
+    assert.equal(replay.body.code, 'TOKEN_INVALID');
+
+    const spinToken = (await alice.request('generateActionId', { action_type: 'preSpin' })).body.data.action_id;
+    t.mock.timers.tick(3000); // a fourth watchAd in a row would hit the watchAd bucket
+    const wrongType = await alice.request('watchAd', { action_id: spinToken });
+    assert.equal(wrongType.body.code, 'TOKEN_INVALID');
+
+    assert.equal(db.rows('users')[0].balance, 10);
+    assert.equal(db.find('security', s => s.incident_type === 'invalid_action_id').length, 3);
+});
+
+test('a failing nonce store is a server error, not an invalid_action_id violation', async () => {
+    const { db, telegram, user } = setup({ users: [{ id: 1001 }] });
+    api.setDataLayer({
+        request: (table, method, ...rest) => table === 'used_action_nonces' && method === 'POST'
+            ? { code: '08006', message: 'connection failure' }
+            : db.request(table, method, ...rest),
+        telegram: telegram.call
+    });
+
+    const res = await user({ id: 1001 }).action('watchAd');
+
+    assert.equal(res.status, 500);
+    assert.equal(db.find('security', s => s.incident_type === 'invalid_action_id').length, 0);
+    assert.equal(db.rows('users')[0].balance, 0);
+});
+
+test('watchAd pays referral commissions up the chain', async () => {
+    const { db, user } = setup({
+        users: [
+            { id: 3001 },
+            { id: 2001, ref_by: 3001 },
+            { id: 1001, ref_by: 2001 }
+        ]
+    });
+
+    await user({ id: 1001 }).action('watchAd');
+
+    const balance = id => db.find('users', u => u.id === id)[0].balance;
+    assert.equal(balance(1001), 10);
+    assert.equal(balance(2001), 4);
+    assert.equal(balance(3001), 1);
+    assert.deepEqual(db.rows('commission_history').map(h => h.level), [1, 2]);
+});
+
+test('the internal commission route answers 500 when the database throws', async () => {
+    const { telegram } = setup();
+    api.setDataLayer({ request: async () => { throw new Error('boom'); }, telegram: telegram.call });
+    const body = { type: 'commission', referee_id: 1001, source_reference: 'ad-1' };
+    const timestamp = String(Date.now());
+    const signature = crypto.createHmac('sha256', process.env.INTERNAL_API_SECRET)
+        .update(`${timestamp}.${JSON.stringify(body)}`).digest('hex');
+
+    const res = await invoke(body, { 'x-internal-timestamp': timestamp, 'x-internal-signature': signature });
+
+    assert.equal(res.status, 500);
+    assert.equal(res.body.code, 'SERVER_ERROR');
+});
+
+test('watchAd withholds commissions for flagged referral pairs', async () => {
+    const { db, user } = setup({
+        users: [{ id: 2001 }, { id: 1001, ref_by: 2001 }],
+        flagged_referrals: [{ referrer_id: 2001, referee_id: 1001, reason: 'shared_device', cleared_at: null }]
+    });
+
+    await user({ id: 1001 }).action('watchAd');
+
+    assert.equal(db.find('users', u => u.id === 2001)[0].balance, 0);
+    assert.equal(db.rows('commission_history').length, 0);
+});
+
+test('suspended users cannot watch ads', async () => {
+    const { user } = setup({
+        users: [{ id: 1001 }],
+        security_counters: [{ user_id: 1001, suspended_until: new Date(Date.now() + HOURS).toISOString() }]
+    });
+    const alice = user({ id: 1001 });
+
+    const token = await alice.request('generateActionId', { action_type: 'watchAd' });
+    const watch = await alice.request('watchAd', { action_id: 'any' });
+
+    assert.equal(token.body.code, 'SUSPENDED');
+    assert.equal(watch.status, 403);
+    assert.equal(watch.body.code, 'SUSPENDED');
+});
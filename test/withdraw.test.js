@@ -0,0 +1,92 @@
+'use strict';
+
+const test = require('node:test');
+const assert = require('node:assert/strict');
+const { setup } = require('./support/harness');
+
+test('withdraw holds the amount and creates a pending request', async () => {
+    const { db, user } = setup({ users: [{ id: 1001, balance: 5000 }] });
+
+    const res = await user({ id: 1001 }).action('withdraw', { amount: '2500', method: 'faucetpay', destination: ' alice@example.com ' });
+
+    assert.equal(res.status, 200);
+    assert.equal(res.body.data.new_balance, 2500);
+    assert.equal(res.body.data.status, 'pending');
+    const [withdrawal] = db.rows('withdrawals');
+    assert.equal(withdrawal.destination, 'alice@example.com');
+    assert.equal(withdrawal.hold_status, 'held');
+    assert.equal(db.rows('balance_ledger')[0].amount, -2500);
+});
+
+test('withdraw accepts the legacy binanceId field', async () => {
+    const { db, user } = setup({ users: [{ id: 1001, balance: 5000 }] });
+
+    const res = await user({ id: 1001 }).action('withdraw', { amount: 2000, binanceId: 12345678 });
+
+    assert.equal(res.status, 200);
+    assert.deepEqual([db.rows('withdrawals')[0].method, db.rows('withdrawals')[0].destination], ['binance', '12345678']);
+});
+
+test('withdraw enforces min_withdraw, the method and the destination', async t => {
+    t.mock.timers.enable({ apis: ['Date'], now: Date.now() });
+    const { db, user } = setup({
+        users: [{ id: 1001, balance: 5000 }],
+        app_config: [{ key: 'min_withdraw', value: 3000 }]
+    });
+    const alice = user({ id: 1001 });
+
+    const tooLow = await alice.action('withdraw', { amount: 2999, method: 'faucetpay', destination: 'alice@example.com' });
+    const badMethod = await alice.action('withdraw', { amount: 3000, method: 'paypal', destination: 'alice@example.com' });
+    t.mock.timers.tick(30 * 1000); // the withdraw bucket holds two requests and refills one per 30 s
+    const badEmail = await alice.action('withdraw', { amount: 3000, method: 'faucetpay', destination: 'not-an-email' });
+    t.mock.timers.tick(30 * 1000);
+    const notANumber = await alice.action('withdraw', { amount: 'lots', method: 'faucetpay', destination: 'alice@example.com' });
+
+    assert.deepEqual([tooLow.body.code, tooLow.body.details], ['AMOUNT_TOO_LOW', { min: 3000 }]);
+    assert.equal(badMethod.body.code, 'INVALID_METHOD');
+    assert.equal(badEmail.body.code, 'INVALID_DESTINATION');
+    assert.deepEqual([notANumber.body.code, notANumber.body.details], ['INVALID_PARAMS', { field: 'amount' }]);
+    assert.equal(db.rows('users')[0].balance, 5000);
+    assert.equal(db.rows('withdrawals').length, 0);
+});
+
+test('withdraw never overdraws the balance', async () => {
+    const { db, user } = setup({ users: [{ id: 1001, balance: 2500 }] });
+
+    const res = await user({ id: 1001 }).action('withdraw', { amount: 3000, method: 'faucetpay', destination: 'alice@example.com' });
+
+    assert.equal(res.body.code, 'INSUFFICIENT_BALANCE');
+    assert.equal(db.rows('users')[0].balance, 2500);
+});
+
+test('banned users cannot withdraw', async () => {
+    const { user } = setup({ users: [{ id: 1001, balance: 5000, is_banned: true }] });
+
+    const res = await user({ id: 1001 }).action('withdraw', { amount: 2000, method: 'faucetpay', destination: 'alice@example.com' });
+
+    assert.equal(res.status, 403);
+    assert.equal(res.body.code, 'BANNED');
+});
+
+test('getUserData lists the withdrawal history', async () => {
+    const { user } = setup({ users: [{ id: 1001, balance: 5000 }] });
+    const alice = user({ id: 1001 });
+
+    await alice.action('withdraw', { amount: 2000, method: 'faucetpay', destination: 'alice@example.com' });
+    const res = await alice.request('getUserData');
+
+    assert.equal(res.body.data.balance, 3000);
+    assert.deepEqual(res.body.data.withdrawal_history.map(w => [w.amount, w.status, w.method]), [[2000, 'pending', 'faucetpay']]);
+});
+
+test('admins list pending withdrawals', async () => {
+    const { admin, user } = setup({ users: [{ id: 1001, balance: 5000 }] });
+    await user({ id: 1001 }).action('withdraw', { amount: 2000, method: 'faucetpay', destination: 'alice@example.com' });
+
+    const res = await admin('adminListWithdrawals');
+    const denied = await user({ id: 1001 }).request('adminListWithdrawals');
+
+    assert.equal(res.body.data.withdrawals.length, 1);
+    assert.equal(res.body.data.withdrawals[0].user_id, 1001);
+    assert.equal(denied.body.code, 'ADMIN_AUTH_FAILED');
+});